@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from "react";
+import Link from "next/link";
+import Papa from "papaparse";
+import { postsOverTime, tagTrends, topAuthors, tagCooccurrence, GRANULARITIES } from "../utils/analytics";
+import { downloadText } from "../utils/download";
+import { authorPath } from "../utils/authors";
+
+// Series colours for the stacked tag trend; "Other" is always grey
+const PALETTE = ["#2563eb", "#16a34a", "#dc2626", "#9333ea", "#ea580c", "#0891b2", "#ca8a04", "#db2777"];
+const OTHER_COLOR = "#9ca3af";
+
+const stamp = () => new Date().toISOString().slice(0, 10);
+
+function saveCSV(name, rows) {
+    downloadText(`${name}-${stamp()}.csv`, Papa.unparse(rows), "text/csv");
+}
+
+// -------------------- Analytics view --------------------
+// Charts over `rows`, which the dashboard has already filtered (not capped by max results).
+export default function AnalyticsView({ rows, taxonomy }) {
+    const [granularity, setGranularity] = useState("month");
+
+    const volume = useMemo(() => postsOverTime(rows, granularity), [rows, granularity]);
+    const trends = useMemo(() => tagTrends(rows, granularity, { taxonomy }), [rows, granularity, taxonomy]);
+    const authors = useMemo(() => topAuthors(rows, 10), [rows]);
+    const cooc = useMemo(() => tagCooccurrence(rows, { taxonomy }), [rows, taxonomy]);
+
+    if (!rows.length) return <div className="text-sm text-gray-600">No posts match the current filters.</div>;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center gap-2 text-xs text-gray-600">
+                <span>Group by:</span>
+                <select className="border rounded px-2 py-1 text-sm" value={granularity} onChange={(e) => setGranularity(e.target.value)}>
+                    {GRANULARITIES.map((g) => <option key={g} value={g}>{g === "week" ? "Week" : "Month"}</option>)}
+                </select>
+                {volume.undated > 0 && <span>{volume.undated} undated posts are left out of the time charts.</span>}
+            </div>
+
+            <div className="grid gap-6 lg:grid-cols-2">
+                <Panel
+                    title={`Posts per ${granularity}`}
+                    onDownload={() => saveCSV(`posts-per-${granularity}`, volume.buckets.map((b) => ({ [granularity]: b.key, posts: b.count })))}
+                >
+                    <Bars buckets={volume.buckets.map((b) => ({ ...b, parts: [{ value: b.count, color: PALETTE[0] }] }))} />
+                </Panel>
+
+                <Panel
+                    title={`Tags per ${granularity}`}
+                    onDownload={() =>
+                        saveCSV(
+                            `tags-per-${granularity}`,
+                            trends.buckets.map((b, i) => ({
+                                [granularity]: b.key,
+                                ...Object.fromEntries(trends.series.map((s) => [s.tag, s.counts[i]])),
+                            }))
+                        )
+                    }
+                >
+                    <Bars
+                        buckets={trends.buckets.map((b, i) => ({
+                            ...b,
+                            parts: trends.series.map((s, k) => ({
+                                label: s.tag,
+                                value: s.counts[i],
+                                color: s.other ? OTHER_COLOR : PALETTE[k % PALETTE.length],
+                            })),
+                        }))}
+                    />
+                    <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-gray-600">
+                        {trends.series.map((s, k) => (
+                            <span key={s.tag} className="flex items-center gap-1">
+                                <span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: s.other ? OTHER_COLOR : PALETTE[k % PALETTE.length] }} />
+                                {s.tag}
+                            </span>
+                        ))}
+                    </div>
+                    <p className="mt-1 text-[11px] text-gray-500">A post with several tags counts once under each.</p>
+                </Panel>
+
+                <Panel
+                    title="Top authors"
+                    onDownload={() => saveCSV("top-authors", authors.map((a) => ({ author: a.author, posts: a.count })))}
+                >
+                    <ul className="space-y-1">
+                        {authors.map((a) => (
+                            <li key={a.author} className="flex items-center gap-2 text-sm">
+                                <Link href={authorPath(a.author)} className="w-40 truncate hover:underline" title={a.author}>{a.author}</Link>
+                                <span className="flex-1 bg-gray-100 rounded h-3">
+                                    <span className="block h-3 rounded" style={{ width: `${(a.count / authors[0].count) * 100}%`, backgroundColor: PALETTE[0] }} />
+                                </span>
+                                <span className="w-8 text-right text-xs text-gray-600">{a.count}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </Panel>
+
+                <Panel
+                    title="Tag co-occurrence"
+                    onDownload={() =>
+                        saveCSV("tag-cooccurrence", cooc.tags.map((t, i) => ({ tag: t, ...Object.fromEntries(cooc.tags.map((u, j) => [u, cooc.matrix[i][j]])) })))
+                    }
+                >
+                    <CooccurrenceMatrix tags={cooc.tags} matrix={cooc.matrix} />
+                </Panel>
+            </div>
+        </div>
+    );
+}
+
+function Panel({ title, onDownload, children }) {
+    return (
+        <section className="border rounded-2xl p-4 bg-white shadow-sm">
+            <div className="flex items-center mb-3">
+                <h2 className="text-sm font-semibold">{title}</h2>
+                <button className="ml-auto text-xs px-2 py-0.5 border rounded hover:bg-gray-50" onClick={onDownload}>
+                    CSV
+                </button>
+            </div>
+            {children}
+        </section>
+    );
+}
+
+// Vertical bars, stacked when a bucket has several parts: [{ key, label, parts: [{ label?, value, color }] }]
+export function Bars({ buckets, height = 160 }) {
+    const max = Math.max(1, ...buckets.map((b) => b.parts.reduce((n, p) => n + p.value, 0)));
+    // Thin out the axis labels so they don't overlap
+    const every = Math.ceil(buckets.length / 12);
+    return (
+        <div>
+            <div className="flex items-end gap-0.5" style={{ height }}>
+                {buckets.map((b) => {
+                    const total = b.parts.reduce((n, p) => n + p.value, 0);
+                    const tip = [`${b.label}: ${total}`, ...b.parts.filter((p) => p.label && p.value).map((p) => `${p.label}: ${p.value}`)].join("\n");
+                    return (
+                        <div key={b.key} className="flex-1 flex flex-col-reverse" style={{ height: `${(total / max) * 100}%` }} title={tip}>
+                            {b.parts.map((p, i) =>
+                                p.value ? <div key={i} style={{ height: `${(p.value / total) * 100}%`, backgroundColor: p.color }} /> : null
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="flex gap-0.5 mt-1">
+                {buckets.map((b, i) => (
+                    <div key={b.key} className="flex-1 text-[10px] text-gray-500 text-center truncate">
+                        {i % every === 0 ? b.label : ""}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// Shaded by count; the diagonal is each tag's own post count
+function CooccurrenceMatrix({ tags, matrix }) {
+    const max = Math.max(1, ...matrix.flatMap((row, i) => row.filter((_, j) => j !== i)));
+    if (!tags.length) return <div className="text-sm text-gray-600">No tags on these posts.</div>;
+    return (
+        <div className="overflow-auto">
+            <table className="text-[11px] border-collapse">
+                <thead>
+                    <tr>
+                        <th />
+                        {tags.map((t) => (
+                            <th key={t} className="px-1 font-normal text-gray-600 align-bottom" style={{ writingMode: "vertical-rl", transform: "rotate(180deg)" }}>
+                                {t}
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {tags.map((t, i) => (
+                        <tr key={t}>
+                            <th className="pr-2 font-normal text-gray-600 text-right whitespace-nowrap">{t}</th>
+                            {matrix[i].map((n, j) => (
+                                <td
+                                    key={j}
+                                    className={`w-7 h-7 text-center border border-white ${i === j ? "font-semibold text-gray-500 bg-gray-50" : ""}`}
+                                    style={i === j ? undefined : { backgroundColor: `rgba(37, 99, 235, ${n / max})`, color: n / max > 0.5 ? "#fff" : undefined }}
+                                    title={i === j ? `${t}: ${n} posts` : `${t} + ${tags[j]}: ${n} posts`}
+                                >
+                                    {n || ""}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from "react";
+import { STANCES, parseInternalTags } from "../utils/annotations";
+
+export const STANCE_STYLES = {
+    supports: "bg-emerald-50 text-emerald-700",
+    opposes: "bg-rose-50 text-rose-700",
+    neutral: "bg-gray-100 text-gray-600",
+};
+
+// -------------------- Private notes in the card overlay --------------------
+// Shows the reader's annotation ({ note, stance, tags }, see utils/annotations.js) and edits it in place.
+// `onSave` receives the new annotation; saving an empty one deletes it.
+export default function AnnotationEditor({ annotation, tagOptions = [], onSave }) {
+    const [editing, setEditing] = useState(false);
+    const [note, setNote] = useState("");
+    const [stance, setStance] = useState(null);
+    const [tags, setTags] = useState("");
+    const listId = React.useId();
+
+    useEffect(() => {
+        if (editing) return;
+        setNote(annotation?.note || "");
+        setStance(annotation?.stance || null);
+        setTags((annotation?.tags || []).join(", "));
+    }, [annotation, editing]);
+
+    function save() {
+        onSave({ note, stance, tags: parseInternalTags(tags) });
+        setEditing(false);
+    }
+
+    if (!editing) {
+        return (
+            <div className="mt-2 border-t pt-2">
+                <div className="flex items-center gap-2">
+                    <span className="text-[11px] uppercase text-gray-500">My notes</span>
+                    {annotation?.stance && (
+                        <span className={`text-[11px] px-1.5 py-0.5 rounded-full ${STANCE_STYLES[annotation.stance]}`}>{annotation.stance}</span>
+                    )}
+                    <button className="ml-auto text-xs text-gray-500 hover:underline" onClick={() => setEditing(true)}>
+                        {annotation ? "Edit" : "Add note"}
+                    </button>
+                </div>
+                {annotation?.note && <p className="mt-1 text-gray-700 whitespace-pre-wrap">{annotation.note}</p>}
+                {annotation?.tags.length ? (
+                    <div className="mt-1 flex flex-wrap gap-1">
+                        {annotation.tags.map((t) => (
+                            <span key={t} className="text-[11px] px-2 py-0.5 rounded-full bg-violet-50 text-violet-700">
+                                {t}
+                            </span>
+                        ))}
+                    </div>
+                ) : null}
+            </div>
+        );
+    }
+
+    return (
+        <div
+            className="mt-2 border-t pt-2 space-y-2"
+            onKeyDown={(e) => {
+                if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) save();
+            }}
+        >
+            <div className="text-[11px] uppercase text-gray-500">My notes (this browser only)</div>
+            <textarea
+                className="w-full border rounded px-2 py-1 text-sm"
+                rows={3}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                aria-label="Note"
+                autoFocus
+            />
+            <div className="flex items-center gap-1 text-xs" role="radiogroup" aria-label="Stance">
+                <span className="text-gray-600 mr-1">Stance</span>
+                {STANCES.map((s) => (
+                    <button
+                        key={s}
+                        type="button"
+                        role="radio"
+                        aria-checked={stance === s}
+                        className={`px-2 py-0.5 border rounded ${stance === s ? STANCE_STYLES[s] : "bg-white"}`}
+                        onClick={() => setStance(stance === s ? null : s)}
+                    >
+                        {s}
+                    </button>
+                ))}
+            </div>
+            <input
+                className="w-full border rounded px-2 py-1 text-sm"
+                placeholder="Internal tags, comma separated"
+                value={tags}
+                onChange={(e) => setTags(e.target.value)}
+                list={listId}
+                aria-label="Internal tags"
+            />
+            <datalist id={listId}>
+                {tagOptions.map((t) => (
+                    <option key={t} value={t} />
+                ))}
+            </datalist>
+            <div className="flex items-center justify-end gap-2">
+                <button className="text-xs px-2 py-1 border rounded" onClick={() => setEditing(false)}>
+                    Cancel
+                </button>
+                <button className="text-xs px-2 py-1 border rounded bg-gray-50" onClick={save}>
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,50 @@
+import React, { useEffect, useState } from "react";
+
+// -------------------- Dropdown --------------------
+// Toolbar button with a panel under it, closed by an outside click or Escape, for the dashboard's menus.
+// `children` is the panel content, or a function of close() rendered only while the panel is open — use that for
+// items that shut the panel or content that reads a store. `ready` false keeps the panel shut until the store has
+// loaded; `onToggle` runs on every button click.
+export default function Dropdown({ label, width = "w-64", disabled = false, ready = true, onToggle, children }) {
+    const rootRef = React.useRef(null);
+    const [open, setOpen] = useState(false);
+
+    useEffect(() => {
+        if (!open) return;
+        function onDocClick(e) {
+            if (!rootRef.current) return;
+            if (!rootRef.current.contains(e.target)) setOpen(false);
+        }
+        function onKey(e) {
+            if (e.key === "Escape") setOpen(false);
+        }
+        document.addEventListener("mousedown", onDocClick);
+        document.addEventListener("keydown", onKey);
+        return () => {
+            document.removeEventListener("mousedown", onDocClick);
+            document.removeEventListener("keydown", onKey);
+        };
+    }, [open]);
+
+    const close = () => setOpen(false);
+
+    return (
+        <div ref={rootRef} className="relative">
+            <button
+                type="button"
+                className="text-xs px-3 py-1.5 border rounded bg-white"
+                onClick={() => { setOpen((v) => !v); onToggle?.(); }}
+                aria-expanded={open}
+                disabled={disabled}
+            >
+                {label} ▾
+            </button>
+
+            {open && ready && (
+                <div className={`absolute right-0 z-10 mt-2 ${width} border rounded bg-white shadow p-2 text-sm`}>
+                    {typeof children === "function" ? children(close) : children}
+                </div>
+            )}
+        </div>
+    );
+}
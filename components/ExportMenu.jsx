@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import { postsToCSV, postsToJSON, postsToMarkdownDigest, postsToHTMLDigest } from "../utils/exporters";
+import { downloadText } from "../utils/download";
+import Dropdown from "./Dropdown";
+
+// -------------------- Export dropdown --------------------
+// Exports exactly the rows passed in (the cards on screen). `feedQuery` is the /api/feed query
+// string for the same filters, so the feed links follow the current view.
+export default function ExportMenu({ rows, taxonomy, feedQuery = "" }) {
+    const [message, setMessage] = useState("");
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    function save(kind, close) {
+        if (kind === "csv") downloadText(`linkedin_posts-${stamp}.csv`, postsToCSV(rows, { taxonomy }), "text/csv");
+        if (kind === "json") downloadText(`linkedin_posts-${stamp}.json`, postsToJSON(rows), "application/json");
+        if (kind === "md") downloadText(`linkedin-digest-${stamp}.md`, postsToMarkdownDigest(rows, { taxonomy }), "text/markdown");
+        if (kind === "html") downloadText(`linkedin-digest-${stamp}.html`, postsToHTMLDigest(rows, { taxonomy }), "text/html");
+        close();
+    }
+
+    async function copyDigest() {
+        try {
+            await navigator.clipboard.writeText(postsToMarkdownDigest(rows, { taxonomy }));
+            setMessage("Digest copied");
+        } catch {
+            setMessage("Clipboard unavailable");
+        }
+    }
+
+    const feedHref = (format) => `/api/feed?${feedQuery}${feedQuery ? "&" : ""}format=${format}`;
+    const item = "block w-full text-left px-2 py-1 hover:bg-gray-50 rounded";
+
+    return (
+        <Dropdown label="Export" width="w-56" disabled={!rows.length} onToggle={() => setMessage("")}>
+            {(close) => (
+                <>
+                    <div className="text-[11px] uppercase text-gray-500 px-2 pb-1">{rows.length} posts shown</div>
+                    <button className={item} onClick={() => save("csv", close)}>CSV</button>
+                    <button className={item} onClick={() => save("json", close)}>JSON</button>
+                    <button className={item} onClick={() => save("md", close)}>Digest (Markdown)</button>
+                    <button className={item} onClick={() => save("html", close)}>Digest (HTML)</button>
+                    <button className={item} onClick={copyDigest}>Copy Markdown digest</button>
+                    <div className="border-t my-1" />
+                    <a className={item} href={feedHref("rss")} target="_blank" rel="noreferrer">RSS feed ↗</a>
+                    <a className={item} href={feedHref("atom")} target="_blank" rel="noreferrer">Atom feed ↗</a>
+                    {message && <div className="text-xs text-gray-600 px-2 pt-1">{message}</div>}
+                </>
+            )}
+        </Dropdown>
+    );
+}
@@ -0,0 +1,10 @@
+import React from "react";
+import { highlightSegments } from "../utils/searchIndex";
+
+// Wrap search matches in <mark>
+export default function Highlight({ text, terms = [] }) {
+    if (!terms.length) return text;
+    return highlightSegments(text, terms).map((seg, i) =>
+        seg.match ? <mark key={i} className="bg-yellow-100 rounded-sm">{seg.text}</mark> : <React.Fragment key={i}>{seg.text}</React.Fragment>
+    );
+}
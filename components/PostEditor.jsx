@@ -0,0 +1,308 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { validatePost, EDITABLE_FIELDS } from "../utils/postValidation";
+import { tagNames } from "../utils/posts";
+import { ownRow } from "../utils/dedupe";
+
+// -------------------- Edit API (see pages/api/edit.js) --------------------
+const TOKEN_KEY = "linkedin-dashboard:edit-token";
+
+export function loadEditToken() {
+    try {
+        return sessionStorage.getItem(TOKEN_KEY) || "";
+    } catch {
+        return "";
+    }
+}
+
+export function saveEditToken(token) {
+    try {
+        if (token) sessionStorage.setItem(TOKEN_KEY, token);
+        else sessionStorage.removeItem(TOKEN_KEY);
+    } catch {
+        // private mode: the token just isn't remembered
+    }
+}
+
+// { enabled, authorized }; a static deploy has no API, which reads as disabled
+export async function fetchEditStatus(token) {
+    try {
+        const res = await fetch("/api/edit", { headers: token ? { "x-edit-token": token } : {}, cache: "no-store" });
+        if (!res.ok) return { enabled: false, authorized: false };
+        return await res.json();
+    } catch {
+        return { enabled: false, authorized: false };
+    }
+}
+
+// Throws with the server's message (and field errors, if any) on failure
+export async function postEdit(token, payload) {
+    const res = await fetch("/api/edit", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-edit-token": token },
+        body: JSON.stringify(payload),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        const err = new Error(data.error || `Save failed: ${res.status}`);
+        err.errors = data.errors || {};
+        throw err;
+    }
+    return data;
+}
+
+// A row as the editor's form fields; tags keep their spelling (tags_list is lowercased), so saving
+// doesn't rewrite "Policies and Measures" as "policies and measures". A merged card edits its primary line.
+function formFromRow(merged, taxonomy) {
+    const row = ownRow(merged);
+    return {
+        include: row?.include === "n" ? "n" : "y",
+        posted_iso: row?.posted_iso || "",
+        author: row?.author || "",
+        headline: row?.headline || "",
+        summary: row?.summary || "",
+        tags: row ? tagNames(row, taxonomy) : [],
+        post_url: row?.post_url || row?.url || "",
+    };
+}
+
+// LinkedIn post URLs start with the author's profile slug: /posts/<slug>_<words>-activity-…
+function profileSlug(url) {
+    const m = String(url || "").match(/linkedin\.com\/posts\/([^_/?#]+)_/i);
+    return m ? m[1].toLowerCase() : null;
+}
+
+// -------------------- Editor dialog --------------------
+// `row` is the card being edited, or null to add a post. `onSave(payload)` posts to the API and
+// resolves once the data is reloaded; it rejects with the server's field errors.
+export default function PostEditor({ row, rows, taxonomy, tagOptions, authorOptions, onSave, onClose }) {
+    const adding = !row;
+    const initial = useMemo(() => formFromRow(row, taxonomy), [row, taxonomy]);
+    const [form, setForm] = useState(initial);
+    const [saving, setSaving] = useState(false);
+    const [serverError, setServerError] = useState("");
+    const [serverFieldErrors, setServerFieldErrors] = useState({});
+
+    useEffect(() => {
+        function onKey(e) {
+            if (e.key === "Escape") onClose();
+        }
+        document.addEventListener("keydown", onKey);
+        return () => document.removeEventListener("keydown", onKey);
+    }, [onClose]);
+
+    // Live validation with the same rules the API applies before writing
+    const { errors, warnings } = useMemo(
+        () =>
+            validatePost(form, {
+                taxonomy,
+                curatedAuthors: authorOptions.length ? authorOptions : null,
+                rows: adding || form.post_url !== initial.post_url ? rows : [],
+                selfLine: row?.source_line ?? null,
+            }),
+        [form, taxonomy, authorOptions, rows, adding, initial, row]
+    );
+    const allErrors = { ...errors, ...serverFieldErrors };
+    const dirty = EDITABLE_FIELDS.some((k) => String(form[k]) !== String(initial[k]));
+
+    function set(field, value) {
+        setForm((f) => ({ ...f, [field]: value }));
+        setServerFieldErrors((e) => ({ ...e, [field]: undefined }));
+    }
+
+    // Adding by URL: fill the author in from other posts with the same profile slug
+    function setURL(value) {
+        set("post_url", value);
+        const slug = profileSlug(value);
+        if (!adding || !slug || form.author) return;
+        const match = rows.find((r) => profileSlug(r.post_url || r.url) === slug);
+        if (match) set("author", match.author);
+    }
+
+    async function save() {
+        setSaving(true);
+        setServerError("");
+        try {
+            if (adding) {
+                await onSave({ action: "add", post: form });
+            } else {
+                const changes = {};
+                for (const k of EDITABLE_FIELDS) if (String(form[k]) !== String(initial[k])) changes[k] = form[k];
+                await onSave({ action: "update", dataset: row.dataset, line: row.source_line, post_url: row.post_url, changes });
+            }
+            onClose();
+        } catch (e) {
+            setServerError(e.message);
+            setServerFieldErrors(e.errors || {});
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    return (
+        <div className="fixed inset-0 z-[60] bg-black/30 flex items-start justify-center p-6 overflow-y-auto" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="w-full max-w-2xl bg-white rounded-2xl shadow-xl p-5 space-y-3" role="dialog" aria-modal="true" aria-label={adding ? "Add post" : "Edit post"}>
+                <div className="flex items-center">
+                    <h2 className="text-lg font-semibold">{adding ? "Add post" : "Edit post"}</h2>
+                    {!adding && <span className="ml-2 text-xs text-gray-500">line {row.source_line}</span>}
+                    {row?.merged_from && (
+                        <span className="ml-2 text-xs text-amber-700" title="Duplicates on other lines are left as they are">
+                            merges {row.merged_from.length} rows; only this line is changed
+                        </span>
+                    )}
+                    <button className="ml-auto text-xs border rounded px-2 py-0.5 hover:bg-gray-50" onClick={onClose} aria-label="Close editor">×</button>
+                </div>
+
+                <Field label="Post URL" error={allErrors.post_url}>
+                    <input
+                        className="w-full border rounded px-3 py-2 text-sm"
+                        placeholder="https://www.linkedin.com/posts/…"
+                        value={form.post_url}
+                        onChange={(e) => setURL(e.target.value)}
+                        autoFocus={adding}
+                    />
+                </Field>
+                <div className="grid grid-cols-3 gap-3">
+                    <Field label="Author" warning={warnings.author} error={allErrors.author} className="col-span-2">
+                        <input
+                            className="w-full border rounded px-3 py-2 text-sm"
+                            list="post-editor-authors"
+                            value={form.author}
+                            onChange={(e) => set("author", e.target.value)}
+                        />
+                        <datalist id="post-editor-authors">
+                            {authorOptions.map((a) => <option key={a} value={a} />)}
+                        </datalist>
+                    </Field>
+                    <Field label="Posted" warning={warnings.posted_iso} error={allErrors.posted_iso}>
+                        <input
+                            className="w-full border rounded px-3 py-2 text-sm"
+                            placeholder="YYYY-MM-DD"
+                            value={form.posted_iso}
+                            onChange={(e) => set("posted_iso", e.target.value)}
+                        />
+                    </Field>
+                </div>
+                <Field label="Headline" error={allErrors.headline}>
+                    <input
+                        className="w-full border rounded px-3 py-2 text-sm"
+                        value={form.headline}
+                        onChange={(e) => set("headline", e.target.value)}
+                        autoFocus={!adding}
+                    />
+                </Field>
+                <Field label="Summary" error={allErrors.summary}>
+                    <textarea
+                        className="w-full border rounded px-3 py-2 text-sm"
+                        rows={5}
+                        value={form.summary}
+                        onChange={(e) => set("summary", e.target.value)}
+                    />
+                </Field>
+                <Field label="Tags" warning={warnings.tags} error={allErrors.tags}>
+                    <TagInput value={form.tags} onChange={(v) => set("tags", v)} options={tagOptions} />
+                </Field>
+                <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={form.include === "y"} onChange={(e) => set("include", e.target.checked ? "y" : "n")} />
+                    Include on the dashboard
+                </label>
+
+                {serverError && <div className="text-xs text-red-600" role="alert">{serverError}</div>}
+                <div className="flex items-center gap-2 pt-1">
+                    <span className="text-xs text-gray-500">The previous CSV is kept in backups/ on every save.</span>
+                    <button className="ml-auto text-xs px-3 py-1.5 border rounded bg-white" onClick={onClose}>Cancel</button>
+                    <button
+                        className="text-xs px-3 py-1.5 border rounded bg-gray-900 text-white disabled:opacity-40"
+                        disabled={saving || Object.keys(errors).length > 0 || (!adding && !dirty)}
+                        onClick={save}
+                    >
+                        {saving ? "Saving…" : adding ? "Add post" : "Save"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function Field({ label, error, warning, className = "", children }) {
+    return (
+        <div className={`space-y-1 ${className}`}>
+            <label className="block text-xs uppercase text-gray-600">{label}</label>
+            {children}
+            {error ? (
+                <div className="text-xs text-red-600">{error}</div>
+            ) : warning ? (
+                <div className="text-xs text-amber-700">{warning}</div>
+            ) : null}
+        </div>
+    );
+}
+
+// -------------------- Tag chips with autocomplete --------------------
+function TagInput({ value, onChange, options }) {
+    const [query, setQuery] = useState("");
+    const [active, setActive] = useState(0);
+
+    const suggestions = useMemo(() => {
+        const q = query.trim().toLowerCase();
+        if (!q) return [];
+        const taken = new Set(value.map((t) => t.toLowerCase()));
+        return options.filter((o) => !taken.has(o.toLowerCase()) && o.toLowerCase().includes(q)).slice(0, 8);
+    }, [query, value, options]);
+
+    function add(tag) {
+        const t = String(tag || "").trim();
+        if (t && !value.some((v) => v.toLowerCase() === t.toLowerCase())) onChange([...value, t]);
+        setQuery("");
+        setActive(0);
+    }
+
+    function onKeyDown(e) {
+        if (e.key === "Enter" || e.key === "," || e.key === "Tab") {
+            if (!query.trim()) return;
+            e.preventDefault();
+            add(suggestions[active] || query);
+        } else if (e.key === "ArrowDown") {
+            e.preventDefault();
+            setActive((i) => Math.min(i + 1, suggestions.length - 1));
+        } else if (e.key === "ArrowUp") {
+            e.preventDefault();
+            setActive((i) => Math.max(i - 1, 0));
+        } else if (e.key === "Backspace" && !query && value.length) {
+            onChange(value.slice(0, -1));
+        }
+    }
+
+    return (
+        <div className="relative">
+            <div className="flex flex-wrap items-center gap-1 border rounded px-2 py-1.5">
+                {value.map((t) => (
+                    <span key={t} className="text-[11px] px-2 py-0.5 border rounded-full flex items-center gap-1">
+                        {t}
+                        <button className="text-gray-400 hover:text-gray-700" onClick={() => onChange(value.filter((v) => v !== t))} aria-label={`Remove ${t}`}>×</button>
+                    </span>
+                ))}
+                <input
+                    className="flex-1 min-w-[8rem] text-sm outline-none"
+                    placeholder={value.length ? "" : "Add tags…"}
+                    value={query}
+                    onChange={(e) => { setQuery(e.target.value); setActive(0); }}
+                    onKeyDown={onKeyDown}
+                />
+            </div>
+            {suggestions.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border rounded shadow max-h-56 overflow-auto text-sm">
+                    {suggestions.map((s, i) => (
+                        <li key={s}>
+                            <button
+                                className={`w-full text-left px-3 py-1 ${i === active ? "bg-gray-100" : ""}`}
+                                onMouseDown={(e) => { e.preventDefault(); add(s); }}
+                            >
+                                {s}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,238 @@
+import React, { useEffect, useMemo, useState } from "react";
+import Link from "next/link";
+import { formatDate } from "../utils/dates";
+import { authorPath } from "../utils/authors";
+import { tagPath } from "../utils/tags";
+import {
+    TABLE_COLUMNS,
+    MIN_COLUMN_WIDTH,
+    GROUP_OPTIONS,
+    defaultLayout,
+    loadTableLayout,
+    saveTableLayout,
+    columnWidth,
+    displayTags,
+    sortTableRows,
+    groupRows,
+} from "../utils/postTable";
+import Highlight from "./Highlight";
+
+const GROUP_LABELS = { none: "None", author: "Author", tag: "Tag", week: "Week", month: "Month" };
+
+// Keyboard resizing step in px
+const RESIZE_STEP = 20;
+
+// -------------------- Table view --------------------
+// Dense list of the dashboard's rows (already filtered): click a header to sort, drag its right edge to resize,
+// group by author, tag, week or month with collapsible groups. Sort, grouping and widths are remembered in this
+// browser (utils/postTable.js).
+export default function PostTable({ rows, taxonomy, highlight = [] }) {
+    const [layout, setLayout] = useState(defaultLayout);
+    const [collapsed, setCollapsed] = useState(() => new Set());
+
+    useEffect(() => {
+        setLayout(loadTableLayout());
+    }, []);
+
+    function updateLayout(change) {
+        setLayout((prev) => {
+            const next = change(prev);
+            saveTableLayout(next);
+            return next;
+        });
+    }
+
+    const sorted = useMemo(() => sortTableRows(rows, layout.sort, taxonomy), [rows, layout.sort, taxonomy]);
+    const groups = useMemo(() => groupRows(sorted, layout.groupBy, taxonomy), [sorted, layout.groupBy, taxonomy]);
+    const grouped = layout.groupBy !== "none";
+
+    function sortBy(column) {
+        updateLayout((l) => ({
+            ...l,
+            sort:
+                l.sort.column === column
+                    ? { column, dir: l.sort.dir === "asc" ? "desc" : "asc" }
+                    : { column, dir: column === "date" ? "desc" : "asc" },
+        }));
+    }
+
+    function setGroupBy(groupBy) {
+        setCollapsed(new Set());
+        updateLayout((l) => ({ ...l, groupBy }));
+    }
+
+    function setWidth(column, width, save = true) {
+        const change = (l) => ({ ...l, widths: { ...l.widths, [column]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) } });
+        if (save) updateLayout(change);
+        else setLayout(change);
+    }
+
+    // Drag a column's right edge; the width is saved when the pointer is released
+    function startResize(e, column) {
+        e.preventDefault();
+        const startX = e.clientX;
+        const startWidth = columnWidth(layout, column);
+        const onMove = (ev) => setWidth(column, startWidth + ev.clientX - startX, false);
+        const onUp = (ev) => {
+            window.removeEventListener("pointermove", onMove);
+            window.removeEventListener("pointerup", onUp);
+            setWidth(column, startWidth + ev.clientX - startX);
+        };
+        window.addEventListener("pointermove", onMove);
+        window.addEventListener("pointerup", onUp);
+    }
+
+    function toggleGroup(key) {
+        setCollapsed((prev) => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    }
+
+    if (!rows.length) return <div className="text-sm text-gray-600">No posts match the current filters.</div>;
+
+    const totalWidth = TABLE_COLUMNS.reduce((sum, c) => sum + columnWidth(layout, c.id), 0);
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                <label htmlFor="table-group">Group by:</label>
+                <select
+                    id="table-group"
+                    className="border rounded px-2 py-1 text-sm"
+                    value={layout.groupBy}
+                    onChange={(e) => setGroupBy(e.target.value)}
+                >
+                    {GROUP_OPTIONS.map((g) => <option key={g} value={g}>{GROUP_LABELS[g]}</option>)}
+                </select>
+                {grouped && (
+                    <>
+                        <span>{groups.length} groups</span>
+                        <button className="px-2 py-1 border rounded bg-white" onClick={() => setCollapsed(new Set())} disabled={!collapsed.size}>
+                            Expand all
+                        </button>
+                        <button className="px-2 py-1 border rounded bg-white" onClick={() => setCollapsed(new Set(groups.map((g) => g.key)))}>
+                            Collapse all
+                        </button>
+                        {layout.groupBy === "tag" && <span className="text-gray-400">Posts with several tags appear in each of their groups.</span>}
+                    </>
+                )}
+                <button
+                    className="ml-auto px-2 py-1 border rounded bg-white"
+                    onClick={() => updateLayout((l) => ({ ...l, widths: {} }))}
+                    disabled={!Object.keys(layout.widths).length}
+                >
+                    Reset column widths
+                </button>
+            </div>
+
+            <div className="overflow-x-auto border rounded-2xl bg-white">
+                <table className="text-sm" style={{ tableLayout: "fixed", width: totalWidth, minWidth: "100%" }}>
+                    <colgroup>
+                        {TABLE_COLUMNS.map((c) => <col key={c.id} style={{ width: columnWidth(layout, c.id) }} />)}
+                    </colgroup>
+                    <thead className="text-left text-xs uppercase text-gray-600 border-b">
+                        <tr>
+                            {TABLE_COLUMNS.map((c) => {
+                                const active = layout.sort.column === c.id;
+                                return (
+                                    <th
+                                        key={c.id}
+                                        scope="col"
+                                        className="relative px-3 py-2 select-none"
+                                        aria-sort={active ? (layout.sort.dir === "asc" ? "ascending" : "descending") : "none"}
+                                    >
+                                        <button type="button" className="uppercase hover:underline truncate max-w-full" onClick={() => sortBy(c.id)}>
+                                            {c.label}
+                                            <span className="ml-1 text-gray-400" aria-hidden="true">
+                                                {active ? (layout.sort.dir === "asc" ? "▲" : "▼") : ""}
+                                            </span>
+                                        </button>
+                                        <span
+                                            role="separator"
+                                            aria-orientation="vertical"
+                                            aria-label={`Resize ${c.label} column`}
+                                            aria-valuenow={columnWidth(layout, c.id)}
+                                            aria-valuemin={MIN_COLUMN_WIDTH}
+                                            tabIndex={0}
+                                            className="absolute top-0 right-0 h-full w-2 cursor-col-resize hover:bg-blue-200 focus-visible:bg-blue-300 outline-none"
+                                            onPointerDown={(e) => startResize(e, c.id)}
+                                            onKeyDown={(e) => {
+                                                if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+                                                e.preventDefault();
+                                                setWidth(c.id, columnWidth(layout, c.id) + (e.key === "ArrowRight" ? RESIZE_STEP : -RESIZE_STEP));
+                                            }}
+                                        />
+                                    </th>
+                                );
+                            })}
+                        </tr>
+                    </thead>
+                    {groups.map((g) => {
+                        const open = !collapsed.has(g.key);
+                        return (
+                            <tbody key={g.key}>
+                                {grouped && (
+                                    <tr className="bg-gray-50 border-b">
+                                        <th colSpan={TABLE_COLUMNS.length} scope="colgroup" className="px-3 py-1.5 text-left">
+                                            <button
+                                                type="button"
+                                                className="flex items-center gap-2 text-xs font-semibold text-gray-700"
+                                                aria-expanded={open}
+                                                onClick={() => toggleGroup(g.key)}
+                                            >
+                                                <span aria-hidden="true">{open ? "▾" : "▸"}</span>
+                                                {g.label}
+                                                <span className="font-normal text-gray-500">({g.rows.length})</span>
+                                            </button>
+                                        </th>
+                                    </tr>
+                                )}
+                                {open && g.rows.map((r) => (
+                                    <PostRow key={`${r.dataset || ""}:${r.source_line}`} row={r} taxonomy={taxonomy} highlight={highlight} />
+                                ))}
+                            </tbody>
+                        );
+                    })}
+                </table>
+            </div>
+        </div>
+    );
+}
+
+function PostRow({ row, taxonomy, highlight }) {
+    const when = formatDate(row.posted_at, row.posted_precision === "week" ? "day" : row.posted_precision || "day");
+    return (
+        <tr className={`border-b last:border-0 align-top hover:bg-gray-50 ${row.include === "n" ? "opacity-50" : ""}`}>
+            <td className="px-3 py-1 truncate">
+                {row.author ? <Link href={authorPath(row.author)} className="hover:underline">{row.author}</Link> : "(unknown)"}
+            </td>
+            <td
+                className="px-3 py-1 text-xs text-gray-600 whitespace-nowrap truncate"
+                title={row.posted_approx ? `Approximate: "${row.posted_iso}" before capture` : undefined}
+            >
+                {when ? `${row.posted_approx ? "≈ " : ""}${when}` : row.posted_iso || "—"}
+            </td>
+            <td className="px-3 py-1 truncate" title={row.headline}>
+                <Highlight text={row.headline || row.title || "(no title)"} terms={highlight} />
+            </td>
+            <td className="px-3 py-1 text-xs truncate">
+                {displayTags(row, taxonomy).map((t, i) => (
+                    <React.Fragment key={t}>
+                        {i > 0 && ", "}
+                        <Link href={tagPath(t)} className="text-gray-700 hover:underline">{t}</Link>
+                    </React.Fragment>
+                ))}
+            </td>
+            <td className="px-3 py-1 text-xs">
+                {row.url ? (
+                    <a href={row.url} target="_blank" rel="noreferrer" className="underline" aria-label={`Open on LinkedIn: ${row.headline}`}>
+                        Open ↗
+                    </a>
+                ) : "—"}
+            </td>
+        </tr>
+    );
+}
@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import { readerCounts, exportReaderState, importReaderState } from "../utils/readerState";
+import { exportAnnotations, importAnnotations } from "../utils/annotations";
+import { downloadText } from "../utils/download";
+import Dropdown from "./Dropdown";
+
+// -------------------- Reader state dropdown --------------------
+// Counts, "mark shown as read" and JSON export/import of the browser's reader state (utils/readerState.js)
+// and private notes (utils/annotations.js). `state` / `annotations` are null until read from localStorage;
+// `onChange` / `onAnnotationsChange` receive the next store to save.
+export default function ReaderMenu({ state, onChange, annotations, onAnnotationsChange, onMarkShownRead }) {
+    const fileRef = React.useRef(null);
+    const notesFileRef = React.useRef(null);
+    const [message, setMessage] = useState("");
+
+    function download() {
+        downloadText("linkedin-dashboard-reader.json", exportReaderState(state), "application/json");
+    }
+
+    function downloadNotes() {
+        downloadText("linkedin-dashboard-notes.json", exportAnnotations(annotations), "application/json");
+    }
+
+    // importer(store, text) → merged store, handed to save
+    async function upload(e, importer, store, save) {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+            save(importer(store, await file.text()));
+            setMessage(`Imported ${file.name}`);
+        } catch (err) {
+            setMessage(String(err?.message || err));
+        }
+    }
+
+    const counts = readerCounts(state);
+    const notes = Object.keys(annotations?.posts || {}).length;
+
+    return (
+        <Dropdown label="Reader" ready={!!(state && annotations)} onToggle={() => setMessage("")}>
+            {() => (
+                <>
+                    <div className="text-xs text-gray-600 px-1">
+                        {counts.read} read · {counts.starred} starred · {counts.hidden} hidden · {notes} annotated
+                        {state.lastSeen && (
+                            <div className="text-gray-400">Last visit: {new Date(state.lastSeen).toLocaleString()}</div>
+                        )}
+                    </div>
+                    <button
+                        className="mt-2 w-full text-left text-xs px-2 py-1 border rounded hover:bg-gray-50"
+                        onClick={() => { onMarkShownRead(); setMessage("Marked the shown posts as read"); }}
+                    >
+                        Mark shown posts as read
+                    </button>
+                    <p className="mt-2 text-[11px] text-gray-500 px-1">
+                        Stored in this browser only. Export it to move it to another browser.
+                    </p>
+                    <div className="flex items-center justify-end gap-2 mt-2">
+                        <span className="mr-auto text-xs text-gray-600">Read state</span>
+                        <button className="text-xs px-2 py-1 border rounded" onClick={download}>
+                            Export
+                        </button>
+                        <button className="text-xs px-2 py-1 border rounded" onClick={() => fileRef.current?.click()}>
+                            Import
+                        </button>
+                        <input
+                            ref={fileRef}
+                            type="file"
+                            accept="application/json,.json"
+                            className="hidden"
+                            onChange={(e) => upload(e, importReaderState, state, onChange)}
+                        />
+                    </div>
+                    <div className="flex items-center justify-end gap-2 mt-2">
+                        <span className="mr-auto text-xs text-gray-600">Notes</span>
+                        <button className="text-xs px-2 py-1 border rounded" onClick={downloadNotes} disabled={!notes}>
+                            Export
+                        </button>
+                        <button className="text-xs px-2 py-1 border rounded" onClick={() => notesFileRef.current?.click()}>
+                            Import
+                        </button>
+                        <input
+                            ref={notesFileRef}
+                            type="file"
+                            accept="application/json,.json"
+                            className="hidden"
+                            onChange={(e) => upload(e, importAnnotations, annotations, onAnnotationsChange)}
+                        />
+                    </div>
+                    {message && <div className="mt-2 text-xs text-gray-600">{message}</div>}
+                </>
+            )}
+        </Dropdown>
+    );
+}
@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from "react";
+import {
+    loadViews,
+    saveViews,
+    makeViewId,
+    viewFilters,
+    exportViews,
+    importViews,
+} from "../utils/savedViews";
+import { downloadText } from "../utils/download";
+import Dropdown from "./Dropdown";
+
+// -------------------- Saved views dropdown --------------------
+// `current` is the live filter state (see viewFilters); `onApply` receives a view's filters.
+export default function SavedViews({ current, onApply }) {
+    const fileRef = React.useRef(null);
+    const [store, setStore] = useState(null); // null until read from localStorage (client only)
+    const [newName, setNewName] = useState("");
+    const [editingId, setEditingId] = useState(null);
+    const [editName, setEditName] = useState("");
+    const [message, setMessage] = useState("");
+
+    useEffect(() => {
+        setStore(loadViews());
+    }, []);
+
+    function update(next) {
+        setStore(next);
+        saveViews(next);
+    }
+
+    function saveCurrent() {
+        const name = newName.trim();
+        if (!name) return;
+        // Saving under an existing name overwrites that view (and keeps its id/default status)
+        const existing = store.views.find((v) => v.name.toLowerCase() === name.toLowerCase());
+        const view = { id: existing?.id || makeViewId(), name, filters: viewFilters(current) };
+        const views = existing
+            ? store.views.map((v) => (v.id === existing.id ? view : v))
+            : [...store.views, view];
+        update({ ...store, views });
+        setNewName("");
+        setMessage(existing ? `Updated "${name}"` : `Saved "${name}"`);
+    }
+
+    function rename(id) {
+        const name = editName.trim();
+        if (!name) return;
+        if (store.views.some((v) => v.id !== id && v.name.toLowerCase() === name.toLowerCase())) {
+            setMessage(`A view named "${name}" already exists`);
+            return;
+        }
+        update({ ...store, views: store.views.map((v) => (v.id === id ? { ...v, name } : v)) });
+        setEditingId(null);
+        setMessage("");
+    }
+
+    function remove(id) {
+        update({
+            ...store,
+            defaultId: store.defaultId === id ? null : store.defaultId,
+            views: store.views.filter((v) => v.id !== id),
+        });
+    }
+
+    function toggleDefault(id) {
+        update({ ...store, defaultId: store.defaultId === id ? null : id });
+    }
+
+    function download() {
+        downloadText("linkedin-dashboard-views.json", exportViews(store), "application/json");
+    }
+
+    async function upload(e) {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+            const next = importViews(store, await file.text());
+            update(next);
+            setMessage(`Imported ${file.name}`);
+        } catch (err) {
+            setMessage(String(err?.message || err));
+        }
+    }
+
+    const views = store?.views || [];
+
+    return (
+        <Dropdown label={`Views${views.length ? ` (${views.length})` : ""}`} width="w-72" ready={!!store} onToggle={() => setMessage("")}>
+            {(close) => (
+                <>
+                    <div className="max-h-56 overflow-auto">
+                        {views.length ? (
+                            views.map((v) => (
+                                <div key={v.id} className="flex items-center gap-1 px-1 py-1 hover:bg-gray-50">
+                                    {editingId === v.id ? (
+                                        <>
+                                            <input
+                                                className="flex-1 border rounded px-2 py-0.5 text-sm"
+                                                value={editName}
+                                                onChange={(e) => setEditName(e.target.value)}
+                                                onKeyDown={(e) => { if (e.key === "Enter") rename(v.id); }}
+                                                autoFocus
+                                            />
+                                            <button className="text-xs px-1.5 border rounded" onClick={() => rename(v.id)}>Save</button>
+                                            <button className="text-xs px-1.5 border rounded" onClick={() => setEditingId(null)}>Cancel</button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <button
+                                                className="flex-1 text-left truncate"
+                                                title="Apply this view"
+                                                onClick={() => { onApply?.(v.filters); close(); }}
+                                            >
+                                                {v.name}
+                                            </button>
+                                            <button
+                                                className={`text-xs px-1 ${store.defaultId === v.id ? "text-amber-500" : "text-gray-300 hover:text-gray-500"}`}
+                                                title={store.defaultId === v.id ? "Default view (click to unset)" : "Open this view by default"}
+                                                onClick={() => toggleDefault(v.id)}
+                                            >
+                                                ★
+                                            </button>
+                                            <button
+                                                className="text-xs px-1 text-gray-500 hover:underline"
+                                                onClick={() => { setEditingId(v.id); setEditName(v.name); }}
+                                            >
+                                                Rename
+                                            </button>
+                                            <button className="text-xs px-1 text-red-600 hover:underline" onClick={() => remove(v.id)}>
+                                                Delete
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            ))
+                        ) : (
+                            <div className="text-xs text-gray-500 px-2 py-1">No saved views yet</div>
+                        )}
+                    </div>
+
+                    <div className="flex items-center gap-2 mt-2 pt-2 border-t">
+                        <input
+                            className="flex-1 border rounded px-2 py-1 text-sm"
+                            placeholder="Save current as…"
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === "Enter") saveCurrent(); }}
+                        />
+                        <button className="text-xs px-2 py-1 border rounded bg-gray-50" onClick={saveCurrent}>
+                            Save
+                        </button>
+                    </div>
+
+                    <div className="flex items-center justify-end gap-2 mt-2">
+                        {message && <span className="mr-auto text-xs text-gray-600">{message}</span>}
+                        <button className="text-xs px-2 py-1 border rounded" onClick={download} disabled={!views.length}>
+                            Export
+                        </button>
+                        <button className="text-xs px-2 py-1 border rounded" onClick={() => fileRef.current?.click()}>
+                            Import
+                        </button>
+                        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={upload} />
+                    </div>
+                </>
+            )}
+        </Dropdown>
+    );
+}
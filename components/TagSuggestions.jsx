@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+
+// -------------------- Suggested tags --------------------
+// Chips for suggestTags' output (utils/tagSuggest.js): ✓ adds the tag to the post through the edit API,
+// ✕ dismisses it for this post in this browser. Without `onAccept` (editing off or a read-only dataset)
+// only dismissing is offered. `onAccept(tag)` may return a promise; it rejects with the server's message.
+export default function TagSuggestions({ suggestions, onAccept = null, onReject, className = "" }) {
+    const [busy, setBusy] = useState(null);
+    const [error, setError] = useState("");
+
+    if (!suggestions?.length) return null;
+
+    async function accept(tag) {
+        setBusy(tag);
+        setError("");
+        try {
+            await onAccept(tag);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setBusy(null);
+        }
+    }
+
+    return (
+        <div className={className}>
+            <div className="flex flex-wrap items-center gap-1">
+                <span className="text-[11px] uppercase text-gray-500 mr-1">Suggested</span>
+                {suggestions.map((s) => (
+                    <span
+                        key={s.tag}
+                        className="inline-flex items-center gap-1 text-[11px] pl-2 pr-1 py-0.5 border border-dashed border-blue-300 rounded-full bg-blue-50 text-blue-800"
+                        title={s.reasons.join("; ")}
+                    >
+                        {s.tag}
+                        <span className="text-blue-500">{Math.round(s.confidence * 100)}%</span>
+                        {onAccept && (
+                            <button
+                                type="button"
+                                className="px-1 rounded hover:bg-blue-100 disabled:opacity-40"
+                                onClick={() => accept(s.tag)}
+                                disabled={busy !== null}
+                                aria-label={`Add tag ${s.tag}`}
+                            >
+                                ✓
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            className="px-1 rounded hover:bg-blue-100"
+                            onClick={() => onReject(s.tag)}
+                            aria-label={`Dismiss suggestion ${s.tag}`}
+                        >
+                            ✕
+                        </button>
+                    </span>
+                ))}
+            </div>
+            {error && <div className="mt-1 text-xs text-red-600">{error}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,176 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+
+// Column breakpoints of the old `grid sm:grid-cols-2 lg:grid-cols-3` layout
+const BREAKPOINTS = [
+    { minWidth: 1024, columns: 3 },
+    { minWidth: 640, columns: 2 },
+];
+const GAP = 16; // gap-4
+const OVERSCAN = 600; // px rendered above and below the viewport
+
+export function columnsFor(width) {
+    return BREAKPOINTS.find((b) => width >= b.minWidth)?.columns || 1;
+}
+
+// useLayoutEffect warns during server rendering
+const useIsoLayoutEffect = typeof window === "undefined" ? useEffect : useLayoutEffect;
+
+// -------------------- Virtualized card grid --------------------
+// Renders only the grid rows near the viewport (the page itself scrolls), measuring each row as it
+// mounts so cards can have any height. Items are revealed `pageSize` at a time as the end comes into
+// view (infinite scroll); `resetKey` changing starts again from the first page. `activeIndex` (e.g. the
+// keyboard-selected item) is revealed and scrolled into view when it changes. Other props go to the <section>.
+export default function VirtualGrid({
+    items,
+    itemKey,
+    renderItem,
+    pageSize = 60,
+    estimatedRowHeight = 160,
+    resetKey,
+    activeIndex = -1,
+    ...rest
+}) {
+    const containerRef = useRef(null);
+    const heights = useRef(new Map()); // grid row index → measured height incl. gap
+    const [measured, setMeasured] = useState(0); // bumped when a row's height changes
+    const [viewport, setViewport] = useState({ top: 0, height: 800, width: 1024 });
+    const [count, setCount] = useState(pageSize);
+
+    useEffect(() => setCount(pageSize), [resetKey, pageSize]);
+
+    // One scroll/resize listener, throttled to animation frames
+    useEffect(() => {
+        let frame = 0;
+        function update() {
+            frame = 0;
+            const el = containerRef.current;
+            if (!el) return;
+            const top = -el.getBoundingClientRect().top; // how far the grid's top is above the viewport
+            setViewport({ top, height: window.innerHeight, width: window.innerWidth });
+        }
+        function schedule() {
+            if (!frame) frame = requestAnimationFrame(update);
+        }
+        update();
+        window.addEventListener("scroll", schedule, { passive: true });
+        window.addEventListener("resize", schedule);
+        return () => {
+            if (frame) cancelAnimationFrame(frame);
+            window.removeEventListener("scroll", schedule);
+            window.removeEventListener("resize", schedule);
+        };
+    }, []);
+
+    const columns = columnsFor(viewport.width);
+    const shown = Math.min(count, items.length);
+    const rowCount = Math.ceil(shown / columns);
+
+    // Row sizes belong to the items and column count they were measured with
+    useIsoLayoutEffect(() => {
+        heights.current = new Map();
+        setMeasured((n) => n + 1);
+    }, [items, columns]);
+
+    // Prefix sums of row heights; unmeasured rows use the average of the measured ones
+    const offsets = useMemo(() => {
+        const known = [...heights.current.values()];
+        const estimate = known.length ? known.reduce((a, b) => a + b, 0) / known.length : estimatedRowHeight + GAP;
+        const out = new Array(rowCount + 1);
+        out[0] = 0;
+        for (let i = 0; i < rowCount; i++) out[i + 1] = out[i] + (heights.current.get(i) ?? estimate);
+        return out;
+    }, [rowCount, measured, estimatedRowHeight]);
+
+    // First row whose bottom is below `y` (binary search over offsets)
+    function rowAt(y) {
+        let lo = 0;
+        let hi = rowCount;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (offsets[mid + 1] <= y) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    const first = rowAt(Math.max(0, viewport.top - OVERSCAN));
+    const last = Math.min(rowCount, rowAt(viewport.top + viewport.height + OVERSCAN) + 1);
+
+    // Reveal the next page once the last loaded row is about to come into view
+    useEffect(() => {
+        if (last >= rowCount - 1 && shown < items.length) setCount((c) => Math.min(c + pageSize, items.length));
+    }, [last, rowCount, shown, items.length, pageSize]);
+
+    // Keep the active item in view, loading pages up to it if needed
+    useEffect(() => {
+        if (activeIndex < 0) return;
+        if (activeIndex >= shown) {
+            setCount(Math.min(items.length, Math.ceil((activeIndex + 1) / pageSize) * pageSize));
+            return; // runs again once the item's row exists
+        }
+        const el = containerRef.current;
+        if (!el) return;
+        const row = Math.floor(activeIndex / columns);
+        const top = el.getBoundingClientRect().top + window.scrollY + offsets[row];
+        const bottom = top + offsets[row + 1] - offsets[row] - GAP;
+        if (top < window.scrollY + GAP) window.scrollTo({ top: top - GAP });
+        else if (bottom > window.scrollY + window.innerHeight - GAP) window.scrollTo({ top: bottom - window.innerHeight + GAP });
+    }, [activeIndex, shown]);
+
+    const observer = useRef(null);
+    const observed = useRef(new Set());
+    useEffect(() => {
+        if (typeof ResizeObserver === "undefined") return;
+        observer.current = new ResizeObserver((entries) => {
+            let changed = false;
+            for (const e of entries) {
+                const row = Number(e.target.dataset.row);
+                const h = e.target.offsetHeight + GAP;
+                if (heights.current.get(row) !== h) {
+                    heights.current.set(row, h);
+                    changed = true;
+                }
+            }
+            if (changed) setMeasured((n) => n + 1);
+        });
+        return () => observer.current.disconnect();
+    }, []);
+
+    // Observe rows as they mount and let go of the ones scrolled out of the window
+    function measureRow(el) {
+        if (!el || !observer.current || observed.current.has(el)) return;
+        observed.current.add(el);
+        observer.current.observe(el);
+    }
+    useEffect(() => {
+        for (const el of observed.current) {
+            if (el.isConnected) continue;
+            observer.current?.unobserve(el);
+            observed.current.delete(el);
+        }
+    });
+
+    const rows = [];
+    for (let r = first; r < last; r++) {
+        const slice = items.slice(r * columns, Math.min((r + 1) * columns, shown));
+        rows.push(
+            <div
+                key={`${r}:${itemKey(slice[0])}`}
+                ref={measureRow}
+                data-row={r}
+                className="grid gap-4"
+                style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, marginBottom: GAP }}
+            >
+                {slice.map((item, i) => (
+                    <React.Fragment key={itemKey(item)}>{renderItem(item, r * columns + i)}</React.Fragment>
+                ))}
+            </div>
+        );
+    }
+
+    return (
+        <section {...rest} ref={containerRef} className="relative" style={{ height: offsets[rowCount] }}>
+            <div style={{ transform: `translateY(${offsets[first]}px)` }}>{rows}</div>
+        </section>
+    );
+}
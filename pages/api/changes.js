@@ -0,0 +1,46 @@
+// GET /api/changes — Server-Sent Events telling open dashboards that data files in public/ changed
+//
+//   event: change
+//   data: { "files": ["linkedin_posts.csv"], "mtimes": { "linkedin_posts.csv": 1718000000000.123 } }
+//
+// File names are relative to public/, "*" when the platform doesn't say. mtimes match the `mtime` /api/edit returns
+// for its own write, so the dashboard that saved can skip reloading again.
+// Changes are batched until writes settle (utils/publicWatcher.js). A comment line every HEARTBEAT keeps proxies
+// from closing the idle connection. Needs `next dev`/`next start`; on static hosting the dashboard doesn't live-reload.
+import { watchPublicFiles } from "../../utils/publicWatcher";
+
+const HEARTBEAT = 25000;
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let unsubscribe;
+  try {
+    unsubscribe = watchPublicFiles((files, mtimes) => res.write(`event: change\ndata: ${JSON.stringify({ files, mtimes })}\n\n`));
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    // Next's gzip would hold events back until the response ends
+    "Content-Encoding": "none",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+  const ping = setInterval(() => res.write(": ping\n\n"), HEARTBEAT);
+
+  return new Promise((resolve) => {
+    req.on("close", () => {
+      clearInterval(ping);
+      unsubscribe();
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,158 @@
+// /api/edit — write edits from the dashboard back to a dataset's posts CSV in public/
+//
+// Editing is off unless DASHBOARD_EDIT_TOKEN is set (e.g. in .env.local); every POST must send
+// that value in the x-edit-token header. Meant for a local `next dev`/`next start`, not a public host.
+//
+//   GET                → { enabled, authorized }
+//   POST update        { action: "update", dataset, line, post_url, changes: { include, headline, summary, tags, ... } }
+//                      line/post_url identify the row as the editor loaded it (409 if it changed on disk)
+//   POST add           { action: "add", dataset, post: { posted_iso, author, headline, summary, tags, post_url } }
+//   POST import        { action: "import", dataset, posts: [post, …] } — appends the valid posts that aren't
+//                      already in the dataset; answers { added, skipped: [{ index, errors }] } (see /import)
+//   POST tags          { action: "tags", dataset, posts: [{ line, post_url, tags: [] }, …] } — replaces the tags of
+//                      several rows in one write; answers { updated, skipped: [{ index, errors }] } (see /review)
+//
+// dataset is an id from datasets.json (default: the first dataset); datasets read through an importer
+// (a "format" other than dashboard) are read-only.
+//
+// Successful writes answer { ok, line?, backup } — the previous file is kept under backups/.
+import crypto from "crypto";
+import { loadDatasets, readPublicText } from "../../utils/serverData";
+import { datasetById, loadCollection, isEditable } from "../../utils/datasets";
+import { updatePostsFile, ConflictError } from "../../utils/postsWriter";
+import { validatePost, EDITABLE_FIELDS } from "../../utils/postValidation";
+import { absoluteDateValue } from "../../utils/dates";
+
+function tokenMatches(req) {
+  const expected = process.env.DASHBOARD_EDIT_TOKEN;
+  const given = req.headers["x-edit-token"];
+  if (!expected || !given) return false;
+  // Compare digests so lengths always match for timingSafeEqual
+  const digest = (s) => crypto.createHash("sha256").update(String(s)).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(given));
+}
+
+// Editor payload → CSV cell values. A relative date ("3mo") is resolved to today's date before it is written:
+// read back against the file's # captured_at line it would count from the wrong day.
+function toCells(fields) {
+  const cells = {};
+  for (const f of EDITABLE_FIELDS) {
+    if (fields[f] === undefined) continue;
+    if (f === "tags") cells.tags = (fields.tags || []).map((t) => String(t).trim()).filter(Boolean).join(", ");
+    else if (f === "posted_iso") cells.posted_iso = absoluteDateValue(fields.posted_iso);
+    else if (f === "include") cells.include = String(fields.include).toLowerCase() === "n" ? "N" : "Y";
+    else cells[f] = String(fields[f] ?? "").trim();
+  }
+  return cells;
+}
+
+// The row as it is on disk, in validatePost's shape
+function asPost(row) {
+  return {
+    include: row.include,
+    posted_iso: row.posted_iso,
+    author: row.author,
+    headline: row.headline,
+    summary: row.summary,
+    tags: String(row.tags || "").split(/[;,]\s*/g).filter(Boolean),
+    post_url: row.post_url,
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+  const enabled = Boolean(process.env.DASHBOARD_EDIT_TOKEN);
+
+  if (req.method === "GET") return res.status(200).json({ enabled, authorized: tokenMatches(req) });
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (!enabled) return res.status(403).json({ error: "Editing is disabled (set DASHBOARD_EDIT_TOKEN)" });
+  if (!tokenMatches(req)) return res.status(401).json({ error: "Invalid edit token" });
+
+  const body = req.body || {};
+  try {
+    const datasets = await loadDatasets();
+    const dataset = datasetById(datasets, body.dataset ?? datasets[0].id);
+    if (!dataset) return res.status(400).json({ error: `Unknown dataset "${body.dataset}"` });
+    if (!isEditable(dataset)) return res.status(400).json({ error: `${dataset.name} is read-only (format "${dataset.format}")` });
+    const { rows, taxonomy } = await loadCollection(datasets, dataset.id, readPublicText);
+
+    if (body.action === "update") {
+      const line = Number(body.line);
+      const current = rows.find((r) => r.source_line === line);
+      const changes = body.changes || {};
+      const merged = { ...(current ? asPost(current) : {}), ...changes };
+      // Only a changed URL is checked for duplicates; the CSV may already hold rows the dashboard merges
+      const urlChanged = changes.post_url !== undefined && changes.post_url !== current?.post_url;
+      const { ok, errors } = validatePost(merged, { taxonomy, rows: urlChanged ? rows : [], selfLine: line });
+      if (current && !ok) return res.status(400).json({ error: "Invalid post", errors });
+
+      const result = await updatePostsFile((editor) => {
+        const idx = editor.find(line, body.post_url);
+        for (const [field, value] of Object.entries(toCells(changes))) editor.set(idx, field, value);
+        return { line };
+      }, dataset.posts);
+      return res.status(200).json({ ok: true, ...result });
+    }
+
+    if (body.action === "add") {
+      const post = { include: "y", ...(body.post || {}) };
+      const { ok, errors } = validatePost(post, { taxonomy, rows });
+      if (!ok) return res.status(400).json({ error: "Invalid post", errors });
+
+      const result = await updatePostsFile((editor) => {
+        editor.append(toCells(post));
+      }, dataset.posts);
+      return res.status(200).json({ ok: true, ...result });
+    }
+
+    if (body.action === "import") {
+      const posts = Array.isArray(body.posts) ? body.posts : [];
+      const accepted = [];
+      const skipped = [];
+      // Later posts are checked against earlier ones too, so a file with repeats adds each post once
+      const known = [...rows];
+      posts.forEach((p, index) => {
+        const post = { include: "y", ...p };
+        const { ok, errors } = validatePost(post, { taxonomy, rows: known });
+        if (!ok) return skipped.push({ index, errors });
+        accepted.push(post);
+        known.push({ post_url: post.post_url, headline: post.headline, source_line: `${index + 1} of this import` });
+      });
+      if (!accepted.length) return res.status(200).json({ ok: true, added: 0, skipped });
+
+      const result = await updatePostsFile((editor) => {
+        for (const post of accepted) editor.append(toCells(post));
+      }, dataset.posts);
+      return res.status(200).json({ ok: true, ...result, added: accepted.length, skipped });
+    }
+
+    if (body.action === "tags") {
+      const posts = Array.isArray(body.posts) ? body.posts : [];
+      const accepted = [];
+      const skipped = [];
+      posts.forEach((p, index) => {
+        const current = rows.find((r) => r.source_line === Number(p?.line));
+        if (!current) return skipped.push({ index, errors: { line: `No post on line ${p?.line}` } });
+        // Missing tags count as invalid here rather than as "unchanged"
+        const { ok, errors } = validatePost({ ...asPost(current), tags: p.tags ?? null }, { taxonomy });
+        if (!ok) return skipped.push({ index, errors });
+        accepted.push(p);
+      });
+      if (!accepted.length) return res.status(200).json({ ok: true, updated: 0, skipped });
+
+      const result = await updatePostsFile((editor) => {
+        for (const p of accepted) editor.set(editor.find(Number(p.line), p.post_url), "tags", toCells({ tags: p.tags }).tags);
+      }, dataset.posts);
+      return res.status(200).json({ ok: true, ...result, updated: accepted.length, skipped });
+    }
+
+    return res.status(400).json({ error: 'action must be "update", "add", "import" or "tags"' });
+  } catch (e) {
+    if (e instanceof ConflictError) return res.status(409).json({ error: e.message });
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
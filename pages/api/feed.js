@@ -0,0 +1,66 @@
+// GET /api/feed — RSS 2.0 (default) or Atom (?format=atom) feed of posts
+//
+// Accepts the filter and sort params of /api/posts (see utils/postsQuery.js), plus
+//   format        rss (default) | atom
+//   limit         number of items, 1–500 (default 50)
+import { readPostsParams, queryPosts, firstParam, BadRequestError } from "../../utils/postsQuery";
+import { postsToRSS, postsToAtom } from "../../utils/exporters";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Query params shared with the dashboard URL (everything except feed-only ones)
+const DASHBOARD_PARAMS = ["author", "author_not", "tag", "tag_not", "tag_mode", "period", "q", "exact", "sort", "dataset"];
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const q = req.query;
+  const format = firstParam(q.format) || "rss";
+  const limit = q.limit == null ? DEFAULT_LIMIT : Number(firstParam(q.limit));
+  let params;
+  try {
+    params = readPostsParams(q);
+    if (!["rss", "atom"].includes(format)) throw new BadRequestError(`Unknown format "${format}". Use rss or atom`);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new BadRequestError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  } catch (e) {
+    if (e instanceof BadRequestError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+
+  let result;
+  try {
+    result = await queryPosts(params);
+  } catch (e) {
+    if (e instanceof BadRequestError) return res.status(400).json({ error: e.message, ...e.extra });
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+
+  const proto = String(req.headers["x-forwarded-proto"] || "http").split(",")[0];
+  const origin = `${proto}://${req.headers.host}`;
+  const dashboardQuery = new URLSearchParams();
+  for (const k of DASHBOARD_PARAMS) for (const v of [].concat(q[k] ?? [])) dashboardQuery.append(k, v);
+  const qs = dashboardQuery.toString();
+
+  const feed = {
+    title: params.search ? `LinkedIn posts: ${params.search}` : "LinkedIn posts",
+    link: `${origin}/${qs ? `?${qs}` : ""}`,
+    selfUrl: `${origin}${req.url}`,
+    taxonomy: result.taxonomy,
+  };
+  const items = result.posts.slice(0, limit);
+
+  res.setHeader("Cache-Control", "no-store");
+  if (format === "atom") {
+    res.setHeader("Content-Type", "application/atom+xml; charset=utf-8");
+    return res.status(200).send(postsToAtom(items, feed));
+  }
+  res.setHeader("Content-Type", "application/rss+xml; charset=utf-8");
+  return res.status(200).send(postsToRSS(items, feed));
+}
@@ -0,0 +1,66 @@
+// GET /api/posts — server-side query over a dataset's posts file in public/, picked with `dataset` from
+// public/datasets.json (default: the first dataset, or linkedin_posts.csv without a datasets.json; `all` queries
+// every one)
+//
+// Filter and sort params are listed in utils/postsQuery.js. Paging:
+//   limit         page size, 1–500 (default 50)
+//   cursor        opaque value from a previous response's nextCursor
+import { toPostJSON } from "../../utils/posts";
+import { readPostsParams, queryPosts, firstParam, BadRequestError } from "../../utils/postsQuery";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  const n = Number(Buffer.from(String(cursor), "base64url").toString());
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const q = req.query;
+  let params;
+  try {
+    params = readPostsParams(q);
+  } catch (e) {
+    if (e instanceof BadRequestError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+
+  const limit = q.limit == null ? DEFAULT_LIMIT : Number(firstParam(q.limit));
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+  }
+
+  const offset = decodeCursor(firstParam(q.cursor));
+  if (offset === null) return res.status(400).json({ error: "Invalid cursor" });
+
+  let posts;
+  try {
+    ({ posts } = await queryPosts(params));
+  } catch (e) {
+    if (e instanceof BadRequestError) return res.status(400).json({ error: e.message, ...e.extra });
+    console.error(e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+
+  const page = posts.slice(offset, offset + limit);
+  const next = offset + page.length;
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({
+    total: posts.length,
+    count: page.length,
+    nextCursor: next < posts.length ? encodeCursor(next) : null,
+    items: page.map(toPostJSON),
+  });
+}
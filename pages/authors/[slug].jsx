@@ -0,0 +1,163 @@
+"use client";
+import React, { useEffect, useState, useMemo } from "react";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { safeTags } from "../../utils/posts";
+import { canonicalTag } from "../../utils/taxonomy";
+import { fetchPosts, fetchAuthorProfiles } from "../../utils/loadData";
+import { ALL_DATASETS } from "../../utils/datasets";
+import { mergeDuplicates } from "../../utils/dedupe";
+import { authorActivity } from "../../utils/authors";
+import { tagPath } from "../../utils/tags";
+import { buildFilterQuery, FILTER_DEFAULTS } from "../../utils/urlState";
+import { formatDate } from "../../utils/dates";
+import { Bars } from "../../components/AnalyticsView";
+
+function formatDay(d) {
+    return formatDate(d) || "—";
+}
+
+// ============================================================
+// /authors/[slug] — one author's posts, tags and posting rhythm
+// ============================================================
+export default function AuthorPage() {
+    const router = useRouter();
+    const slug = typeof router.query.slug === "string" ? router.query.slug : null;
+    const [data, setData] = useState(null); // { rows, taxonomy, profiles, datasets }
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        async function load() {
+            setLoading(true);
+            setError("");
+            try {
+                // An author's history spans every collection in datasets.json
+                const { rows, taxonomy, datasets } = await fetchPosts(ALL_DATASETS);
+                const profiles = await fetchAuthorProfiles(ALL_DATASETS);
+                // Same duplicate merging as the dashboard, so counts agree
+                setData({ rows: mergeDuplicates(rows).filter((r) => r.include !== "n"), taxonomy, profiles, datasets });
+            } catch (e) {
+                console.error(e);
+                setError(String(e?.message || e));
+            } finally {
+                setLoading(false);
+            }
+        }
+        load();
+    }, []);
+
+    const activity = useMemo(
+        () => (data && slug ? authorActivity(data.rows, slug, { taxonomy: data.taxonomy }) : null),
+        [data, slug]
+    );
+    const profile = (data && slug && data.profiles.get(slug)) || null;
+    const name = profile?.name || activity?.name || "";
+
+    if (loading || !router.isReady) return <div className="p-6 text-sm text-gray-700">Loading author…</div>;
+
+    const dataset = data?.datasets.length > 1 ? ALL_DATASETS : "";
+    const dashboardLink = `/?${buildFilterQuery({ ...FILTER_DEFAULTS, authors: [name], period: -1, dataset })}`;
+
+    return (
+        <div className="p-6 space-y-6">
+            <header className="space-y-1">
+                <div className="text-xs">
+                    <Link href="/" className="text-gray-500 hover:underline">← Dashboard</Link>
+                </div>
+                <h1 className="text-2xl font-semibold tracking-tight">{name || "Unknown author"}</h1>
+                {profile && (profile.role || profile.organization) && (
+                    <p className="text-sm text-gray-700">{[profile.role, profile.organization].filter(Boolean).join(" · ")}</p>
+                )}
+                {profile?.profile_url && (
+                    <p className="text-sm">
+                        <a href={profile.profile_url} target="_blank" rel="noreferrer" className="underline">LinkedIn profile ↗</a>
+                    </p>
+                )}
+                {profile?.notes && <p className="text-sm text-gray-600 whitespace-pre-line">{profile.notes}</p>}
+                {error && (
+                    <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2 inline-block">
+                        {error}
+                    </div>
+                )}
+            </header>
+
+            {!name && !error && (
+                <p className="text-sm text-gray-600">No posts or curated entry for “{slug}”.</p>
+            )}
+
+            {activity && activity.posts.length > 0 && (
+                <>
+                    <section className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4 text-sm">
+                        <Stat label="Posts" value={activity.posts.length} />
+                        <Stat label="First seen" value={formatDay(activity.firstSeen)} />
+                        <Stat label="Last seen" value={formatDay(activity.lastSeen)} />
+                        <Stat label="Per month" value={isNaN(activity.perMonth) ? "—" : activity.perMonth.toFixed(1)} />
+                    </section>
+
+                    <section className="grid gap-6 lg:grid-cols-2">
+                        <div className="border rounded-2xl p-4 bg-white shadow-sm">
+                            <h2 className="text-sm font-semibold mb-3">Posts per month</h2>
+                            <Bars
+                                height={100}
+                                buckets={activity.monthly.map((b) => ({ ...b, parts: [{ value: b.count, color: "#2563eb" }] }))}
+                            />
+                        </div>
+                        <div className="border rounded-2xl p-4 bg-white shadow-sm">
+                            <h2 className="text-sm font-semibold mb-3">Most used tags</h2>
+                            <div className="flex flex-wrap gap-1">
+                                {activity.topTags.slice(0, 15).map((t) => (
+                                    <Link key={t.tag} href={tagPath(t.tag)} className="text-[11px] px-2 py-0.5 border rounded-full hover:bg-gray-50">
+                                        {t.tag} <span className="text-gray-500">{t.count}</span>
+                                    </Link>
+                                ))}
+                            </div>
+                        </div>
+                    </section>
+
+                    <section className="space-y-3">
+                        <div className="flex items-center">
+                            <h2 className="text-sm font-semibold">Posts, newest first</h2>
+                            <Link href={dashboardLink} className="ml-auto text-xs underline">Open in dashboard</Link>
+                        </div>
+                        <ol className="space-y-3">
+                            {activity.posts.map((r, i) => (
+                                <li key={`${r.source_line}-${i}`} className="border rounded-2xl p-4 bg-white shadow-sm">
+                                    <div className="text-xs text-gray-500">
+                                        {r.posted_approx ? `${r.posted_approx_label} (≈ ${r.posted_iso_abs})` : r.posted_iso_abs || "undated"}
+                                    </div>
+                                    <div className="font-semibold leading-snug">
+                                        {r.url ? (
+                                            <a href={r.url} target="_blank" rel="noreferrer" className="hover:underline">{r.headline || "(no title)"}</a>
+                                        ) : r.headline || "(no title)"}
+                                    </div>
+                                    {r.summary && <p className="mt-1 text-sm text-gray-700">{r.summary}</p>}
+                                    <div className="mt-2 flex flex-wrap gap-1">
+                                        {safeTags(r).map((t) => (
+                                            <Link key={t} href={tagPath(t)} className="text-[11px] px-2 py-0.5 border rounded-full hover:bg-gray-50">
+                                                {canonicalTag(data.taxonomy, t)}
+                                            </Link>
+                                        ))}
+                                    </div>
+                                </li>
+                            ))}
+                        </ol>
+                    </section>
+                </>
+            )}
+
+            {name && activity && !activity.posts.length && (
+                <p className="text-sm text-gray-600">No posts from {name} yet.</p>
+            )}
+        </div>
+    );
+}
+
+function Stat({ label, value }) {
+    return (
+        <div className="border rounded-2xl p-4 bg-white shadow-sm">
+            <div className="text-xs uppercase text-gray-600">{label}</div>
+            <div className="text-xl font-semibold">{value}</div>
+        </div>
+    );
+}
@@ -0,0 +1,157 @@
+"use client";
+import React, { useEffect, useState, useMemo } from "react";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { fetchPosts, fetchCuratedAuthors, fetchDatasets } from "../utils/loadData";
+import { datasetById } from "../utils/datasets";
+import { diagnosePosts, PROBLEM_KINDS } from "../utils/diagnostics";
+
+// ============================================================
+// /diagnostics — data quality report for a dataset's posts CSV (?dataset=<id>)
+// ============================================================
+export default function DiagnosticsPage() {
+    const router = useRouter();
+    const [datasets, setDatasets] = useState(null);
+    const [data, setData] = useState(null); // { rows, taxonomy, curatedAuthors }
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState("");
+    const [kind, setKind] = useState("all");
+
+    useEffect(() => {
+        fetchDatasets().then(setDatasets);
+    }, []);
+
+    // One collection at a time: line numbers only make sense within a file
+    const dataset = datasets && router.isReady ? datasetById(datasets, router.query.dataset) || datasets[0] : null;
+    const datasetId = dataset?.id || null;
+
+    useEffect(() => {
+        if (!datasetId) return;
+        async function load() {
+            setLoading(true);
+            setError("");
+            try {
+                const { rows, taxonomy } = await fetchPosts(datasetId, datasets);
+                const curatedAuthors = await fetchCuratedAuthors(datasetId, datasets);
+                setData({ rows, taxonomy, curatedAuthors });
+            } catch (e) {
+                console.error(e);
+                setError(String(e?.message || e));
+            } finally {
+                setLoading(false);
+            }
+        }
+        load();
+    }, [datasetId]);
+
+    const problems = useMemo(
+        () => (data ? diagnosePosts(data.rows, { curatedAuthors: data.curatedAuthors, taxonomy: data.taxonomy }) : []),
+        [data]
+    );
+
+    const counts = useMemo(() => {
+        const out = {};
+        for (const p of problems) out[p.kind] = (out[p.kind] || 0) + 1;
+        return out;
+    }, [problems]);
+
+    const shown = kind === "all" ? problems : problems.filter((p) => p.kind === kind);
+    const affectedRows = new Set(problems.map((p) => p.row)).size;
+
+    if (loading || !dataset) return <div className="p-6 text-sm text-gray-700">Checking {dataset?.posts || "posts"}…</div>;
+
+    return (
+        <div className="p-6 space-y-6">
+            <header className="space-y-1">
+                <div className="text-xs">
+                    <Link href="/" className="text-gray-500 hover:underline">← Dashboard</Link>
+                </div>
+                <h1 className="text-2xl font-semibold tracking-tight">Data quality report</h1>
+                <p className="text-sm text-gray-600">
+                    Problems in <code>{dataset.posts}</code>, by the line each record starts on. Fix these before publishing.
+                </p>
+                {datasets.length > 1 && (
+                    <div className="flex items-center gap-2 text-xs text-gray-600">
+                        <label htmlFor="dataset-select">Dataset:</label>
+                        <select
+                            id="dataset-select"
+                            className="border rounded px-2 py-1 text-sm"
+                            value={dataset.id}
+                            onChange={(e) => router.replace({ pathname: router.pathname, query: { dataset: e.target.value } })}
+                        >
+                            {datasets.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                        </select>
+                    </div>
+                )}
+                {error && (
+                    <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2 inline-block">
+                        {error}
+                    </div>
+                )}
+                {data && (
+                    <ul className="text-xs text-gray-500 list-disc pl-5">
+                        {!data.taxonomy && <li>No {dataset.tags || "tags file"} — tag check skipped.</li>}
+                        {!data.curatedAuthors && <li>No {dataset.authors || "authors file"} — author check skipped.</li>}
+                    </ul>
+                )}
+            </header>
+
+            {data && (
+                <div className="text-sm text-gray-700">
+                    {problems.length ? (
+                        <>
+                            <strong>{problems.length}</strong> problems in <strong>{affectedRows}</strong> of {data.rows.length} rows.
+                        </>
+                    ) : (
+                        <>No problems found in {data.rows.length} rows.</>
+                    )}
+                </div>
+            )}
+
+            {problems.length > 0 && (
+                <section className="flex flex-wrap gap-2">
+                    <button
+                        className={`text-xs px-3 py-1.5 border rounded ${kind === "all" ? "bg-gray-800 text-white" : "bg-white"}`}
+                        onClick={() => setKind("all")}
+                    >
+                        All ({problems.length})
+                    </button>
+                    {Object.keys(PROBLEM_KINDS).filter((k) => counts[k]).map((k) => (
+                        <button
+                            key={k}
+                            className={`text-xs px-3 py-1.5 border rounded ${kind === k ? "bg-gray-800 text-white" : "bg-white"}`}
+                            onClick={() => setKind(k)}
+                        >
+                            {PROBLEM_KINDS[k]} ({counts[k]})
+                        </button>
+                    ))}
+                </section>
+            )}
+
+            {shown.length > 0 && (
+                <section className="overflow-x-auto border rounded-2xl bg-white">
+                    <table className="w-full text-sm">
+                        <thead className="text-left text-xs uppercase text-gray-600 border-b">
+                            <tr>
+                                <th className="px-3 py-2 w-16">Line</th>
+                                <th className="px-3 py-2">Problem</th>
+                                <th className="px-3 py-2">Value</th>
+                                <th className="px-3 py-2">Headline</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shown.map((p, i) => (
+                                <tr key={`${p.line}-${p.kind}-${i}`} className="border-b last:border-0 align-top">
+                                    <td className="px-3 py-2 font-mono text-xs text-gray-500">{p.line ?? "?"}</td>
+                                    <td className="px-3 py-2">{p.message}</td>
+                                    <td className="px-3 py-2 text-xs text-gray-700 break-all">{p.value}</td>
+                                    <td className="px-3 py-2 text-xs text-gray-500">{p.row.headline || "—"}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </section>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,323 @@
+"use client";
+import React, { useEffect, useMemo, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { fetchPosts, fetchCuratedAuthors, fetchDatasets } from "../utils/loadData";
+import { datasetById, isEditable } from "../utils/datasets";
+import { IMPORTERS, POST_FIELDS, FIELD_LABELS, detectImporter, guessMapping, importPosts, sourceHeaders, recordsToCSV } from "../utils/importers";
+import { loadMapping, saveMapping } from "../utils/importMappings";
+import { validatePost } from "../utils/postValidation";
+import { absoluteDateValue, parseCaptureDate } from "../utils/dates";
+import { downloadText } from "../utils/download";
+import { loadEditToken, fetchEditStatus, postEdit } from "../components/PostEditor";
+
+// Importers that need a column mapping
+const MAPPED_FORMATS = ["csv", "scraper-json"];
+
+// How many imported rows the preview table lists
+const PREVIEW_ROWS = 100;
+
+// Imported record → the editor/API post shape (tags as a list). Relative dates ("3mo") become absolute ones, counted
+// from the record's captured_at, else the source file's, else today: the target CSV's own captured_at line is
+// unrelated to when the source was scraped.
+function asPost(o, capturedAt = null) {
+    return {
+        include: String(o.include || "y").trim().toLowerCase() === "n" ? "n" : "y",
+        posted_iso: absoluteDateValue(o.posted_iso, { base: parseCaptureDate(o.captured_at) || capturedAt }),
+        author: String(o.author || "").trim(),
+        headline: String(o.headline || "").trim(),
+        summary: String(o.summary || "").trim(),
+        tags: String(o.tags || "").split(/[;,]\s*/g).map((t) => t.trim()).filter(Boolean),
+        post_url: String(o.post_url || "").trim(),
+    };
+}
+
+// ============================================================
+// /import — bring posts from other formats into a dataset (?dataset=<id>)
+// ============================================================
+export default function ImportPage() {
+    const router = useRouter();
+    const [datasets, setDatasets] = useState(null);
+    const [target, setTarget] = useState(null); // { rows, taxonomy, curatedAuthors } of the chosen dataset
+    const [text, setText] = useState("");
+    const [fileName, setFileName] = useState("");
+    const [format, setFormat] = useState(""); // "" = detected
+    const [author, setAuthor] = useState("");
+    const [mapping, setMapping] = useState(null);
+    const [mappingSaved, setMappingSaved] = useState(false);
+    const [editStatus, setEditStatus] = useState({ enabled: false, authorized: false });
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState("");
+
+    useEffect(() => {
+        fetchDatasets().then(setDatasets);
+        fetchEditStatus(loadEditToken()).then(setEditStatus);
+    }, []);
+
+    const dataset = datasets && router.isReady ? datasetById(datasets, router.query.dataset) || datasets[0] : null;
+    const datasetId = dataset?.id || null;
+
+    useEffect(() => {
+        if (!datasetId) return;
+        let cancelled = false;
+        async function load() {
+            try {
+                const { rows, taxonomy } = await fetchPosts(datasetId, datasets);
+                const curatedAuthors = await fetchCuratedAuthors(datasetId, datasets);
+                if (!cancelled) setTarget({ rows, taxonomy, curatedAuthors });
+            } catch (e) {
+                console.error(e);
+                if (!cancelled) setTarget({ rows: [], taxonomy: null, curatedAuthors: null });
+            }
+        }
+        load();
+        return () => { cancelled = true; };
+    }, [datasetId]);
+
+    const detected = useMemo(() => (text.trim() ? detectImporter(text).id : null), [text]);
+    const activeFormat = format || detected;
+    const headers = useMemo(() => (text.trim() ? sourceHeaders(text) : []), [text]);
+
+    // A new source starts from its saved mapping, else a guess from the header names
+    useEffect(() => {
+        if (!headers.length) {
+            setMapping(null);
+            return;
+        }
+        const saved = loadMapping(headers);
+        setMapping(saved || guessMapping(headers));
+        setMappingSaved(Boolean(saved));
+    }, [headers]);
+
+    function setField(field, header) {
+        const next = { ...mapping, [field]: header || null };
+        setMapping(next);
+        saveMapping(headers, next);
+        setMappingSaved(true);
+    }
+
+    const result = useMemo(() => {
+        if (!activeFormat || !text.trim()) return null;
+        try {
+            const options = { format: activeFormat, author, taxonomy: target?.taxonomy || null };
+            if (MAPPED_FORMATS.includes(activeFormat) && mapping) options.mapping = mapping;
+            return { ...importPosts(text, options), error: null };
+        } catch (e) {
+            return { objects: [], error: String(e?.message || e) };
+        }
+    }, [text, activeFormat, author, mapping, target]);
+
+    // Checked against the dataset and against earlier rows of the same import, as /api/edit does
+    const checked = useMemo(() => {
+        if (!result || !target) return [];
+        const known = [...target.rows];
+        return result.objects.map((o, index) => {
+            const post = asPost(o, result.capturedAt);
+            const { ok, errors, warnings } = validatePost(post, {
+                taxonomy: target.taxonomy,
+                curatedAuthors: target.curatedAuthors,
+                rows: known,
+            });
+            if (ok) known.push({ post_url: post.post_url, headline: post.headline, source_line: `${index + 1} of this import` });
+            return { post, ok, errors, warnings, line: o.source_line };
+        });
+    }, [result, target]);
+
+    const valid = checked.filter((c) => c.ok);
+    const canAppend = dataset && isEditable(dataset) && editStatus.authorized && valid.length > 0;
+
+    async function readFile(file) {
+        if (!file) return;
+        setFileName(file.name);
+        setFormat("");
+        setMessage("");
+        setText(await file.text());
+    }
+
+    function download() {
+        const base = (fileName || "import").replace(/\.[^.]+$/, "");
+        downloadText(`${base}-dashboard.csv`, recordsToCSV(valid.map((c) => ({ ...c.post, tags: c.post.tags.join(", ") }))), "text/csv");
+    }
+
+    async function append() {
+        setBusy(true);
+        setMessage("");
+        try {
+            const res = await postEdit(loadEditToken(), { action: "import", dataset: dataset.id, posts: valid.map((c) => c.post) });
+            setMessage(
+                `Added ${res.added} posts to ${dataset.posts}` +
+                    (res.skipped.length ? `; ${res.skipped.length} skipped` : "") +
+                    (res.backup ? ` (previous file kept as ${res.backup})` : "") +
+                    "."
+            );
+            const { rows, taxonomy } = await fetchPosts(dataset.id, datasets);
+            setTarget((t) => ({ ...t, rows, taxonomy }));
+        } catch (e) {
+            setMessage(e.message);
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    if (!dataset) return <div className="p-6 text-sm text-gray-700">Loading…</div>;
+
+    return (
+        <div className="p-6 space-y-6">
+            <header className="space-y-1">
+                <div className="text-xs">
+                    <Link href={datasets.length > 1 ? { pathname: "/", query: { dataset: dataset.id } } : "/"} className="text-gray-500 hover:underline">
+                        ← Dashboard
+                    </Link>
+                </div>
+                <h1 className="text-2xl font-semibold tracking-tight">Import posts</h1>
+                <p className="text-sm text-gray-600">
+                    Convert a LinkedIn data export (Shares.csv), a scraper's JSON or any CSV into the dashboard layout. Rows are
+                    checked against <code>{dataset.posts}</code> before anything is written.
+                </p>
+                {datasets.length > 1 && (
+                    <div className="flex items-center gap-2 text-xs text-gray-600">
+                        <label htmlFor="dataset-select">Into dataset:</label>
+                        <select
+                            id="dataset-select"
+                            className="border rounded px-2 py-1 text-sm"
+                            value={dataset.id}
+                            onChange={(e) => router.replace({ pathname: router.pathname, query: { dataset: e.target.value } })}
+                        >
+                            {datasets.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                        </select>
+                    </div>
+                )}
+            </header>
+
+            <section className="grid gap-4 md:grid-cols-2">
+                <div className="space-y-2">
+                    <label className="block text-xs uppercase text-gray-600">Source file</label>
+                    <input type="file" accept=".csv,.json,text/csv,application/json" className="text-sm" onChange={(e) => readFile(e.target.files?.[0])} />
+                    <textarea
+                        className="w-full border rounded px-3 py-2 text-xs font-mono"
+                        rows={6}
+                        placeholder="…or paste CSV or JSON here"
+                        value={text}
+                        onChange={(e) => { setText(e.target.value); setFileName(""); setFormat(""); }}
+                    />
+                </div>
+                <div className="space-y-3">
+                    <div className="space-y-1">
+                        <label htmlFor="format-select" className="block text-xs uppercase text-gray-600">Format</label>
+                        <select id="format-select" className="border rounded px-2 py-1 text-sm" value={format} onChange={(e) => setFormat(e.target.value)}>
+                            <option value="">{detected ? `Detected: ${IMPORTERS.find((i) => i.id === detected).name}` : "Detect from the file"}</option>
+                            {IMPORTERS.map((i) => <option key={i.id} value={i.id}>{i.name}</option>)}
+                        </select>
+                    </div>
+                    {activeFormat === "linkedin-shares" && (
+                        <div className="space-y-1">
+                            <label htmlFor="author-input" className="block text-xs uppercase text-gray-600">Author</label>
+                            <input
+                                id="author-input"
+                                className="w-full border rounded px-3 py-2 text-sm"
+                                placeholder="Whose export this is"
+                                list="import-authors"
+                                value={author}
+                                onChange={(e) => setAuthor(e.target.value)}
+                            />
+                            <datalist id="import-authors">
+                                {(target?.curatedAuthors || []).map((a) => <option key={a} value={a} />)}
+                            </datalist>
+                            <p className="text-xs text-gray-500">Shares.csv has no author column. Hashtags that match a curated tag become tags.</p>
+                        </div>
+                    )}
+                    {MAPPED_FORMATS.includes(activeFormat) && mapping && (
+                        <div className="space-y-1">
+                            <div className="text-xs uppercase text-gray-600">Columns</div>
+                            <table className="text-sm">
+                                <tbody>
+                                    {POST_FIELDS.map((f) => (
+                                        <tr key={f}>
+                                            <td className="pr-3 py-0.5 text-gray-600">{FIELD_LABELS[f]}</td>
+                                            <td>
+                                                <select className="border rounded px-2 py-0.5 text-sm" value={mapping[f] || ""} onChange={(e) => setField(f, e.target.value)}>
+                                                    <option value="">{f === "include" ? "— (all included)" : "—"}</option>
+                                                    {headers.map((h) => <option key={h} value={h}>{h}</option>)}
+                                                </select>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <p className="text-xs text-gray-500">
+                                {mappingSaved ? "Mapping saved for files with these columns." : "Guessed from the column names; changes are remembered."}
+                            </p>
+                        </div>
+                    )}
+                </div>
+            </section>
+
+            {result?.error && (
+                <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2 inline-block">{result.error}</div>
+            )}
+            {result?.missing?.length > 0 && (
+                <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2 inline-block">
+                    Not in this file: {result.missing.map((h) => `"${h}"`).join(", ")}. Those fields are left blank; pick another column above.
+                </div>
+            )}
+
+            {checked.length > 0 && (
+                <section className="space-y-3">
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                        <span>
+                            <strong>{valid.length}</strong> of {checked.length} rows can be imported
+                            {checked.length > valid.length && <> — {checked.length - valid.length} have errors and are left out</>}.
+                        </span>
+                        <button className="ml-auto text-xs px-3 py-1.5 border rounded bg-white disabled:opacity-40" disabled={!valid.length} onClick={download}>
+                            Download dashboard CSV
+                        </button>
+                        {dataset && isEditable(dataset) && editStatus.enabled && (
+                            <button
+                                className="text-xs px-3 py-1.5 border rounded bg-gray-900 text-white disabled:opacity-40"
+                                disabled={!canAppend || busy}
+                                onClick={append}
+                                title={editStatus.authorized ? undefined : "Enable editing on the dashboard first"}
+                            >
+                                {busy ? "Importing…" : `Append to ${dataset.posts}`}
+                            </button>
+                        )}
+                    </div>
+                    {message && <div className="text-xs text-gray-600" role="status">{message}</div>}
+
+                    <div className="overflow-auto border rounded-2xl bg-white">
+                        <table className="w-full text-xs">
+                            <thead className="bg-gray-50 text-gray-600">
+                                <tr>
+                                    <th className="text-left px-2 py-1">Line</th>
+                                    <th className="text-left px-2 py-1">Date</th>
+                                    <th className="text-left px-2 py-1">Author</th>
+                                    <th className="text-left px-2 py-1">Headline</th>
+                                    <th className="text-left px-2 py-1">Tags</th>
+                                    <th className="text-left px-2 py-1">Problems</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {checked.slice(0, PREVIEW_ROWS).map((c, i) => (
+                                    <tr key={i} className={`border-t align-top ${c.ok ? "" : "bg-red-50"}`}>
+                                        <td className="px-2 py-1 text-gray-500">{c.line}</td>
+                                        <td className="px-2 py-1 whitespace-nowrap">{c.post.posted_iso}</td>
+                                        <td className="px-2 py-1">{c.post.author}</td>
+                                        <td className="px-2 py-1">{c.post.headline}</td>
+                                        <td className="px-2 py-1">{c.post.tags.join(", ")}</td>
+                                        <td className="px-2 py-1">
+                                            {Object.values(c.errors).map((m) => <div key={m} className="text-red-600">{m}</div>)}
+                                            {Object.values(c.warnings).map((m) => <div key={m} className="text-amber-700">{m}</div>)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {checked.length > PREVIEW_ROWS && (
+                            <div className="px-2 py-1 text-xs text-gray-500">Showing the first {PREVIEW_ROWS} rows.</div>
+                        )}
+                    </div>
+                </section>
+            )}
+        </div>
+    );
+}
@@ -1,153 +1,107 @@
 "use client";
 import React, { useEffect, useState, useMemo } from "react";
-import Papa from "papaparse";
-import { parseLinkedInRelative } from "../utils/relativeDate";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { filterPosts, sortPosts, safeTags, searchFields, diffPosts } from "../utils/posts";
+import { parseSearchQuery, queryTerms } from "../utils/searchQuery";
+import { buildSearchIndex, rankRows } from "../utils/searchIndex";
+import { tagTree } from "../utils/taxonomy";
+import { ownRow } from "../utils/dedupe";
+import { formatDate } from "../utils/dates";
+import { loadPostsInWorker, fetchCuratedAuthors, fetchDatasets, watchDataChanges } from "../utils/loadData";
+import { ALL_DATASETS, MANIFEST_FILE, resolveDatasetId, datasetById, datasetFiles, isEditable } from "../utils/datasets";
+import { authorPath } from "../utils/authors";
+import { tagPath } from "../utils/tags";
+import { FILTER_DEFAULTS, VIEW_OPTIONS, parseFilterQuery, buildFilterQuery, queryOf } from "../utils/urlState";
+import { loadViews, getDefaultView } from "../utils/savedViews";
+import {
+    canonicalPostUrl,
+    loadReaderState,
+    saveReaderState,
+    postFlags,
+    setPostFlag,
+    recordVisit,
+    filterByReader,
+} from "../utils/readerState";
+import {
+    STANCES,
+    loadAnnotations,
+    saveAnnotations,
+    annotationFor,
+    setAnnotation,
+    allInternalTags,
+    withAnnotations,
+    filterByAnnotation,
+} from "../utils/annotations";
+import { buildTagModel, suggestTags, tagsWith, loadRejections, saveRejections, rejectedTags, rejectTag } from "../utils/tagSuggest";
+import SavedViews from "../components/SavedViews";
+import ExportMenu from "../components/ExportMenu";
+import ReaderMenu from "../components/ReaderMenu";
+import AnnotationEditor, { STANCE_STYLES } from "../components/AnnotationEditor";
+import TagSuggestions from "../components/TagSuggestions";
+import AnalyticsView from "../components/AnalyticsView";
+import PostTable from "../components/PostTable";
+import Highlight from "../components/Highlight";
+import VirtualGrid, { columnsFor } from "../components/VirtualGrid";
+import PostEditor, { loadEditToken, saveEditToken, fetchEditStatus, postEdit } from "../components/PostEditor";
 
 
 
 // -------------------- Helpers --------------------
-// ---- helpers (top of file, below imports) ----
-function safeTags(row) {
-    if (Array.isArray(row?.tags_list)) return row.tags_list.filter(Boolean);
-
-    if (Array.isArray(row?.tags)) {
-        return row.tags
-            .map((t) => String(t || "").toLowerCase().trim())
-            .filter(Boolean);
-    }
-
-    return String(row?.tags || "")
-        .toLowerCase()
-        .split(/[;,]\s*/g)
-        .map((t) => t.trim())
-        .filter(Boolean);
+function uniqueSorted(arr) {
+    return Array.from(new Set(arr.filter(Boolean))).sort((a, b) => a.localeCompare(b));
 }
 
-
-// Extract a single-column list from a CSV (case-insensitive, flexible headers)
-function extractCSVList(rows, candidates) {
-    if (!Array.isArray(rows) || !rows.length) return [];
-    const first = rows.find(r => r && Object.keys(r).length) || {};
-    const keyMap = Object.keys(first).reduce((acc, k) => { acc[k.toLowerCase()] = k; return acc; }, {});
-    let chosen = null;
-    for (const c of candidates) { if (keyMap[c]) { chosen = keyMap[c]; break; } }
-    if (!chosen) { chosen = Object.keys(first)[0] || null; }
-    if (!chosen) return [];
-    const out = rows.map(r => String((r && r[chosen]) || '').trim()).filter(Boolean);
-    return Array.from(new Set(out)).sort((a, b) => a.localeCompare(b));
+// Keep selections that exist in `allowed`, matching case-insensitively and adopting the option's casing
+function keepAllowed(selected, allowed) {
+    const byKey = new Map(allowed.map((o) => [String(o).toLowerCase(), o]));
+    const next = selected.map((s) => byKey.get(String(s).toLowerCase())).filter(Boolean);
+    const same = next.length === selected.length && next.every((v, i) => v === selected[i]);
+    return same ? selected : next;
 }
 
-function parseDateSafe(v) {
-    if (!v) return null;
-    if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
-        const [y, m, d] = v.split("-").map(Number);
-        const dt = new Date(Date.UTC(y, m - 1, d));
-        return isNaN(dt.getTime()) ? null : dt;
-    }
-    const d = new Date(v);
-    return isNaN(d.getTime()) ? null : d;
+// Stable identity for a card across re-renders and reloads (file + line it was read from)
+function rowKey(r) {
+    return `${r.dataset || ""}:${r.source_line}`;
 }
 
-function formatDateShort(v) {
-    // Accept either a Date or a string
-    const d = v instanceof Date ? v : parseDateSafe(v);
-    if (!d) return v || "";
-    const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
-    const dd = String(d.getUTCDate()).padStart(2, "0");
-    const yyyy = d.getUTCFullYear();
-    return `${yyyy}-${mm}-${dd}`;
-}
+// How often cards refresh while a large dataset is still being parsed
+const PROGRESS_INTERVAL = 750;
 
+// Details left open this long mark the post read, so a mouse passing over the cards doesn't
+const READ_AFTER = 600;
 
-function uniqueSorted(arr) {
-    return Array.from(new Set(arr.filter(Boolean))).sort((a, b) => a.localeCompare(b));
-}
-
-async function tryFetchCSV(path) {
-    try {
-        const res = await fetch(path, { cache: "no-store" });
-        if (!res.ok) return null;
-        const text = await res.text();
-        const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
-        return parsed.data || null;
-    } catch {
-        return null;
-    }
-}
+const VIEW_LABELS = { cards: "Cards", table: "Table", analytics: "Analytics" };
 
+// How long the "12 new posts, 3 updated" notice stays after a live reload
+const TOAST_MS = 6000;
 
-// Treat blank as include=true; only explicit no values exclude
-function truthyInclude(v) {
-    const s = String(v || "").trim().toLowerCase();
-    if (!s) return true;
-    return ["y", "yes", "1", "true"].includes(s);
+// diffPosts counts → "12 new posts, 3 updated"; empty when nothing changed
+function changeSummary({ added, updated, removed }) {
+    const parts = [];
+    if (added) parts.push(`${added} new post${added === 1 ? "" : "s"}`);
+    if (updated) parts.push(`${updated} updated`);
+    if (removed) parts.push(`${removed} removed`);
+    return parts.join(", ");
 }
 
-// Relative 'X time ago' parser for LinkedIn and a unified date parser (no regex backrefs)
-function parseRelativeLinkedInDate(v, now = new Date()) {
-    if (!v) return null;
-    let s = String(v).toLowerCase().trim();
-    // normalize punctuation to spaces
-    const junk = ['·', '•', '–', '—', '.'];
-    for (const ch of junk) s = s.split(ch).join(' ');
-    // collapse multiple spaces
-    while (s.indexOf('  ') !== -1) s = s.replace('  ', ' ');
-    // insert a space between trailing number and unit, e.g., "2h" -> "2 h"
-    function numUnitSpacing(str) {
-        let out = '';
-        function isDigit(c) { return c >= '0' && c <= '9'; }
-        function isLetter(c) { return c >= 'a' && c <= 'z'; }
-        for (let i = 0; i < str.length; i++) {
-            const c = str[i];
-            const p = i > 0 ? str[i - 1] : '';
-            if (i > 0 && isDigit(p) && isLetter(c) && p !== ' ') out += ' ';
-            out += c;
-        }
-        return out;
+// How far a card-navigation key moves: j/k and left/right go one card, up/down one grid row
+function cardStep(key, columns) {
+    switch (key) {
+        case "j":
+        case "ArrowRight":
+            return 1;
+        case "k":
+        case "ArrowLeft":
+            return -1;
+        case "ArrowDown":
+            return columns;
+        case "ArrowUp":
+            return -columns;
+        default:
+            return 0;
     }
-    s = numUnitSpacing(s);
-
-    if (s === 'just now') return new Date(now);
-    if (s === 'yesterday') { const d = new Date(now); d.setUTCDate(d.getUTCDate() - 1); return d; }
-
-    const parts = s.split(' ');
-    if (!parts.length) return null;
-    // handle optional prefixes like "about", "approx", "approximately"
-    let idx = 0;
-    if (['about', 'approx', 'approximately'].includes(parts[idx])) idx++;
-    if (idx >= parts.length) return null;
-    const n = parseInt(parts[idx++], 10);
-    if (!isFinite(n)) return null;
-    if (idx >= parts.length) return null;
-    let unit = parts[idx++];
-    // optional trailing 'ago'
-    if (idx < parts.length && parts[idx] === 'ago') idx++;
-
-    // normalize units
-    const map = {
-        min: ['min', 'mins', 'minute', 'minutes', 'm'],
-        hr: ['hr', 'hrs', 'hour', 'hours', 'h'],
-        day: ['day', 'days', 'd'],
-        week: ['week', 'weeks', 'wk', 'wks', 'w'],
-        month: ['month', 'months', 'mo', 'mos'],
-        year: ['yr', 'yrs', 'year', 'years', 'y']
-    };
-    let kind = null;
-    for (const k in map) { if (map[k].includes(unit)) { kind = k; break; } }
-    if (!kind) return null;
-
-    const d = new Date(now);
-    switch (kind) {
-        case 'min': d.setUTCMinutes(d.getUTCMinutes() - n); break;
-        case 'hr': d.setUTCHours(d.getUTCHours() - n); break;
-        case 'day': d.setUTCDate(d.getUTCDate() - n); break;
-        case 'week': d.setUTCDate(d.getUTCDate() - n * 7); break;
-        case 'month': d.setUTCMonth(d.getUTCMonth() - n); break;
-        case 'year': d.setUTCFullYear(d.getUTCFullYear() - n); break;
-    }
-    return d;
 }
-function parseAnyDate(v) { const abs = parseDateSafe(v); if (abs) return abs; return parseRelativeLinkedInDate(v); }
 
 // ============================================================
 // Default export — LinkedIn Posts Dashboard (standalone)
@@ -159,111 +113,333 @@ export default function LinkedInPostsPage() {
 function LinkedInPostsDashboard() {
     const [rows, setRows] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [parsing, setParsing] = useState(null); // rows parsed so far while a dataset streams in
+    const loadedDataset = React.useRef(null);
+    const liveReload = React.useRef(false); // the next reload comes from a file changing on disk
+    const ownWrites = React.useRef(new Map()); // file → mtime of this page's last save, already reloaded
+    const [toast, setToast] = useState("");
     const [error, setError] = useState("");
+    const [capturedAt, setCapturedAt] = useState(null); // anchor for relative dates, from CSV header comment
+    const [taxonomy, setTaxonomy] = useState(null);     // from linkedin_tags.csv; null when the file is absent
 
     // Filters / controls
-    const [authors, setAuthors] = useState([]);
-    const [tags, setTags] = useState([]);
-    const [period, setPeriod] = useState(30); // 7, 30, 90, or -1 (all)
-    const [maxResults, setMaxResults] = useState(200);
-    const [search, setSearch] = useState("");
+    const [authors, setAuthors] = useState(FILTER_DEFAULTS.authors);
+    const [authorsExcluded, setAuthorsExcluded] = useState(FILTER_DEFAULTS.authorsExcluded);
+    const [tags, setTags] = useState(FILTER_DEFAULTS.tags);
+    const [tagsExcluded, setTagsExcluded] = useState(FILTER_DEFAULTS.tagsExcluded);
+    const [tagMode, setTagMode] = useState(FILTER_DEFAULTS.tagMode); // "any" or "all"
+    const [period, setPeriod] = useState(FILTER_DEFAULTS.period); // 7, 30, 90, or -1 (all)
+    const [maxResults, setMaxResults] = useState(FILTER_DEFAULTS.maxResults);
+    const [search, setSearch] = useState(FILTER_DEFAULTS.search);
+    const [hideApprox, setHideApprox] = useState(FILTER_DEFAULTS.hideApprox);
+    const [sort, setSort] = useState(FILTER_DEFAULTS.sort); // "date" or "relevance"
+    const [view, setView] = useState(FILTER_DEFAULTS.view); // "cards", "table" or "analytics"
+    const [dataset, setDataset] = useState(FILTER_DEFAULTS.dataset); // id from datasets.json, "all", or "" for the first
+    const [datasets, setDatasets] = useState(null); // null until datasets.json is read
 
     const [authorOptions, setAuthorOptions] = useState([]); // curated list if provided
     const [tagOptions, setTagOptions] = useState([]);       // curated list if provided
+    const [optionsReady, setOptionsReady] = useState(false);
+
+    // Edit mode writes back to the CSV through /api/edit; only offered when the server enables it
+    const [reloadKey, setReloadKey] = useState(0);
+    const [editStatus, setEditStatus] = useState({ enabled: false, authorized: false });
+    const [editToken, setEditToken] = useState("");
+    const [tokenDraft, setTokenDraft] = useState("");
+    const [editMode, setEditMode] = useState(false);
+    const [editing, setEditing] = useState(null); // row being edited, "new" when adding, null when closed
+    const [editMessage, setEditMessage] = useState("");
+
+    // Reader state: read / starred / hidden per post and what's new since the last visit, kept in this
+    // browser (utils/readerState.js). null until read from localStorage.
+    const [reader, setReader] = useState(null);
+    const [newKeys, setNewKeys] = useState(() => new Set());
+    const [lastVisit, setLastVisit] = useState(null);
+    const [onlyNew, setOnlyNew] = useState(false);
+    const [starredOnly, setStarredOnly] = useState(false);
+    const [showHidden, setShowHidden] = useState(false);
+
+    // Private notes, stance and internal tags per post (utils/annotations.js), also kept in this browser
+    const [annotations, setAnnotations] = useState(null);
+    const [stanceFilter, setStanceFilter] = useState(""); // "", a stance, or "none"
+    const [itagFilter, setItagFilter] = useState("");
+    const [notedOnly, setNotedOnly] = useState(false);
+
+    // Tag suggestions dismissed per post (utils/tagSuggest.js)
+    const [rejections, setRejections] = useState(null);
+
+    useEffect(() => {
+        setReader(loadReaderState());
+        setAnnotations(loadAnnotations());
+        setRejections(loadRejections());
+    }, []);
+
+    function updateRejections(change) {
+        setRejections((prev) => {
+            const next = change(prev || loadRejections());
+            saveRejections(next);
+            return next;
+        });
+    }
+
+    function updateAnnotations(change) {
+        setAnnotations((prev) => {
+            const next = change(prev || loadAnnotations());
+            saveAnnotations(next);
+            return next;
+        });
+    }
+
+    function updateReader(change) {
+        setReader((prev) => {
+            const next = change(prev || loadReaderState());
+            saveReaderState(next);
+            return next;
+        });
+    }
+
+    // Only one card shows its details at a time; one document listener closes it on an outside click or Escape
+    const [openKey, setOpenKey] = useState(null);
+    useEffect(() => {
+        if (openKey === null) return;
+        function onDocClick(e) {
+            if (!e.target.closest?.(`[data-card-key="${CSS.escape(openKey)}"]`)) setOpenKey(null);
+        }
+        function onKey(e) {
+            if (e.key === "Escape") setOpenKey(null);
+        }
+        document.addEventListener("mousedown", onDocClick);
+        document.addEventListener("keydown", onKey);
+        return () => {
+            document.removeEventListener("mousedown", onDocClick);
+            document.removeEventListener("keydown", onKey);
+        };
+    }, [openKey]);
+
+    // Mirror filters in the query string so views can be shared and survive reloads.
+    // lastQuery holds the canonical query for the current state; it breaks the URL <-> state loop.
+    const router = useRouter();
+    const urlSynced = React.useRef(false);
+    const lastQuery = React.useRef(null);
+
+    const filterState = { authors, authorsExcluded, tags, tagsExcluded, tagMode, period, search, maxResults, hideApprox, sort, view, dataset };
+
+    function applyFilters(f) {
+        setAuthors(f.authors);
+        setAuthorsExcluded(f.authorsExcluded);
+        setTags(f.tags);
+        setTagsExcluded(f.tagsExcluded);
+        setTagMode(f.tagMode);
+        setPeriod(f.period);
+        setSearch(f.search);
+        setMaxResults(f.maxResults);
+        setHideApprox(f.hideApprox);
+        setSort(f.sort);
+        setView(f.view);
+        setDataset(f.dataset);
+    }
+
+    // state → URL (declared before URL → state so the first write sees restored values)
+    useEffect(() => {
+        if (!urlSynced.current) return;
+        const qs = buildFilterQuery(filterState);
+        if (qs === lastQuery.current) return;
+
+        // Typing in search and case fixes replace the entry; other changes get their own history step
+        const withoutSearch = (q) => { const p = new URLSearchParams(q); p.delete("q"); return p.toString().toLowerCase(); };
+        const quiet = withoutSearch(qs) === withoutSearch(lastQuery.current);
+        lastQuery.current = qs;
+        const url = qs ? `${router.pathname}?${qs}` : router.pathname;
+        (quiet ? router.replace : router.push)(url, undefined, { shallow: true, scroll: false });
+    }, [authors, authorsExcluded, tags, tagsExcluded, tagMode, period, search, maxResults, hideApprox, sort, view, dataset]);
+
+    // URL → state (initial load and back/forward)
+    useEffect(() => {
+        if (!router.isReady) return;
+        const urlQs = queryOf(router.asPath);
+        let f = parseFilterQuery(urlQs);
+
+        // A bare URL on first load opens the default saved view, if one is set
+        const dflt = !urlSynced.current && !urlQs ? getDefaultView(loadViews()) : null;
+        if (dflt) f = { ...f, ...dflt.filters };
+
+        const qs = buildFilterQuery(f);
+        urlSynced.current = true;
+        if (dflt && qs) router.replace(`${router.pathname}?${qs}`, undefined, { shallow: true, scroll: false });
+        if (qs === lastQuery.current) return;
+        lastQuery.current = qs;
+        applyFilters(f);
+    }, [router.isReady, router.asPath]);
 
 
     // Load CSV from /public
 
     useEffect(() => {
+        fetchDatasets().then(setDatasets);
+    }, []);
+
+    const activeDataset = datasets ? resolveDatasetId(datasets, dataset) : null;
+
+    useEffect(() => {
+        if (!activeDataset) return;
+        const controller = new AbortController(); // a newer dataset switch wins
+        // Switching datasets streams cards in as they are parsed; reloads after an edit keep the current
+        // cards on screen until the new ones are ready
+        const progressive = loadedDataset.current !== activeDataset;
+        const live = liveReload.current && !progressive;
+        liveReload.current = false;
+        const before = rows;
+        let shownAt = 0;
+
+        function onProgress(parsed) {
+            if (!progressive) return;
+            // First batch right away, then at most one re-render per PROGRESS_INTERVAL
+            const now = Date.now();
+            if (shownAt && now - shownAt < PROGRESS_INTERVAL) return;
+            shownAt = now;
+            setRows(parsed.slice());
+            setParsing(parsed.length);
+            setLoading(false);
+        }
+
         async function load() {
-            setLoading(true);
             setError("");
 
             try {
-                const res = await fetch("/linkedin_posts.csv", { cache: "no-store" });
-                if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
-                const text = await res.text();
-
-                // Parse WITHOUT headers first to handle "Column1,Column2,..." dummy header
-                const first = Papa.parse(text, { header: false, skipEmptyLines: true, delimiter: "" });
-                const rowsA = first.data || [];
-                if (!rowsA.length) throw new Error("CSV empty");
-
-                const looksDummy = rowsA[0].every((c) => /^column\d+$/i.test(String(c || "").trim()));
-                const headerRowIdx = looksDummy ? 1 : 0;
-                const dataStartIdx = headerRowIdx + 1;
-
-                const toKey = (h) => String(h || "").trim().toLowerCase().replace(/\s+/g, "_");
-                const headers = (rowsA[headerRowIdx] || []).map(toKey);
-                const dataRows = rowsA.slice(dataStartIdx);
-
-                const mapped = dataRows.map((r) => {
-                    const o = {};
-                    headers.forEach((h, i) => (o[h] = r[i] ?? ""));
-
-                    // Normalize to your field names
-                    o.include = String(o.include || "y").trim().toLowerCase();
-                    o.author = String(o.author || "").trim();
-                    o.headline = String(o.headline || "").trim();
-                    o.summary = String(o.summary || "").trim();
-                    o.tags = String(o.tags || "").trim();
-                    o.url = String(o.post_url || o.url || "").split("?")[0].trim();
-
-                    // Relative date → absolute
-                    const rel = parseLinkedInRelative(String(o.posted_iso || "").trim());
-                    o.posted_at = rel.posted_at;
-                    o.posted_iso_abs = rel.posted_iso;
-                    o.posted_age_days = rel.posted_age_days;
-
-                    // Pre-split tags for filtering
-                    o.tags_list = String(o.tags || "")
-                        .toLowerCase()
-                        .split(/[;,]\s*/g)
-                        .map((t) => t.trim())
-                        .filter(Boolean);
-
-                    return o;
-                });
-
-                console.info("CSV mapped rows:", mapped.length, { headers });
-                setRows(mapped);
+                const { rows: merged, headers, capturedAt: fileAnchor, taxonomy: tax } =
+                    await loadPostsInWorker(activeDataset, datasets, { onProgress, signal: controller.signal });
+
+                console.info("CSV rows:", merged.length, { headers });
+                loadedDataset.current = activeDataset;
+                const visit = recordVisit(loadReaderState(), merged.map((r) => canonicalPostUrl(r.url)));
+                saveReaderState(visit.state);
+                setReader(visit.state);
+                setNewKeys(new Set(visit.fresh));
+                setLastVisit(visit.since);
+                setCapturedAt(fileAnchor);
+                setTaxonomy(tax);
+                // Same post under several URLs / lightly edited headlines → one card (merged in the worker)
+                setRows(merged);
+                if (live) setToast(changeSummary(diffPosts(before, merged, (r) => canonicalPostUrl(r.url) || rowKey(r))));
             } catch (e) {
+                if (controller.signal.aborted) return;
                 console.error(e);
                 setError(String(e?.message || e));
-                setRows([]);
+                // A file caught half-written by a live reload leaves the last good cards up; the next change reloads again
+                if (!live) setRows([]);
             } finally {
-                setLoading(false);
+                if (!controller.signal.aborted) {
+                    setParsing(null);
+                    setLoading(false);
+                }
             }
         }
         load();
+        return () => controller.abort();
+    }, [reloadKey, activeDataset, datasets]);
+
+    // Live reload: a data file of the shown datasets changing in public/ (an edit here or elsewhere, a sync job,
+    // a text editor) reloads in place; filters and scroll position stay, and a notice says what changed
+    const watchedFiles = React.useRef(new Set());
+    useEffect(() => {
+        watchedFiles.current = new Set(datasets && activeDataset ? datasetFiles(datasets, activeDataset) : []);
+    }, [datasets, activeDataset]);
+
+    useEffect(() => {
+        return watchDataChanges((all, mtimes) => {
+            // Our own save has already reloaded; only a later write to the file counts
+            const files = all.filter((f) => !(f in mtimes && ownWrites.current.get(f) === mtimes[f]));
+            if (!files.some((f) => f === "*" || watchedFiles.current.has(f))) return;
+            liveReload.current = true;
+            // A new manifest reloads through the datasets it lists
+            if (files.includes(MANIFEST_FILE) || files.includes("*")) fetchDatasets().then(setDatasets);
+            else setReloadKey((k) => k + 1);
+        });
     }, []);
 
+    useEffect(() => {
+        if (!toast) return;
+        const timer = setTimeout(() => setToast(""), TOAST_MS);
+        return () => clearTimeout(timer);
+    }, [toast]);
+
+    useEffect(() => {
+        const token = loadEditToken();
+        setEditToken(token);
+        fetchEditStatus(token).then(setEditStatus);
+    }, []);
+
+    async function unlockEditing() {
+        const status = await fetchEditStatus(tokenDraft);
+        setEditStatus(status);
+        if (status.authorized) {
+            saveEditToken(tokenDraft);
+            setEditToken(tokenDraft);
+            setTokenDraft("");
+            setEditMode(true);
+            setEditMessage("");
+        } else {
+            setEditMessage("That token was not accepted.");
+        }
+    }
+
+    // Post to /api/edit, then reload the CSV; filters and scroll position stay as they are.
+    // Updates name the row's own dataset; new posts go to the selected one.
+    async function saveEdit(payload) {
+        const result = await postEdit(editToken, { dataset: activeDataset, ...payload });
+        if (result.file) ownWrites.current.set(result.file, result.mtime);
+        setReloadKey((k) => k + 1);
+        setEditMessage(`Saved. Previous file kept as ${result.backup}.`);
+        return result;
+    }
+
+    // Accepting a suggested tag writes it to the CSV; errors go back to the chip
+    function acceptTag(row, tag) {
+        return saveEdit({
+            action: "update",
+            dataset: row.dataset,
+            line: row.source_line,
+            post_url: row.post_url,
+            changes: { tags: tagsWith(ownRow(row), tag, taxonomy) },
+        });
+    }
+
+    async function toggleInclude(row) {
+        try {
+            await saveEdit({
+                action: "update",
+                dataset: row.dataset,
+                line: row.source_line,
+                post_url: row.post_url,
+                changes: { include: row.include === "n" ? "y" : "n" },
+            });
+        } catch (e) {
+            setEditMessage(e.message);
+        }
+    }
+
 
     // Curated allowlists for dropdowns (use curated if file exists; otherwise fallback)
     useEffect(() => {
         let cancelled = false;
 
         async function loadCuratedOptions() {
-            const authorsCSV = await tryFetchCSV("/linkedin_authors.csv");
-            const tagsCSV = await tryFetchCSV("/linkedin_tags.csv");
+            const curated = await fetchCuratedAuthors(activeDataset, datasets);
 
             // If the curated file exists (even if empty), prefer curated list; otherwise fallback to computed
-            const useCuratedAuthors = authorsCSV !== null;
-            const useCuratedTags = tagsCSV !== null;
+            const useCuratedAuthors = curated !== null;
+            const useCuratedTags = taxonomy !== null;
 
-            const curatedAuthors = useCuratedAuthors
-                ? extractCSVList(authorsCSV, ['author', 'name', 'author_name', 'authors'])
-                : [];
-            const curatedTags = useCuratedTags
-                ? extractCSVList(tagsCSV, ['tag', 'tags', 'topic', 'label'])
-                : [];
+            const curatedAuthors = useCuratedAuthors ? curated : [];
+            const curatedTags = useCuratedTags ? uniqueSorted(taxonomy.tags) : [];
 
             const fallbackAuthors = Array.from(new Set(rows.map(r => r.author))).sort((a, b) => a.localeCompare(b));
-            const fallbackTags = Array.from(new Set(rows.flatMap(r => r.tags))).sort((a, b) => a.localeCompare(b));
+            const fallbackTags = Array.from(new Set(rows.flatMap(r => safeTags(r)))).sort((a, b) => a.localeCompare(b));
 
             if (!cancelled) {
                 setAuthorOptions(useCuratedAuthors ? curatedAuthors : fallbackAuthors);
                 setTagOptions(useCuratedTags ? curatedTags : fallbackTags);
+                setOptionsReady(true);
             }
         }
 
@@ -272,137 +448,86 @@ function LinkedInPostsDashboard() {
         } else {
             setAuthorOptions([]);
             setTagOptions([]);
+            setOptionsReady(false);
         }
 
         return () => { cancelled = true; };
-    }, [rows]);
-
-
-    function normalizeRow(r) {
-        const include = r.Include ?? r.include ?? r.INCLUDE ?? "";
-        const dateRaw = (r.posted_at || r.post_date_iso || r.date || r.posted || "").trim();
-        const dateObj = parseAnyDate(dateRaw);
-        const author = (r.author || r.author_name || r.Author || "").trim();
-        const title = (r.headline || r.title || "").trim();
-        const summary = (r.summary || r.Summary || "").trim();
-        const tagsStr = (r.tags || r.Tags || "").toString();
-        const tags = tagsStr.split(/[,;]+/).map((t) => t.trim()).filter(Boolean);
-        const url = (r.post_url || r.url || r.href || "").trim();
-        return { include, dateRaw, dateObj, author, title, summary, tags, url };
-    }
+    }, [rows, taxonomy]);
+
 
     const allAuthors = useMemo(() => uniqueSorted(rows.map(r => r.author)), [rows]);
-    const allTags = useMemo(() => uniqueSorted(rows.flatMap(r => r.tags)), [rows]);
+    const allTags = useMemo(() => uniqueSorted(rows.flatMap(r => safeTags(r))), [rows]);
+    // Only worth a tree when the tags file declares parents
+    const tagTreeNodes = useMemo(
+        () => (taxonomy && taxonomy.parentOf.size ? tagTree(taxonomy) : null),
+        [taxonomy]
+    );
 
-    // ⬇️ paste these two effects here
+    // Drop selections (e.g. from a shared URL) that aren't offered; wait for the option lists to settle
     useEffect(() => {
+        if (!optionsReady) return;
         const allowed = (authorOptions.length ? authorOptions : allAuthors);
-        setAuthors(prev => prev.filter(a => allowed.includes(a)));
-    }, [authorOptions, allAuthors]);
+        setAuthors(prev => keepAllowed(prev, allowed));
+        setAuthorsExcluded(prev => keepAllowed(prev, allowed));
+    }, [optionsReady, authorOptions, allAuthors]);
 
     useEffect(() => {
+        if (!optionsReady) return;
         const allowed = (tagOptions.length ? tagOptions : allTags);
-        setTags(prev => prev.filter(t => allowed.includes(t)));
-    }, [tagOptions, allTags]);
-
-
-    const filtered = useMemo(() => {
-        let out = rows;
-
-        // helper to normalize text once
-        const norm = (s) => String(s || "").trim().toLowerCase();
-
-        // --- normalize period (supports 30, "30", "30d", "all", "all time", "any") ---
-        const pStr = typeof period === "string" ? norm(period) : period;
-        let p = pStr;
-        if (typeof pStr === "string") {
-            if (/^(all|any|all\s*time)$/.test(pStr)) {
-                p = "all";
-            } else {
-                const m = pStr.match(/^(\d+)\s*d?$/i);
-                p = m ? Number(m[1]) : "all";
-            }
+        setTags(prev => keepAllowed(prev, allowed));
+        setTagsExcluded(prev => keepAllowed(prev, allowed));
+    }, [optionsReady, tagOptions, allTags]);
+
+
+    // Syntax errors are shown under the search box; the search filter is skipped until the query parses
+    const searchError = useMemo(() => {
+        try {
+            parseSearchQuery(search);
+            return null;
+        } catch (e) {
+            return e;
         }
+    }, [search]);
 
-        // Include flag: only drop explicit 'n'; keep others (fail open)
-        out = out.filter((r) => (r.include ?? "y") !== "n");
+    // Inverted index for relevance ranking, built once the rows have finished loading (not per streamed batch);
+    // until then a relevance sort keeps the file order
+    const streaming = parsing !== null;
+    const searchIndex = useMemo(() => (streaming ? null : buildSearchIndex(rows, searchFields)), [rows, streaming]);
+    // Tag suggestions likewise wait for the last batch; none are offered while the dataset streams in
+    const tagModel = useMemo(() => (streaming ? null : buildTagModel(rows, taxonomy)), [rows, taxonomy, streaming]);
+    const highlightTerms = useMemo(() => (searchError ? [] : queryTerms(search)), [search, searchError]);
 
-        // Authors (case-insensitive)
-        if (authors && authors.length) {
-            const want = new Set(authors.map(norm));
-            out = out.filter((r) => want.has(norm(r.author)));
-        }
-
-        // Tags: prefer pre-split r.tags_list; fallback to splitting r.tags string
-        const tagsOf = (r) =>
-            Array.isArray(r?.tags_list)
-                ? r.tags_list
-                : norm(r?.tags || "")
-                    .split(/[;,]\s*/g)
-                    .map((t) => t.trim())
-                    .filter(Boolean);
-
-        if (tags && tags.length) {
-            const want = new Set(tags.map(norm));
-            out = out.filter((r) => tagsOf(r).some((t) => want.has(t)));
-        }
+    // Canonical post URL per row, the key of its reader state
+    const readerKeys = useMemo(() => new Map(rows.map((r) => [r, canonicalPostUrl(r.url)])), [rows]);
 
-        // Period filter (p is either "all" or a number of days). If no parsed date, KEEP the row (fail open).
-        if (p && p !== "all") {
-            const days = Number(p);
-            if (!Number.isNaN(days) && days > 0) {
-                const cutoff = Date.now() - days * 86400000;
-                out = out.filter((r) => {
-                    const t =
-                        r.posted_at instanceof Date && !isNaN(r.posted_at)
-                            ? r.posted_at.getTime()
-                            : r.dateObj instanceof Date && !isNaN(r.dateObj) // legacy fallback
-                                ? r.dateObj.getTime()
-                                : NaN;
-                    if (isNaN(t)) return true; // fail open
-                    return t >= cutoff;
-                });
-            }
-        }
+    const filtered = useMemo(() => {
+        // Edit mode also shows Include=N rows (dimmed) so they can be switched back on
+        const include = editMode ? "all" : "y";
+        const keyOf = (r) => readerKeys.get(r);
+        // The search also sees the reader's notes and internal tags
+        const fields = (r) => {
+            const a = annotationFor(annotations, keyOf(r));
+            return a ? { ...searchFields(r), note: a.note, stance: a.stance, itags: a.tags } : searchFields(r);
+        };
+        let matched = filterPosts(rows, { ...filterState, search: searchError ? "" : search, include, taxonomy, fields });
+        matched = filterByReader(matched, reader, { keyOf, onlyNew, newKeys, starredOnly, showHidden });
+        matched = filterByAnnotation(matched, annotations, { keyOf, stance: stanceFilter, tag: itagFilter, withNote: notedOnly });
+        const out = sortPosts(matched, "date");
+        // Relevance without search terms falls back to newest first
+        return sort === "relevance" && searchIndex ? rankRows(searchIndex, out, highlightTerms) : out;
+    }, [rows, taxonomy, authors, authorsExcluded, tags, tagsExcluded, tagMode, period, search, searchError, hideApprox, sort, searchIndex, highlightTerms, editMode, reader, readerKeys, onlyNew, newKeys, starredOnly, showHidden, annotations, stanceFilter, itagFilter, notedOnly]);
 
-        // Search across headline/summary/author/tags (using tagsOf to avoid string/array issues)
-        if (search?.trim()) {
-            const q = norm(search);
-            out = out.filter((r) => {
-                const tagText = safeTags(r).join(" ");
-                const hay = [r.headline, r.title, r.summary, r.author, tagText]
-                    .map(norm)
-                    .join(" ");
-                return hay.includes(q);
-            });
-        }
+    const internalTags = useMemo(() => allInternalTags(annotations), [annotations]);
 
-        // Sort: newest first (posted_at/dateObj), then author, then headline/title
-        return [...out].sort((a, b) => {
-            const ta =
-                a.posted_at instanceof Date && !isNaN(a.posted_at)
-                    ? a.posted_at.getTime()
-                    : a.dateObj instanceof Date && !isNaN(a.dateObj)
-                        ? a.dateObj.getTime()
-                        : 0;
-
-            const tb =
-                b.posted_at instanceof Date && !isNaN(b.posted_at)
-                    ? b.posted_at.getTime()
-                    : b.dateObj instanceof Date && !isNaN(b.dateObj)
-                        ? b.dateObj.getTime()
-                        : 0;
-
-            if (tb !== ta) return tb - ta;
-
-            const s = String(a.author || "").localeCompare(String(b.author || ""));
-            if (s !== 0) return s;
-
-            return String(a.headline || a.title || "").localeCompare(
-                String(b.headline || b.title || "")
-            );
-        });
-    }, [rows, authors, tags, period, search]);
+    // Unread new posts, for the badge on the "New since last visit" toggle
+    const newUnread = useMemo(() => {
+        if (!newKeys.size) return 0;
+        return rows.filter((r) => {
+            const key = readerKeys.get(r);
+            const flags = postFlags(reader, key);
+            return newKeys.has(key) && !flags.read && !flags.hidden;
+        }).length;
+    }, [rows, readerKeys, reader, newKeys]);
 
 
 
@@ -411,6 +536,72 @@ function LinkedInPostsDashboard() {
         [filtered, maxResults]
     );
 
+    // Exports carry the reader's annotations (note, stance, internal_tags)
+    const exportRows = useMemo(() => withAnnotations(limited, annotations, (r) => readerKeys.get(r)), [limited, annotations, readerKeys]);
+
+    // Keyboard: j/k or arrows move between cards, Enter opens details (in the card), o opens the post, / jumps to search
+    const [focusKey, setFocusKey] = useState(null);
+    const searchRef = React.useRef(null);
+    const focusIndex = useMemo(() => limited.findIndex((r) => rowKey(r) === focusKey), [limited, focusKey]);
+    useEffect(() => {
+        function onKey(e) {
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || editing) return;
+            const target = e.target;
+            if (target.closest?.("input, textarea, select, [contenteditable='true']")) return;
+            if (e.key === "/") {
+                e.preventDefault();
+                searchRef.current?.focus();
+                searchRef.current?.select();
+                return;
+            }
+            if (view !== "cards" || !limited.length) return;
+            // Arrow keys keep scrolling the page unless a card has focus
+            const onCard = !!target.closest?.("[data-card-key]");
+            if (e.key === "o" && focusIndex >= 0 && (onCard || target === document.body)) {
+                const url = limited[focusIndex].url;
+                if (url) window.open(url, "_blank", "noopener,noreferrer");
+                return;
+            }
+            const step = cardStep(e.key, columnsFor(window.innerWidth));
+            if (!step || (e.key.startsWith("Arrow") && !onCard)) return;
+            e.preventDefault();
+            const next = focusIndex < 0 ? 0 : Math.max(0, Math.min(limited.length - 1, focusIndex + step));
+            setOpenKey(null);
+            setFocusKey(rowKey(limited[next]));
+        }
+        document.addEventListener("keydown", onKey);
+        return () => document.removeEventListener("keydown", onKey);
+    }, [view, limited, focusIndex, editing]);
+
+    useEffect(() => {
+        const row = openKey && rows.find((r) => rowKey(r) === openKey);
+        const key = row && readerKeys.get(row);
+        if (!key || postFlags(reader, key).read) return;
+        const timer = setTimeout(() => updateReader((st) => setPostFlag(st, [key], "read", true)), READ_AFTER);
+        return () => clearTimeout(timer);
+    }, [openKey, rows, readerKeys, reader]);
+
+    // /api/feed takes the dashboard's params; the period is spelled out since the API defaults to all time. Keyed on
+    // the filter query so every filter (dataset included) is covered
+    const filterQuery = buildFilterQuery(filterState);
+    const feedQuery = useMemo(() => {
+        const p = new URLSearchParams(filterQuery);
+        p.delete("max");
+        p.delete("view");
+        p.set("period", period === -1 ? "all" : String(period));
+        p.set("limit", String(maxResults === -1 ? 500 : Math.min(maxResults, 500)));
+        return p.toString();
+    }, [filterQuery, period, maxResults]);
+
+    // Saved views cover the filters only; max results, exact dates, sort, cards/analytics and dataset stay as they are
+    function applyView(f) {
+        applyFilters({ ...filterState, ...FILTER_DEFAULTS, maxResults, hideApprox, sort, view, dataset, ...f });
+    }
+
+    // Dataset new posts go to; none in the merged view or for datasets read through an importer
+    const addTarget = activeDataset !== ALL_DATASETS && datasets ? datasetById(datasets, activeDataset) : null;
+    const canAdd = addTarget && isEditable(addTarget);
+
     if (loading) return <div className="p-6 text-sm text-gray-700">Loading LinkedIn posts…</div>;
 
     return (
@@ -419,32 +610,140 @@ function LinkedInPostsDashboard() {
                 <h1 className="text-2xl font-semibold tracking-tight">LinkedIn Posts Dashboard</h1>
                 <p className="text-sm text-gray-600">
                     Filter by author, tags, and date window. Hover/click any card to read the summary and open the post.
+                    {" "}<Link
+                        href={dataset && dataset !== ALL_DATASETS ? { pathname: "/diagnostics", query: { dataset } } : "/diagnostics"}
+                        className="underline"
+                    >
+                        Data quality report
+                    </Link>
+                    {" · "}<Link
+                        href={dataset && dataset !== ALL_DATASETS ? { pathname: "/import", query: { dataset } } : "/import"}
+                        className="underline"
+                    >
+                        Import posts
+                    </Link>
+                    {" · "}<Link
+                        href={dataset && dataset !== ALL_DATASETS ? { pathname: "/review", query: { dataset } } : "/review"}
+                        className="underline"
+                    >
+                        Review tag suggestions
+                    </Link>
                 </p>
+                {rows.some((r) => r.posted_approx) && (
+                    <p className="text-xs text-gray-500">
+                        {capturedAt
+                            ? `Relative dates are resolved against the capture date ${formatDate(capturedAt)}.`
+                            : activeDataset === ALL_DATASETS
+                                ? "Relative dates are resolved against each collection's capture date, or today where there is none."
+                                : "No capture date in the CSV; relative dates are resolved against today and will drift."}
+                    </p>
+                )}
+                {datasets && datasets.length > 1 && (
+                    <div className="flex items-center gap-2 text-xs text-gray-600">
+                        <label htmlFor="dataset-select">Dataset:</label>
+                        <select
+                            id="dataset-select"
+                            className="border rounded px-2 py-1 text-sm"
+                            value={activeDataset}
+                            onChange={(e) => setDataset(e.target.value === datasets[0].id ? "" : e.target.value)}
+                        >
+                            {datasets.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                            <option value={ALL_DATASETS}>All datasets</option>
+                        </select>
+                    </div>
+                )}
                 {error && (
                     <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2 inline-block">
                         {error}
                     </div>
                 )}
+                {editStatus.enabled && (
+                    <div className="flex items-center gap-2 text-xs">
+                        {editStatus.authorized ? (
+                            <>
+                                <label className="flex items-center gap-1 text-gray-600">
+                                    <input type="checkbox" checked={editMode} onChange={(e) => setEditMode(e.target.checked)} />
+                                    Edit mode
+                                </label>
+                                {editMode && (
+                                    <button
+                                        className="px-3 py-1.5 border rounded bg-white disabled:opacity-40"
+                                        onClick={() => setEditing("new")}
+                                        disabled={!canAdd}
+                                        title={
+                                            activeDataset === ALL_DATASETS
+                                                ? "Pick a dataset to add posts to"
+                                                : !canAdd
+                                                    ? "This dataset is read through an importer and can't be edited"
+                                                    : undefined
+                                        }
+                                    >
+                                        Add post
+                                    </button>
+                                )}
+                            </>
+                        ) : (
+                            <>
+                                <input
+                                    type="password"
+                                    className="border rounded px-2 py-1"
+                                    placeholder="Edit token"
+                                    value={tokenDraft}
+                                    onChange={(e) => setTokenDraft(e.target.value)}
+                                    onKeyDown={(e) => e.key === "Enter" && unlockEditing()}
+                                />
+                                <button className="px-3 py-1.5 border rounded bg-white" onClick={unlockEditing}>
+                                    Enable editing
+                                </button>
+                            </>
+                        )}
+                        {editMessage && <span className="text-gray-600">{editMessage}</span>}
+                    </div>
+                )}
             </header>
 
             {/* Controls */}
             <section className="grid gap-4 md:grid-cols-3">
                 <div className="space-y-1">
                     <label className="block text-xs uppercase text-gray-600">Post Authors</label>
-                    <MultiSelect options={authorOptions.length ? authorOptions : allAuthors} selected={authors} onChange={setAuthors} placeholder="All authors" />
+                    <MultiSelect
+                        options={authorOptions.length ? authorOptions : allAuthors}
+                        selected={authors}
+                        onChange={setAuthors}
+                        excluded={authorsExcluded}
+                        onExcludedChange={setAuthorsExcluded}
+                        placeholder="All authors"
+                        label="Post authors"
+                    />
                 </div>
                 <div className="space-y-1">
                     <label className="block text-xs uppercase text-gray-600">Tags</label>
-                    <MultiSelect options={tagOptions.length ? tagOptions : allTags} selected={tags} onChange={setTags} placeholder="All tags" />
+                    <MultiSelect
+                        options={tagOptions.length ? tagOptions : allTags}
+                        selected={tags}
+                        onChange={setTags}
+                        excluded={tagsExcluded}
+                        onExcludedChange={setTagsExcluded}
+                        mode={tagMode}
+                        onModeChange={setTagMode}
+                        tree={tagTreeNodes}
+                        placeholder="All tags"
+                        label="Tags"
+                    />
                 </div>
                 <div className="space-y-1">
                     <label className="block text-xs uppercase text-gray-600">Search & Filters</label>
                     <div className="flex items-center gap-2">
                         <input
-                            className="flex-1 border rounded px-3 py-2 text-sm"
-                            placeholder="Search…"
+                            ref={searchRef}
+                            className={`flex-1 border rounded px-3 py-2 text-sm ${searchError ? "border-red-400" : ""}`}
+                            placeholder='Search… e.g. "carbon credits" -offsets after:90d'
+                            title={'Phrases in quotes; AND, OR, NOT or -term; (grouping); author:, tag:, headline:, summary:, before:, after: (YYYY-MM-DD or 90d); your notes: note:, stance:, itag:'}
                             value={search}
                             onChange={(e) => setSearch(e.target.value)}
+                            aria-invalid={!!searchError}
+                            aria-label="Search posts"
+                            aria-keyshortcuts="/"
                         />
                         <label className="text-xs text-gray-600">Period:</label>
                         <select
@@ -458,6 +757,12 @@ function LinkedInPostsDashboard() {
                             <option value={-1}>All time</option>
                         </select>
                     </div>
+                    {searchError && (
+                        <div className="text-xs text-red-600" role="alert">
+                            {searchError.message}
+                            {Number.isInteger(searchError.position) && ` (at character ${searchError.position + 1})`}
+                        </div>
+                    )}
                     <div className="flex items-center gap-2 mt-2">
                         <span className="text-xs text-gray-600">Max results:</span>
                         <select
@@ -470,14 +775,32 @@ function LinkedInPostsDashboard() {
                             <option value={500}>500</option>
                             <option value={-1}>All</option>
                         </select>
+                        <span className="text-xs text-gray-600">Sort:</span>
+                        <select
+                            className="border rounded px-2 py-1 text-sm"
+                            value={sort}
+                            onChange={(e) => setSort(e.target.value)}
+                        >
+                            <option value="date">Newest</option>
+                            <option value="relevance">Relevance</option>
+                        </select>
+                        <label className="flex items-center gap-1 text-xs text-gray-600">
+                            <input type="checkbox" checked={hideApprox} onChange={(e) => setHideApprox(e.target.checked)} />
+                            Exact dates only
+                        </label>
+                        <div className="ml-auto" />
+                        <SavedViews current={filterState} onApply={applyView} />
+                        <ReaderMenu
+                            state={reader}
+                            onChange={(next) => updateReader(() => next)}
+                            annotations={annotations}
+                            onAnnotationsChange={(next) => updateAnnotations(() => next)}
+                            onMarkShownRead={() => updateReader((st) => setPostFlag(st, limited.map((r) => readerKeys.get(r)), "read", true))}
+                        />
+                        <ExportMenu rows={exportRows} taxonomy={taxonomy} feedQuery={feedQuery} />
                         <button
-                            className="ml-auto text-xs px-3 py-1.5 border rounded bg-white"
-                            onClick={() => {
-                                setAuthors([]);
-                                setTags([]);
-                                setSearch("");
-                                setPeriod(30);
-                            }}
+                            className="text-xs px-3 py-1.5 border rounded bg-white"
+                            onClick={() => applyFilters({ ...FILTER_DEFAULTS, maxResults, view, dataset })}
                         >
                             Reset
                         </button>
@@ -485,32 +808,243 @@ function LinkedInPostsDashboard() {
                 </div>
             </section>
 
-            <div className="text-sm text-gray-700">
-                Showing <strong>{limited.length}</strong> of <strong>{filtered.length}</strong> (from {rows.length} total).
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+                <div className="flex border rounded overflow-hidden text-xs" role="tablist">
+                    {VIEW_OPTIONS.map((v) => (
+                        <button
+                            key={v}
+                            role="tab"
+                            aria-selected={view === v}
+                            className={`px-3 py-1.5 ${view === v ? "bg-gray-900 text-white" : "bg-white"}`}
+                            onClick={() => setView(v)}
+                        >
+                            {VIEW_LABELS[v]}
+                        </button>
+                    ))}
+                </div>
+                {view !== "analytics" ? (
+                    <span>Showing <strong>{limited.length}</strong> of <strong>{filtered.length}</strong> (from {rows.length} total).</span>
+                ) : (
+                    <span>Charts cover all <strong>{filtered.length}</strong> matching posts (from {rows.length} total).</span>
+                )}
+                {parsing !== null && <span className="text-gray-500">Still loading… {parsing.toLocaleString()} rows parsed so far.</span>}
+                <div className="flex items-center gap-2 text-xs">
+                    <button
+                        type="button"
+                        className={`px-2 py-1 border rounded ${onlyNew ? "bg-gray-900 text-white" : "bg-white"}`}
+                        aria-pressed={onlyNew}
+                        title={lastVisit ? `Posts first loaded after your visit on ${new Date(lastVisit).toLocaleString()}` : "Posts first loaded during this visit"}
+                        onClick={() => setOnlyNew((v) => !v)}
+                    >
+                        New since last visit
+                        {newUnread > 0 && (
+                            <span className="ml-1 px-1.5 rounded-full bg-green-600 text-white" aria-label={`${newUnread} unread`}>
+                                {newUnread}
+                            </span>
+                        )}
+                    </button>
+                    <button
+                        type="button"
+                        className={`px-2 py-1 border rounded ${starredOnly ? "bg-gray-900 text-white" : "bg-white"}`}
+                        aria-pressed={starredOnly}
+                        onClick={() => setStarredOnly((v) => !v)}
+                    >
+                        ★ Starred only
+                    </button>
+                    <label className="flex items-center gap-1 text-gray-600">
+                        <input type="checkbox" checked={showHidden} onChange={(e) => setShowHidden(e.target.checked)} />
+                        Show hidden
+                    </label>
+                    <select
+                        className="border rounded px-1 py-1"
+                        value={stanceFilter}
+                        onChange={(e) => setStanceFilter(e.target.value)}
+                        aria-label="Filter by stance"
+                    >
+                        <option value="">Any stance</option>
+                        {STANCES.map((st) => (
+                            <option key={st} value={st}>{st[0].toUpperCase() + st.slice(1)}</option>
+                        ))}
+                        <option value="none">No stance</option>
+                    </select>
+                    {internalTags.length > 0 && (
+                        <select
+                            className="border rounded px-1 py-1"
+                            value={itagFilter}
+                            onChange={(e) => setItagFilter(e.target.value)}
+                            aria-label="Filter by internal tag"
+                        >
+                            <option value="">Any internal tag</option>
+                            {internalTags.map((t) => (
+                                <option key={t} value={t}>{t}</option>
+                            ))}
+                        </select>
+                    )}
+                    <label className="flex items-center gap-1 text-gray-600">
+                        <input type="checkbox" checked={notedOnly} onChange={(e) => setNotedOnly(e.target.checked)} />
+                        With notes
+                    </label>
+                </div>
+                {view === "cards" && (
+                    <span className="ml-auto hidden md:inline text-xs text-gray-400">
+                        <kbd>j</kbd>/<kbd>k</kbd> move · <kbd>Enter</kbd> details · <kbd>o</kbd> open post · <kbd>/</kbd> search
+                    </span>
+                )}
             </div>
 
-            <section className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                {limited.map((r, idx) => (
-                    <LinkedInCard key={`${r.author}| ${r.title}| ${r.dateRaw}| ${idx} `} row={r} />
-                ))}
-            </section>
+            {view === "analytics" && <AnalyticsView rows={filtered} taxonomy={taxonomy} />}
+
+            {view === "table" && <PostTable rows={limited} taxonomy={taxonomy} highlight={highlightTerms} />}
+
+            {view === "cards" && (
+                <VirtualGrid
+                    items={limited}
+                    itemKey={rowKey}
+                    resetKey={filterQuery}
+                    activeIndex={focusIndex}
+                    role="feed"
+                    aria-label="Posts"
+                    aria-busy={parsing !== null}
+                    renderItem={(r, index) => (
+                        <LinkedInCard
+                            row={r}
+                            cardKey={rowKey(r)}
+                            position={index + 1}
+                            total={limited.length}
+                            focused={focusKey === rowKey(r)}
+                            tabbable={focusKey === rowKey(r) || (focusIndex < 0 && index === 0)}
+                            onFocus={() => setFocusKey(rowKey(r))}
+                            reader={postFlags(reader, readerKeys.get(r))}
+                            isNew={newKeys.has(readerKeys.get(r))}
+                            annotation={annotationFor(annotations, readerKeys.get(r))}
+                            internalTags={internalTags}
+                            onAnnotate={
+                                readerKeys.get(r)
+                                    ? (a) => updateAnnotations((st) => setAnnotation(st, readerKeys.get(r), a))
+                                    : null
+                            }
+                            onReaderFlag={
+                                readerKeys.get(r)
+                                    ? (flag, on) => updateReader((st) => setPostFlag(st, [readerKeys.get(r)], flag, on))
+                                    : null
+                            }
+                            suggestions={
+                                tagModel && openKey === rowKey(r)
+                                    ? suggestTags(r, tagModel, { taxonomy, rejected: rejectedTags(rejections, readerKeys.get(r)) })
+                                    : null
+                            }
+                            onAcceptTag={
+                                editMode && isEditable(datasetById(datasets, r.dataset) || {}) ? (tag) => acceptTag(r, tag) : null
+                            }
+                            onRejectTag={
+                                readerKeys.get(r) ? (tag) => updateRejections((st) => rejectTag(st, readerKeys.get(r), tag)) : null
+                            }
+                            open={openKey === rowKey(r)}
+                            onOpenChange={(open) => setOpenKey((k) => (open ? rowKey(r) : k === rowKey(r) ? null : k))}
+                            highlight={highlightTerms}
+                            editMode={editMode && isEditable(datasetById(datasets, r.dataset) || {})}
+                            datasetName={activeDataset === ALL_DATASETS ? datasetById(datasets, r.dataset)?.name : null}
+                            onEdit={setEditing}
+                            onToggleInclude={toggleInclude}
+                        />
+                    )}
+                />
+            )}
+
+            {toast && (
+                <div
+                    role="status"
+                    className="fixed bottom-4 right-4 z-50 flex items-center gap-3 rounded-lg bg-gray-900 text-white text-sm px-4 py-2 shadow-lg"
+                >
+                    <span>Data changed on disk: {toast}.</span>
+                    <button className="text-xs text-gray-300 hover:text-white" onClick={() => setToast("")} aria-label="Dismiss">
+                        ×
+                    </button>
+                </div>
+            )}
+
+            {editing && (
+                <PostEditor
+                    row={editing === "new" ? null : editing}
+                    rows={rows.filter((r) => r.dataset === (editing === "new" ? activeDataset : editing.dataset))}
+                    taxonomy={taxonomy}
+                    tagOptions={tagOptions.length ? tagOptions : allTags}
+                    authorOptions={authorOptions.length ? authorOptions : allAuthors}
+                    onSave={saveEdit}
+                    onClose={() => setEditing(null)}
+                />
+            )}
         </div>
     );
 }
 
 // -------------------- Card --------------------
-function LinkedInCard({ row }) {
-    const [open, setOpen] = useState(false);
+// The post's date as the card and its overlay show it: exact dates at their precision,
+// LinkedIn ages ("4mo") with the day they resolve to
+function PostDate({ row, className }) {
+    const when = formatDate(row.posted_at, row.posted_precision === "week" ? "day" : row.posted_precision || "day");
+    if (!when) return row.posted_iso ? <div className={className}>{row.posted_iso}</div> : null;
+    if (!row.posted_approx) return <div className={className}>{when}</div>;
+    return (
+        <div className={className} title={`Approximate: "${row.posted_iso}" before capture`}>
+            {row.posted_approx_label} <span className="text-gray-400">(≈ {when})</span>
+        </div>
+    );
+}
+
+// Keyboard: the dashboard moves focus between cards (roving tabindex: only the current card is in the tab order);
+// Enter/Space toggles the details, which then take focus and hand it back to the card when closed.
+function LinkedInCard({
+    row,
+    cardKey,
+    position,
+    total,
+    focused = false,
+    tabbable = false,
+    onFocus,
+    reader = {},
+    isNew = false,
+    onReaderFlag = null,
+    annotation = null,
+    internalTags = [],
+    onAnnotate = null,
+    suggestions = null,
+    onAcceptTag = null,
+    onRejectTag = null,
+    open = false,
+    onOpenChange,
+    highlight = [],
+    editMode = false,
+    datasetName = null,
+    onEdit,
+    onToggleInclude,
+}) {
     const [openUp, setOpenUp] = useState(false);
     const cardRef = React.useRef(null);
+    const overlayRef = React.useRef(null);
+    const openedByKey = React.useRef(false);
+    const id = React.useId();
 
+    // Follow keyboard navigation, also when this card only mounts once scrolled into view, unless focus
+    // has meanwhile moved somewhere outside the cards
     useEffect(() => {
-        function onDocClick(e) { if (!cardRef.current) return; if (!cardRef.current.contains(e.target)) setOpen(false); }
-        function onKey(e) { if (e.key === 'Escape') setOpen(false); }
-        document.addEventListener('mousedown', onDocClick);
-        document.addEventListener('keydown', onKey);
-        return () => { document.removeEventListener('mousedown', onDocClick); document.removeEventListener('keydown', onKey); };
-    }, []);
+        const card = cardRef.current;
+        if (!focused || !card || card.contains(document.activeElement)) return;
+        const current = document.activeElement;
+        if (current && current !== document.body && !current.closest("[data-card-key]")) return;
+        card.focus({ preventScroll: true });
+    }, [focused]);
+
+    useEffect(() => {
+        if (!openedByKey.current) return;
+        if (open) {
+            overlayRef.current?.focus();
+        } else {
+            openedByKey.current = false;
+            const current = document.activeElement;
+            if (!current || current === document.body || cardRef.current?.contains(current)) cardRef.current?.focus();
+        }
+    }, [open]);
 
     function updateOverlayPosition() {
         if (!cardRef.current) return;
@@ -519,90 +1053,178 @@ function LinkedInCard({ row }) {
         setOpenUp(rect.bottom + 220 > viewportHeight);
     }
 
-    function handleOpen() { updateOverlayPosition(); setOpen(true); }
-    function handleClose() { setOpen(false); }
+    function handleOpen() { updateOverlayPosition(); onOpenChange(true); }
+    function handleClose() { onOpenChange(false); }
+    // Moving the mouse away doesn't throw away a note being typed
+    function handleMouseLeave() {
+        const active = document.activeElement;
+        if (active && cardRef.current?.contains(active) && active.matches("input, textarea")) return;
+        handleClose();
+    }
     function handleCardClick(e) {
         const el = e.target;
-        if (el.closest && el.closest('a,button,input,label,textarea,select')) return;
+        if (el.closest && el.closest('a,button,input,label,textarea,select,[role="dialog"]')) return;
+        updateOverlayPosition();
+        onOpenChange(!open);
+    }
+    function handleKeyDown(e) {
+        if (e.target !== cardRef.current || (e.key !== "Enter" && e.key !== " ")) return;
+        e.preventDefault();
         updateOverlayPosition();
-        setOpen((v) => !v);
+        openedByKey.current = true;
+        onOpenChange(!open);
     }
 
     return (
         <div
             ref={cardRef}
-            className="relative overflow-visible border rounded-2xl p-4 bg-white shadow-sm hover:shadow-md cursor-default"
-            onMouseEnter={handleOpen}
-            onMouseLeave={handleClose}
+            data-card-key={cardKey}
+            role="article"
+            aria-labelledby={`${id}-headline`}
+            aria-posinset={position}
+            aria-setsize={total}
+            aria-keyshortcuts="Enter o"
+            tabIndex={tabbable ? 0 : -1}
+            className={`relative overflow-visible border rounded-2xl p-4 bg-white shadow-sm hover:shadow-md cursor-default outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${row.include === "n" || reader.hidden ? "opacity-50" : ""}`}
+            onMouseEnter={editMode ? undefined : handleOpen}
+            onMouseLeave={handleMouseLeave}
             onClick={handleCardClick}
-            aria-expanded={open}
+            onKeyDown={handleKeyDown}
+            onFocus={onFocus}
         >
             {/* Author + Headline */}
             <div className="mb-1">
-                <div className="text-[11px] uppercase tracking-wide text-gray-500">
-                    {row.author || "(unknown)"}
+                <div className="text-[11px] uppercase tracking-wide text-gray-500 flex items-center gap-2">
+                    {row.author ? (
+                        <Link href={authorPath(row.author)} className="hover:underline">{row.author}</Link>
+                    ) : <span>(unknown)</span>}
+                    {datasetName && (
+                        <span
+                            className="normal-case tracking-normal text-[10px] px-1.5 py-0.5 rounded-full bg-blue-50 text-blue-700"
+                            title="Collection this post came from"
+                        >
+                            {datasetName}
+                        </span>
+                    )}
+                    {row.merged_from && (
+                        <span
+                            className="normal-case tracking-normal text-[10px] px-1.5 py-0.5 rounded-full bg-gray-100 text-gray-600"
+                            title={`${row.merged_from.length} rows merged as duplicates`}
+                        >
+                            merged ×{row.merged_from.length}
+                        </span>
+                    )}
+                    {annotation?.stance && (
+                        <span className={`normal-case tracking-normal text-[10px] px-1.5 py-0.5 rounded-full ${STANCE_STYLES[annotation.stance]}`}>
+                            {annotation.stance}
+                        </span>
+                    )}
+                    {annotation?.note && (
+                        <span className="normal-case tracking-normal text-[10px] text-gray-400" title={annotation.note}>
+                            ✎ note
+                        </span>
+                    )}
+                    {isNew && !reader.read && (
+                        <span className="normal-case tracking-normal text-[10px] px-1.5 py-0.5 rounded-full bg-green-50 text-green-700">
+                            New
+                        </span>
+                    )}
+                    {onReaderFlag && (
+                        <span className="ml-auto flex items-center gap-1 normal-case tracking-normal text-sm">
+                            <button
+                                type="button"
+                                className={reader.starred ? "text-amber-500" : "text-gray-300 hover:text-gray-500"}
+                                title={reader.starred ? "Unstar" : "Star"}
+                                aria-label="Star"
+                                aria-pressed={!!reader.starred}
+                                onClick={() => onReaderFlag("starred", !reader.starred)}
+                            >
+                                {reader.starred ? "★" : "☆"}
+                            </button>
+                            <button
+                                type="button"
+                                className={reader.read ? "text-gray-300 hover:text-gray-500" : "text-blue-500"}
+                                title={reader.read ? "Mark as unread" : "Mark as read"}
+                                aria-label="Read"
+                                aria-pressed={!!reader.read}
+                                onClick={() => onReaderFlag("read", !reader.read)}
+                            >
+                                {reader.read ? "○" : "●"}
+                            </button>
+                            <button
+                                type="button"
+                                className={reader.hidden ? "text-red-600" : "text-gray-300 hover:text-gray-500"}
+                                title={reader.hidden ? "Unhide" : "Hide from the dashboard"}
+                                aria-label="Hidden"
+                                aria-pressed={!!reader.hidden}
+                                onClick={() => onReaderFlag("hidden", !reader.hidden)}
+                            >
+                                ⊘
+                            </button>
+                        </span>
+                    )}
                 </div>
-                <div className="text-base font-semibold leading-snug">
+                <div id={`${id}-headline`} className={`text-base font-semibold leading-snug ${reader.read ? "text-gray-600" : ""}`}>
                     {row.url ? (
                         <a href={row.url} target="_blank" rel="noreferrer" className="hover:underline">
-                            {row.headline || row.title || "(no title)"}
+                            <Highlight text={row.headline || row.title || "(no title)"} terms={highlight} />
                         </a>
-                    ) : (row.headline || row.title || "(no title)")}
+                    ) : <Highlight text={row.headline || row.title || "(no title)"} terms={highlight} />}
                 </div>
             </div>
 
-            {/* Date */}
-            {(() => {
-                const isValid = (d) => d instanceof Date && !isNaN(d.getTime());
-                let when = "";
-
-                if (isValid(row?.posted_at)) {
-                    when = typeof formatDateShort === "function"
-                        ? formatDateShort(row.posted_at)
-                        : `${row.posted_at.getFullYear()}-${String(row.posted_at.getMonth() + 1).padStart(2, "0")}-${String(row.posted_at.getDate()).padStart(2, "0")}`;
-                } else if (isValid(row?.dateObj)) {
-                    when = typeof formatDateShort === "function"
-                        ? formatDateShort(row.dateObj)
-                        : `${row.dateObj.getFullYear()}-${String(row.dateObj.getMonth() + 1).padStart(2, "0")}-${String(row.dateObj.getDate()).padStart(2, "0")}`;
-                } else {
-                    when = row?.posted_iso_abs || row?.dateRaw || row?.posted_iso || "";
-                }
-
-                return when ? <div className="text-xs text-gray-500 mb-2">{when}</div> : null;
-            })()}
+            <PostDate row={row} className="text-xs text-gray-500 mb-2" />
+
+            {editMode && (
+                <div className="flex items-center gap-2 text-xs">
+                    <label className="flex items-center gap-1 text-gray-600">
+                        <input type="checkbox" checked={row.include !== "n"} onChange={() => onToggleInclude(row)} />
+                        Include
+                    </label>
+                    <button className="ml-auto px-2 py-0.5 border rounded hover:bg-gray-50" onClick={() => onEdit(row)}>
+                        Edit
+                    </button>
+                </div>
+            )}
 
 
             {/* Overlay */}
             {open && (
                 <div
-                    className={`absolute left-0 right-0 rounded-2xl p-4 shadow-xl ring-1 ring-black/10 ${openUp ? 'bottom-0 mb-2' : 'top-0 mt-2'} z-50 mix-blend-normal`}
+                    ref={overlayRef}
+                    role="dialog"
+                    aria-modal="false"
+                    aria-labelledby={`${id}-title`}
+                    tabIndex={-1}
+                    className={`absolute left-0 right-0 rounded-2xl p-4 shadow-xl ring-1 ring-black/10 ${openUp ? 'bottom-0 mb-2' : 'top-0 mt-2'} z-50 mix-blend-normal outline-none`}
                     style={{ backgroundColor: '#fff', opacity: 1 }}
                 >
                     <div className="text-sm relative">
                         <button
                             className="absolute top-2 right-2 text-xs border rounded px-2 py-0.5 hover:bg-gray-50"
-                            onClick={() => setOpen(false)}
+                            onClick={handleClose}
                             aria-label="Close details"
                         >
                             ×
                         </button>
-                        <div className="font-semibold pr-6">{row.author}</div>
-                        <div>{row.title}</div>
-                        {row.dateObj ? (
-                            <div className="text-xs text-gray-500">{formatDateShort(row.dateObj)}</div>
-                        ) : row.dateRaw ? (
-                            <div className="text-xs text-gray-500">{row.dateRaw}</div>
-                        ) : null}
-                        {row.summary && <p className="mt-2 text-gray-700">{row.summary}</p>}
+                        <div className="font-semibold pr-6">
+                            {row.author && <Link href={authorPath(row.author)} className="hover:underline">{row.author}</Link>}
+                        </div>
+                        <div id={`${id}-title`}>{row.headline}</div>
+                        <PostDate row={row} className="text-xs text-gray-500" />
+                        {row.summary && <p className="mt-2 text-gray-700"><Highlight text={row.summary} terms={highlight} /></p>}
                         {row.tags?.length ? (
                             <div className="mt-2 flex flex-wrap gap-1">
                                 {safeTags(row).map((t) => (
-                                    <span key={t} className="text-[11px] px-2 py-0.5 border rounded-full">
+                                    <Link key={t} href={tagPath(t)} className="text-[11px] px-2 py-0.5 border rounded-full hover:bg-gray-50">
                                         {t}
-                                    </span>
+                                    </Link>
                                 ))}
                             </div>
                         ) : null}
+                        {onRejectTag && (
+                            <TagSuggestions className="mt-2" suggestions={suggestions} onAccept={onAcceptTag} onReject={onRejectTag} />
+                        )}
                         {row.url && (
                             <p className="mt-2">
                                 <a href={row.url} target="_blank" rel="noreferrer" className="underline">
@@ -610,6 +1232,29 @@ function LinkedInCard({ row }) {
                                 </a>
                             </p>
                         )}
+                        {onAnnotate && (
+                            <AnnotationEditor annotation={annotation} tagOptions={internalTags} onSave={onAnnotate} />
+                        )}
+                        {row.merged_from && (
+                            <div className="mt-2 border-t pt-2">
+                                <div className="text-[11px] uppercase text-gray-500">Merged rows</div>
+                                <ul className="text-xs text-gray-600 space-y-0.5">
+                                    {row.merged_from.map((m, i) => (
+                                        <li key={`${m.source_line}-${i}`}>
+                                            Line {m.source_line ?? "?"}
+                                            {m.url && (
+                                                <>
+                                                    {" · "}
+                                                    <a href={m.url} target="_blank" rel="noreferrer" className="underline">link</a>
+                                                </>
+                                            )}
+                                            {" · "}{m.reason}
+                                            {m.headline !== row.headline && <span className="text-gray-400"> — {m.headline}</span>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
                     </div>
                 </div>
             )}
@@ -618,16 +1263,43 @@ function LinkedInCard({ row }) {
 }
 
 // --- MultiSelect (top-level component; not nested inside another function) ---
-function MultiSelect({ options = [], selected = [], onChange, placeholder = "Select…" }) {
+// Optional extras: `excluded`/`onExcludedChange` add a per-option exclude toggle,
+// `mode`/`onModeChange` add an Any/All switch for how selected options combine.
+// `tree` ([{ name, children }]) shows options as a collapsible hierarchy while the filter box is empty.
+const NO_EXCLUSIONS = [];
+function MultiSelect({
+    options = [],
+    selected = [],
+    onChange,
+    excluded = NO_EXCLUSIONS,
+    onExcludedChange,
+    mode,
+    onModeChange,
+    tree = null,
+    placeholder = "Select…",
+    label = placeholder,
+}) {
     const rootRef = React.useRef(null);
+    const buttonRef = React.useRef(null);
+    const listId = React.useId();
     const [open, setOpen] = useState(false);
     const [query, setQuery] = useState("");
+    const [active, setActive] = useState(0); // index into `visible` of the option the arrow keys are on
     const [temp, setTemp] = useState(selected);
+    const [tempExcluded, setTempExcluded] = useState(excluded);
+    const [tempMode, setTempMode] = useState(mode);
+    const [expanded, setExpanded] = useState(() => new Set());
 
     // keep temp in sync if parent selection changes
     useEffect(() => {
         setTemp(selected);
     }, [selected]);
+    useEffect(() => {
+        setTempExcluded(excluded);
+    }, [excluded]);
+    useEffect(() => {
+        setTempMode(mode);
+    }, [mode]);
 
     // close on outside click / Escape
     useEffect(() => {
@@ -653,35 +1325,182 @@ function MultiSelect({ options = [], selected = [], onChange, placeholder = "Sel
         return q ? list.filter((o) => String(o).toLowerCase().includes(q)) : list;
     }, [options, query]);
 
+    const showTree = tree && tree.length && !query.trim();
+
+    // Options in display order (expanded tree nodes followed by their children), as the arrow keys walk them
+    const visible = useMemo(() => {
+        if (!showTree) return filtered.map((name) => ({ name, depth: 0, children: [] }));
+        const out = [];
+        (function walk(nodes, depth) {
+            for (const n of nodes) {
+                out.push({ name: n.name, depth, children: n.children });
+                if (expanded.has(n.name)) walk(n.children, depth + 1);
+            }
+        })(tree, 0);
+        return out;
+    }, [showTree, filtered, tree, expanded]);
+    const activeIdx = Math.min(active, visible.length - 1);
+    const optionId = (i) => `${listId}-option-${i}`;
+
+    useEffect(() => setActive(0), [query]);
+    useEffect(() => {
+        if (open && activeIdx >= 0) document.getElementById(optionId(activeIdx))?.scrollIntoView({ block: "nearest" });
+    }, [open, activeIdx]);
+
+    // An option is either selected, excluded, or neither
     function toggle(item) {
+        setTempExcluded((prev) => prev.filter((x) => x !== item));
         setTemp((prev) => (prev.includes(item) ? prev.filter((x) => x !== item) : [...prev, item]));
     }
+    function toggleExclude(item) {
+        setTemp((prev) => prev.filter((x) => x !== item));
+        setTempExcluded((prev) => (prev.includes(item) ? prev.filter((x) => x !== item) : [...prev, item]));
+    }
     function apply(closeAfter = true) {
         onChange?.(temp);
+        onExcludedChange?.(tempExcluded);
+        if (mode && tempMode !== mode) onModeChange?.(tempMode);
         if (closeAfter) setOpen(false);
     }
     function clear(closeAfter = false) {
         setTemp([]);
+        setTempExcluded([]);
         onChange?.([]);
+        onExcludedChange?.([]);
         if (closeAfter) setOpen(false);
     }
     function openMenu() {
         setOpen(true);
         setQuery("");
+        setActive(0);
         setTemp(selected);
+        setTempExcluded(excluded);
+        setTempMode(mode);
+    }
+
+    function toggleExpanded(name) {
+        setExpanded((prev) => {
+            const next = new Set(prev);
+            if (next.has(name)) next.delete(name);
+            else next.add(name);
+            return next;
+        });
     }
 
+    // Keys in the filter box: arrows move through the options (left/right fold tag groups), Enter selects,
+    // Shift+Enter excludes, Ctrl+Enter applies and closes, Escape closes without applying
+    function onFilterKeyDown(e) {
+        const item = visible[activeIdx];
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            const step = e.key === "ArrowDown" ? 1 : -1;
+            setActive(Math.max(0, Math.min(visible.length - 1, activeIdx + step)));
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            if (e.ctrlKey || e.metaKey) {
+                apply(true);
+                buttonRef.current?.focus();
+            } else if (item && e.shiftKey && onExcludedChange) toggleExclude(item.name);
+            else if (item) toggle(item.name);
+        } else if (showTree && item && (e.key === "ArrowRight" || e.key === "ArrowLeft")) {
+            const isOpen = expanded.has(item.name);
+            if (e.key === "ArrowRight" && item.children.length && !isOpen) toggleExpanded(item.name);
+            else if (e.key === "ArrowLeft" && isOpen) toggleExpanded(item.name);
+            else if (e.key === "ArrowLeft" && item.depth > 0) {
+                // Back to the parent tag
+                for (let i = activeIdx - 1; i >= 0; i--) {
+                    if (visible[i].depth < item.depth) {
+                        setActive(i);
+                        break;
+                    }
+                }
+            } else return;
+            e.preventDefault();
+        } else if (e.key === "Escape") {
+            e.stopPropagation(); // don't also close an open card
+            setOpen(false);
+            buttonRef.current?.focus();
+        }
+    }
+
+    function renderOption({ name: opt, depth, children }, i) {
+        const isSel = temp.includes(opt);
+        const isEx = tempExcluded.includes(opt);
+        const isOpen = expanded.has(opt);
+        return (
+            <div
+                key={opt}
+                id={optionId(i)}
+                role="option"
+                aria-selected={isSel}
+                className={`flex items-center px-2 py-1 ${i === activeIdx ? "bg-gray-100" : "hover:bg-gray-50"}`}
+                style={{ paddingLeft: 8 + depth * 16 }}
+                onMouseEnter={() => setActive(i)}
+            >
+                {tree && (
+                    <button
+                        type="button"
+                        tabIndex={-1}
+                        className={`w-4 text-xs text-gray-500 ${children.length ? "" : "invisible"}`}
+                        onClick={() => toggleExpanded(opt)}
+                        aria-label={isOpen ? `Collapse ${opt}` : `Expand ${opt}`}
+                        aria-expanded={isOpen}
+                    >
+                        {isOpen ? "▾" : "▸"}
+                    </button>
+                )}
+                <label className="flex flex-1 items-center gap-2 cursor-pointer">
+                    <input type="checkbox" tabIndex={-1} aria-hidden="true" checked={isSel} onChange={() => toggle(opt)} />
+                    <span className={isEx ? "line-through text-red-600" : ""}>{opt}</span>
+                    {isEx && <span className="sr-only">(excluded)</span>}
+                    {children.length > 0 && (
+                        <span className="text-[11px] text-gray-400" title="Selecting this also matches its sub-tags">
+                            +{children.length}
+                            <span className="sr-only"> sub-tags{isOpen ? "" : ", collapsed"}</span>
+                        </span>
+                    )}
+                </label>
+                {onExcludedChange && (
+                    <button
+                        type="button"
+                        tabIndex={-1}
+                        className={`text-xs px-1 ${isEx ? "text-red-600" : "text-gray-300 hover:text-gray-500"}`}
+                        title={isEx ? "Stop excluding" : "Exclude"}
+                        aria-pressed={isEx}
+                        onClick={() => toggleExclude(opt)}
+                    >
+                        ⊘
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    const summary = [
+        selected.length ? `${selected.length} selected` : "",
+        excluded.length ? `${excluded.length} excluded` : "",
+    ].filter(Boolean);
+
     return (
         <div ref={rootRef} className="relative">
             <button
+                ref={buttonRef}
                 type="button"
                 className="w-full border rounded px-3 py-2 text-left text-sm flex justify-between"
                 onClick={() => (open ? setOpen(false) : openMenu())}
+                onKeyDown={(e) => {
+                    if (e.key === "ArrowDown" && !open) {
+                        e.preventDefault();
+                        openMenu();
+                    }
+                }}
+                aria-haspopup="listbox"
                 aria-expanded={open}
+                aria-label={`${label}: ${summary.length ? summary.join(", ") : placeholder}`}
             >
                 <span>
-                    {selected.length ? (
-                        `${selected.length} selected`
+                    {summary.length ? (
+                        `${summary.join(", ")}${mode === "all" && selected.length > 1 ? " (all)" : ""}`
                     ) : (
                         <span className="text-gray-400">{placeholder}</span>
                     )}
@@ -697,6 +1516,13 @@ function MultiSelect({ options = [], selected = [], onChange, placeholder = "Sel
                             placeholder="Filter…"
                             value={query}
                             onChange={(e) => setQuery(e.target.value)}
+                            onKeyDown={onFilterKeyDown}
+                            role="combobox"
+                            aria-label={`Filter ${label.toLowerCase()}`}
+                            aria-expanded="true"
+                            aria-controls={listId}
+                            aria-autocomplete="list"
+                            aria-activedescendant={activeIdx >= 0 ? optionId(activeIdx) : undefined}
                             autoFocus
                         />
                         <button className="text-xs px-2 py-1 border rounded" onClick={() => clear(false)}>
@@ -704,23 +1530,36 @@ function MultiSelect({ options = [], selected = [], onChange, placeholder = "Sel
                         </button>
                     </div>
 
-                    <div className="max-h-48 overflow-auto">
-                        {filtered.length ? (
-                            filtered.map((opt) => {
-                                const isSel = temp.includes(opt);
-                                return (
-                                    <label key={opt} className="flex items-center gap-2 px-2 py-1 hover:bg-gray-50 cursor-pointer">
-                                        <input type="checkbox" checked={isSel} onChange={() => toggle(opt)} />
-                                        <span>{opt}</span>
-                                    </label>
-                                );
-                            })
+                    {onModeChange && (
+                        <div className="flex items-center gap-2 mb-2 text-xs text-gray-600">
+                            <span>Match</span>
+                            {["any", "all"].map((m) => (
+                                <button
+                                    key={m}
+                                    type="button"
+                                    className={`px-2 py-0.5 border rounded ${tempMode === m ? "bg-gray-800 text-white" : "bg-white"}`}
+                                    onClick={() => setTempMode(m)}
+                                    aria-pressed={tempMode === m}
+                                >
+                                    {m === "any" ? "Any" : "All"}
+                                </button>
+                            ))}
+                            <span>of the selected</span>
+                        </div>
+                    )}
+
+                    <div id={listId} role="listbox" aria-multiselectable="true" aria-label={label} className="max-h-48 overflow-auto">
+                        {visible.length ? (
+                            visible.map(renderOption)
                         ) : (
                             <div className="text-xs text-gray-500 px-2 py-1">No matches</div>
                         )}
                     </div>
 
                     <div className="flex items-center justify-end gap-2 mt-2">
+                        <span className="mr-auto text-[11px] text-gray-400">
+                            ↑↓ move · Enter select{onExcludedChange ? " · Shift+Enter exclude" : ""} · Ctrl+Enter done
+                        </span>
                         <button className="text-xs px-2 py-1 border rounded" onClick={() => apply(false)}>
                             Apply
                         </button>
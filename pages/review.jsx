@@ -0,0 +1,328 @@
+"use client";
+import React, { useEffect, useMemo, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { fetchPosts, fetchDatasets } from "../utils/loadData";
+import { datasetById, isEditable } from "../utils/datasets";
+import { safeTags } from "../utils/posts";
+import { canonicalPostUrl } from "../utils/readerState";
+import {
+    DEFAULT_MIN_CONFIDENCE,
+    buildTagModel,
+    suggestTags,
+    isUnderTagged,
+    tagsWith,
+    loadRejections,
+    saveRejections,
+    rejectedTags,
+    rejectTag,
+} from "../utils/tagSuggest";
+import { loadEditToken, fetchEditStatus, postEdit } from "../components/PostEditor";
+
+// Posts listed at a time
+const PAGE_SIZE = 50;
+
+// "Which posts" choices: fewer than this many tags
+const UNDER_TAGGED = [
+    { value: 1, label: "Untagged" },
+    { value: 2, label: "Fewer than 2 tags" },
+    { value: 3, label: "Fewer than 3 tags" },
+    { value: Infinity, label: "All posts" },
+];
+
+const selectionKey = (line, tag) => `${line}\u0000${tag}`;
+
+// ============================================================
+// /review — go through tag suggestions for a dataset's under-tagged posts and write the chosen ones
+// back in one edit (?dataset=<id>)
+// ============================================================
+export default function ReviewPage() {
+    const router = useRouter();
+    const [datasets, setDatasets] = useState(null);
+    const [data, setData] = useState(null); // { rows, taxonomy }
+    const [reloadKey, setReloadKey] = useState(0);
+    const [error, setError] = useState("");
+    const [editStatus, setEditStatus] = useState({ enabled: false, authorized: false });
+    const [rejections, setRejections] = useState(null);
+    const [below, setBelow] = useState(2);
+    const [minConfidence, setMinConfidence] = useState(DEFAULT_MIN_CONFIDENCE);
+    const [selected, setSelected] = useState(() => new Set()); // selectionKey(line, tag)
+    const [shown, setShown] = useState(PAGE_SIZE);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState("");
+
+    useEffect(() => {
+        fetchDatasets().then(setDatasets);
+        fetchEditStatus(loadEditToken()).then(setEditStatus);
+        setRejections(loadRejections());
+    }, []);
+
+    // One collection at a time: edits name rows by their line in the file
+    const dataset = datasets && router.isReady ? datasetById(datasets, router.query.dataset) || datasets[0] : null;
+    const datasetId = dataset?.id || null;
+
+    useEffect(() => {
+        if (!datasetId) return;
+        let cancelled = false;
+        async function load() {
+            setError("");
+            try {
+                const { rows, taxonomy } = await fetchPosts(datasetId, datasets);
+                if (!cancelled) setData({ rows, taxonomy });
+            } catch (e) {
+                console.error(e);
+                if (!cancelled) setError(String(e?.message || e));
+            }
+        }
+        load();
+        return () => { cancelled = true; };
+    }, [datasetId, reloadKey]);
+
+    const model = useMemo(() => (data ? buildTagModel(data.rows, data.taxonomy) : null), [data]);
+
+    // [{ row, suggestions }] for the under-tagged posts that have any, strongest suggestion first
+    const candidates = useMemo(() => {
+        if (!data || !rejections) return [];
+        return data.rows
+            .filter((r) => r.include !== "n" && isUnderTagged(r, below))
+            .map((row) => ({
+                row,
+                suggestions: suggestTags(row, model, {
+                    taxonomy: data.taxonomy,
+                    limit: 5,
+                    minConfidence,
+                    rejected: rejectedTags(rejections, canonicalPostUrl(row.url)),
+                }),
+            }))
+            .filter((c) => c.suggestions.length)
+            .sort((a, b) => b.suggestions[0].confidence - a.suggestions[0].confidence);
+    }, [data, model, rejections, below, minConfidence]);
+
+    // Selections for suggestions no longer listed don't count
+    const chosen = useMemo(
+        () =>
+            candidates
+                .map(({ row, suggestions }) => ({
+                    row,
+                    tags: suggestions.filter((s) => selected.has(selectionKey(row.source_line, s.tag))).map((s) => s.tag),
+                }))
+                .filter((c) => c.tags.length),
+        [candidates, selected]
+    );
+    const chosenTags = chosen.reduce((n, c) => n + c.tags.length, 0);
+    const canWrite = dataset && isEditable(dataset) && editStatus.authorized;
+
+    function toggle(line, tag) {
+        setSelected((prev) => {
+            const next = new Set(prev);
+            const k = selectionKey(line, tag);
+            if (next.has(k)) next.delete(k);
+            else next.add(k);
+            return next;
+        });
+    }
+
+    function selectAbove(threshold) {
+        const next = new Set();
+        for (const { row, suggestions } of candidates) {
+            for (const s of suggestions) if (s.confidence >= threshold) next.add(selectionKey(row.source_line, s.tag));
+        }
+        setSelected(next);
+    }
+
+    function reject(row, tag) {
+        const next = rejectTag(rejections, canonicalPostUrl(row.url), tag);
+        saveRejections(next);
+        setRejections(next);
+    }
+
+    async function apply() {
+        setBusy(true);
+        setMessage("");
+        try {
+            const posts = chosen.map(({ row, tags }) => ({
+                line: row.source_line,
+                post_url: row.post_url,
+                tags: tagsWith(row, tags, data.taxonomy),
+            }));
+            const res = await postEdit(loadEditToken(), { action: "tags", dataset: dataset.id, posts });
+            setMessage(
+                `Tagged ${res.updated} posts in ${dataset.posts}` +
+                    (res.skipped.length ? `; ${res.skipped.length} skipped` : "") +
+                    (res.backup ? ` (previous file kept as ${res.backup})` : "") +
+                    "."
+            );
+            setSelected(new Set());
+            setReloadKey((k) => k + 1);
+        } catch (e) {
+            setMessage(e.message);
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    if (!dataset || (!data && !error)) return <div className="p-6 text-sm text-gray-700">Loading…</div>;
+
+    return (
+        <div className="p-6 space-y-6">
+            <header className="space-y-1">
+                <div className="text-xs">
+                    <Link href="/" className="text-gray-500 hover:underline">← Dashboard</Link>
+                </div>
+                <h1 className="text-2xl font-semibold tracking-tight">Review tag suggestions</h1>
+                <p className="text-sm text-gray-600">
+                    Tags suggested for posts in <code>{dataset.posts}</code> from keyword rules in{" "}
+                    <code>{dataset.tags || "the tags file"}</code> and from the words of posts already tagged. Pick the ones
+                    to add, then write them in one edit; dismissed suggestions are remembered in this browser.
+                </p>
+                {datasets.length > 1 && (
+                    <div className="flex items-center gap-2 text-xs text-gray-600">
+                        <label htmlFor="dataset-select">Dataset:</label>
+                        <select
+                            id="dataset-select"
+                            className="border rounded px-2 py-1 text-sm"
+                            value={dataset.id}
+                            onChange={(e) => router.replace({ pathname: router.pathname, query: { dataset: e.target.value } })}
+                        >
+                            {datasets.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                        </select>
+                    </div>
+                )}
+                {error && (
+                    <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2 inline-block">
+                        {error}
+                    </div>
+                )}
+                {data && !data.taxonomy && (
+                    <p className="text-xs text-gray-500">
+                        No {dataset.tags || "tags file"} — suggesting the tags already in use, without keyword rules.
+                    </p>
+                )}
+            </header>
+
+            <section className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+                <label className="flex items-center gap-1">
+                    Posts:
+                    <select
+                        className="border rounded px-2 py-1 text-sm"
+                        value={String(below)}
+                        onChange={(e) => { setBelow(Number(e.target.value)); setShown(PAGE_SIZE); }}
+                    >
+                        {UNDER_TAGGED.map((o) => <option key={o.label} value={String(o.value)}>{o.label}</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    Minimum confidence:
+                    <input
+                        type="range"
+                        min="0.3"
+                        max="0.95"
+                        step="0.05"
+                        value={minConfidence}
+                        onChange={(e) => setMinConfidence(Number(e.target.value))}
+                    />
+                    <span className="w-8">{Math.round(minConfidence * 100)}%</span>
+                </label>
+                <button className="px-3 py-1.5 border rounded bg-white" onClick={() => selectAbove(0.8)} disabled={!candidates.length}>
+                    Select all ≥ 80%
+                </button>
+                <button className="px-3 py-1.5 border rounded bg-white" onClick={() => setSelected(new Set())} disabled={!selected.size}>
+                    Clear selection
+                </button>
+                {editStatus.enabled && (
+                    <button
+                        className="px-3 py-1.5 border rounded bg-gray-800 text-white disabled:opacity-40"
+                        onClick={apply}
+                        disabled={!canWrite || !chosenTags || busy}
+                        title={
+                            !isEditable(dataset)
+                                ? "This dataset is read through an importer and can't be edited"
+                                : editStatus.authorized ? undefined : "Enable editing on the dashboard first"
+                        }
+                    >
+                        {busy ? "Saving…" : `Add ${chosenTags} tags to ${chosen.length} posts`}
+                    </button>
+                )}
+                {message && <span className="text-gray-700">{message}</span>}
+            </section>
+
+            {data && (
+                <div className="text-sm text-gray-700">
+                    {candidates.length
+                        ? <><strong>{candidates.length}</strong> posts with suggestions.</>
+                        : "No suggestions for these posts."}
+                </div>
+            )}
+
+            {candidates.length > 0 && (
+                <section className="overflow-x-auto border rounded-2xl bg-white">
+                    <table className="w-full text-sm">
+                        <thead className="text-left text-xs uppercase text-gray-600 border-b">
+                            <tr>
+                                <th className="px-3 py-2 w-16">Line</th>
+                                <th className="px-3 py-2">Post</th>
+                                <th className="px-3 py-2">Tags</th>
+                                <th className="px-3 py-2">Suggestions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {candidates.slice(0, shown).map(({ row, suggestions }) => (
+                                <tr key={row.source_line} className="border-b last:border-0 align-top">
+                                    <td className="px-3 py-2 font-mono text-xs text-gray-500">{row.source_line}</td>
+                                    <td className="px-3 py-2">
+                                        <div className="text-xs text-gray-500">{row.author || "(unknown)"}</div>
+                                        {row.url ? (
+                                            <a href={row.url} target="_blank" rel="noreferrer" className="font-medium hover:underline">
+                                                {row.headline || "(no title)"}
+                                            </a>
+                                        ) : <span className="font-medium">{row.headline || "(no title)"}</span>}
+                                        {row.summary && <p className="text-xs text-gray-600 line-clamp-2">{row.summary}</p>}
+                                    </td>
+                                    <td className="px-3 py-2 text-xs text-gray-700">{safeTags(row).join(", ") || "—"}</td>
+                                    <td className="px-3 py-2">
+                                        <div className="flex flex-wrap gap-1">
+                                            {suggestions.map((s) => {
+                                                const on = selected.has(selectionKey(row.source_line, s.tag));
+                                                return (
+                                                    <span
+                                                        key={s.tag}
+                                                        className={`inline-flex items-center text-[11px] rounded-full border ${on ? "bg-blue-600 text-white border-blue-600" : "bg-blue-50 text-blue-800 border-dashed border-blue-300"}`}
+                                                        title={s.reasons.join("; ")}
+                                                    >
+                                                        <button
+                                                            type="button"
+                                                            className="pl-2 pr-1 py-0.5"
+                                                            aria-pressed={on}
+                                                            onClick={() => toggle(row.source_line, s.tag)}
+                                                        >
+                                                            {s.tag} {Math.round(s.confidence * 100)}%
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            className="pr-2 pl-1 py-0.5 opacity-70 hover:opacity-100"
+                                                            onClick={() => reject(row, s.tag)}
+                                                            aria-label={`Dismiss suggestion ${s.tag}`}
+                                                        >
+                                                            ✕
+                                                        </button>
+                                                    </span>
+                                                );
+                                            })}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {candidates.length > shown && (
+                        <div className="p-3 text-center">
+                            <button className="text-xs px-3 py-1.5 border rounded bg-white" onClick={() => setShown((n) => n + PAGE_SIZE)}>
+                                Show {Math.min(PAGE_SIZE, candidates.length - shown)} more
+                            </button>
+                        </div>
+                    )}
+                </section>
+            )}
+        </div>
+    );
+}
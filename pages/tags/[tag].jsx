@@ -0,0 +1,133 @@
+import React from "react";
+import Link from "next/link";
+import { loadPosts } from "../../utils/serverData";
+import { ALL_DATASETS } from "../../utils/datasets";
+import { mergeDuplicates } from "../../utils/dedupe";
+import { allTagNames, tagActivity, tagSlug, tagPath } from "../../utils/tags";
+import { authorPath } from "../../utils/authors";
+import { buildFilterQuery, FILTER_DEFAULTS } from "../../utils/urlState";
+import { Bars } from "../../components/AnalyticsView";
+
+// Rebuilt in the background at most this often under `next start`, so CSV edits show up without a rebuild
+const REVALIDATE_SECONDS = 300;
+
+// Topics span every collection in datasets.json
+export async function getStaticPaths() {
+    const { rows, taxonomy } = await loadPosts(ALL_DATASETS);
+    return {
+        paths: allTagNames(rows, taxonomy).filter(tagSlug).map((t) => ({ params: { tag: tagSlug(t) } })),
+        // Tags added after the build are rendered on first request
+        fallback: "blocking",
+    };
+}
+
+export async function getStaticProps({ params }) {
+    const { rows, taxonomy, datasets } = await loadPosts(ALL_DATASETS);
+    const merged = mergeDuplicates(rows);
+    const name = allTagNames(merged, taxonomy).find((t) => tagSlug(t) === params.tag);
+    if (!name) return { notFound: true, revalidate: REVALIDATE_SECONDS };
+
+    const key = name.toLowerCase();
+    return {
+        props: {
+            tag: name,
+            parent: taxonomy?.parentOf.get(key) || null,
+            children: taxonomy?.childrenOf.get(key) || [],
+            generatedAt: new Date().toISOString(),
+            dataset: datasets.length > 1 ? ALL_DATASETS : "",
+            ...tagActivity(merged, name, { taxonomy }),
+        },
+        revalidate: REVALIDATE_SECONDS,
+    };
+}
+
+// ============================================================
+// /tags/[tag] — a topic's posts, related tags and most active authors
+// ============================================================
+export default function TagPage({ tag, parent, children, generatedAt, dataset, total, posts, related, authors, history }) {
+    const dashboardLink = `/?${buildFilterQuery({ ...FILTER_DEFAULTS, tags: [tag], period: -1, dataset })}`;
+
+    return (
+        <div className="p-6 space-y-6">
+            <header className="space-y-1">
+                <div className="text-xs flex gap-2 text-gray-500">
+                    <Link href="/" className="hover:underline">← Dashboard</Link>
+                    {parent && (
+                        <>
+                            <span>/</span>
+                            <Link href={tagPath(parent)} className="hover:underline">{parent}</Link>
+                        </>
+                    )}
+                </div>
+                <h1 className="text-2xl font-semibold tracking-tight">{tag}</h1>
+                <p className="text-sm text-gray-600">
+                    {total} {total === 1 ? "post" : "posts"}
+                    {children.length > 0 && " (including sub-tags)"} · <Link href={dashboardLink} className="underline">Open in dashboard</Link>
+                </p>
+                {children.length > 0 && (
+                    <div className="flex flex-wrap gap-1 text-xs">
+                        <span className="text-gray-500">Sub-tags:</span>
+                        {children.map((c) => (
+                            <Link key={c} href={tagPath(c)} className="px-2 py-0.5 border rounded-full hover:bg-gray-50">{c}</Link>
+                        ))}
+                    </div>
+                )}
+            </header>
+
+            <section className="grid gap-6 lg:grid-cols-3">
+                <div className="border rounded-2xl p-4 bg-white shadow-sm">
+                    <h2 className="text-sm font-semibold mb-3">Posts per month</h2>
+                    {history.length ? (
+                        <Bars height={100} buckets={history.map((b) => ({ ...b, parts: [{ value: b.count, color: "#2563eb" }] }))} />
+                    ) : (
+                        <p className="text-sm text-gray-600">No dated posts.</p>
+                    )}
+                </div>
+                <div className="border rounded-2xl p-4 bg-white shadow-sm">
+                    <h2 className="text-sm font-semibold mb-3">Related tags</h2>
+                    <div className="flex flex-wrap gap-1">
+                        {related.map((t) => (
+                            <Link key={t.slug} href={`/tags/${t.slug}`} className="text-[11px] px-2 py-0.5 border rounded-full hover:bg-gray-50">
+                                {t.tag} <span className="text-gray-500">{t.count}</span>
+                            </Link>
+                        ))}
+                        {!related.length && <p className="text-sm text-gray-600">None.</p>}
+                    </div>
+                </div>
+                <div className="border rounded-2xl p-4 bg-white shadow-sm">
+                    <h2 className="text-sm font-semibold mb-3">Most active authors</h2>
+                    <ul className="text-sm space-y-0.5">
+                        {authors.map((a) => (
+                            <li key={a.author} className="flex">
+                                <Link href={authorPath(a.author)} className="hover:underline truncate">{a.author}</Link>
+                                <span className="ml-auto text-xs text-gray-600">{a.count}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </section>
+
+            <section className="space-y-3">
+                <h2 className="text-sm font-semibold">Posts, newest first</h2>
+                <ol className="space-y-3">
+                    {posts.map((p, i) => (
+                        <li key={`${p.url}-${i}`} className="border rounded-2xl p-4 bg-white shadow-sm">
+                            <div className="text-xs text-gray-500">
+                                {p.author && <Link href={authorPath(p.author)} className="hover:underline">{p.author}</Link>}
+                                {p.posted_date && ` · ${p.posted_approx ? `${p.posted_iso} (≈ ${p.posted_date})` : p.posted_date}`}
+                            </div>
+                            <div className="font-semibold leading-snug">
+                                {p.url ? (
+                                    <a href={p.url} target="_blank" rel="noreferrer" className="hover:underline">{p.headline || "(no title)"}</a>
+                                ) : p.headline || "(no title)"}
+                            </div>
+                            {p.summary && <p className="mt-1 text-sm text-gray-700">{p.summary}</p>}
+                        </li>
+                    ))}
+                </ol>
+            </section>
+
+            <p className="text-xs text-gray-400">Generated {generatedAt.slice(0, 16).replace("T", " ")} UTC.</p>
+        </div>
+    );
+}
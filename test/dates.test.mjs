@@ -0,0 +1,254 @@
+// Unit tests for utils/dates.js — run with `npm test`
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseDate,
+  parseAbsolute,
+  parseRelative,
+  parseCaptureDate,
+  readCaptureHeader,
+  postDateFields,
+  formatDate,
+  absoluteDateValue,
+  dayOf,
+  makeDay,
+} from "../utils/dates.js";
+
+// Capture day used as the base for relative values
+const BASE = makeDay(2025, 6, 14);
+
+const day = (input, opts) => {
+  const p = parseDate(input, { base: BASE, ...opts });
+  return p && formatDate(p.date);
+};
+
+describe("values found in the posts CSVs", () => {
+  test("ISO day", () => {
+    assert.deepEqual(parseDate("2025-08-31", { base: BASE }), {
+      date: makeDay(2025, 8, 31),
+      precision: "day",
+      relative: false,
+      label: null,
+    });
+  });
+
+  test("LinkedIn month age", () => {
+    assert.deepEqual(parseDate("4mo", { base: BASE }), {
+      date: makeDay(2025, 2, 14),
+      precision: "month",
+      relative: true,
+      label: "~4 months",
+    });
+  });
+
+  test("trailing whitespace", () => {
+    assert.equal(day("3mo "), "2025-03-14");
+    assert.equal(day(" 2025-08-31 "), "2025-08-31");
+  });
+});
+
+describe("relative values", () => {
+  const cases = [
+    ["2w", "2025-05-31", "week", "~2 weeks"],
+    ["1w", "2025-06-07", "week", "~1 week"],
+    ["3d", "2025-06-11", "day", "~3 days"],
+    ["5h", "2025-06-14", "day", "~5 hours"],
+    ["30h", "2025-06-13", "day", "~30 hours"],
+    ["45m", "2025-06-14", "day", "~45 minutes"],
+    ["1y", "2024-06-14", "year", "~1 year"],
+    ["2yr", "2023-06-14", "year", "~2 years"],
+    ["1 yr • Edited", "2024-06-14", "year", "~1 year"],
+    ["3mo • Edited", "2025-03-14", "month", "~3 months"],
+    ["2 weeks ago", "2025-05-31", "week", "~2 weeks"],
+    ["about 2 months ago", "2025-04-14", "month", "~2 months"],
+    ["a week ago", "2025-06-07", "week", "~1 week"],
+    ["an hour ago", "2025-06-14", "day", "~1 hour"],
+    ["6 mos", "2024-12-14", "month", "~6 months"],
+    ["3 wks", "2025-05-24", "week", "~3 weeks"],
+    ["yesterday", "2025-06-13", "day", "yesterday"],
+    ["Yesterday", "2025-06-13", "day", "yesterday"],
+    ["today", "2025-06-14", "day", "today"],
+    ["just now", "2025-06-14", "day", "~now"],
+  ];
+  for (const [input, expected, precision, label] of cases) {
+    test(JSON.stringify(input), () => {
+      const p = parseDate(input, { base: BASE });
+      assert.ok(p, `${input} should parse`);
+      assert.equal(formatDate(p.date), expected);
+      assert.equal(p.precision, precision);
+      assert.equal(p.relative, true);
+      assert.equal(p.label, label);
+    });
+  }
+
+  test("months clamp to the last day", () => {
+    assert.equal(formatDate(parseRelative("1mo", makeDay(2025, 3, 31)).date), "2025-02-28");
+    assert.equal(formatDate(parseRelative("1y", makeDay(2024, 2, 29)).date), "2023-02-28");
+  });
+
+  test("defaults to today in the timezone", () => {
+    const p = parseDate("1d", { timeZone: "UTC" });
+    const expected = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    assert.equal(formatDate(p.date), expected);
+  });
+
+  test("rejects other text", () => {
+    for (const input of ["", "soon", "2 fortnights", "No date", "mo", "3"]) {
+      assert.equal(parseDate(input, { base: BASE }), null, input);
+    }
+  });
+});
+
+describe("absolute values", () => {
+  const cases = [
+    ["2025-06-01", "2025-06-01", "day"],
+    ["2025-6-1", "2025-06-01", "day"],
+    ["2025/06/01", "2025-06-01", "day"],
+    ["2025-06", "2025-06-01", "month"],
+    ["2025", "2025-01-01", "year"],
+    ["2025-06-01T09:30:00", "2025-06-01", "day"],
+    ["2025-06-01 09:30", "2025-06-01", "day"],
+    ["2025-06-01T09:30:00Z", "2025-06-01", "day"],
+    ["6/14/2025", "2025-06-14", "day"],
+    ["06/14/25", "2025-06-14", "day"],
+    ["14/06/2025", "2025-06-14", "day"],
+    ["14.06.2025", "2025-06-14", "day"],
+    ["03/04/2025", "2025-03-04", "day"],
+    ["03.04.2025", "2025-04-03", "day"],
+    ["Jun 14, 2025", "2025-06-14", "day"],
+    ["June 14 2025", "2025-06-14", "day"],
+    ["Sept 3rd, 2025", "2025-09-03", "day"],
+    ["14 June 2025", "2025-06-14", "day"],
+    ["14 Jun. 2025", "2025-06-14", "day"],
+    ["June 2025", "2025-06-01", "month"],
+  ];
+  for (const [input, expected, precision] of cases) {
+    test(JSON.stringify(input), () => {
+      const p = parseAbsolute(input);
+      assert.ok(p, `${input} should parse`);
+      assert.equal(formatDate(p.date), expected);
+      assert.equal(p.precision, precision);
+      assert.equal(p.relative, false);
+    });
+  }
+
+  test("dayFirst settles ambiguous slashed dates", () => {
+    assert.equal(formatDate(parseAbsolute("03/04/2025", { dayFirst: true }).date), "2025-04-03");
+    assert.equal(formatDate(parseAbsolute("6/14/2025", { dayFirst: true }).date), "2025-06-14");
+  });
+
+  test("rejects impossible days", () => {
+    assert.equal(parseAbsolute("2025-02-30"), null);
+    assert.equal(parseAbsolute("13/13/2025"), null);
+    assert.equal(parseAbsolute("Foo 14, 2025"), null);
+  });
+});
+
+describe("timezone", () => {
+  const instant = "2025-06-14T23:30:00Z";
+
+  test("timestamps with an offset land on the day in the timezone", () => {
+    assert.equal(formatDate(parseAbsolute(instant, { timeZone: "UTC" }).date), "2025-06-14");
+    assert.equal(formatDate(parseAbsolute(instant, { timeZone: "Europe/Berlin" }).date), "2025-06-15");
+    assert.equal(formatDate(parseAbsolute("2025-06-15T01:00:00+02:00", { timeZone: "America/New_York" }).date), "2025-06-14");
+    assert.equal(formatDate(parseAbsolute("2025-06-15 01:00 +0200", { timeZone: "UTC" }).date), "2025-06-14");
+  });
+
+  test("timestamps without an offset keep their calendar day", () => {
+    assert.equal(formatDate(parseAbsolute("2025-06-14T23:30:00", { timeZone: "Asia/Tokyo" }).date), "2025-06-14");
+  });
+
+  test("today depends on the timezone", () => {
+    assert.equal(formatDate(dayOf(new Date(instant), "UTC")), "2025-06-14");
+    assert.equal(formatDate(dayOf(new Date(instant), "Asia/Tokyo")), "2025-06-15");
+    assert.equal(formatDate(dayOf(new Date(instant), "Not/AZone")), "2025-06-14");
+  });
+
+  test("dates are UTC midnights", () => {
+    assert.equal(parseDate("2025-06-14").date.toISOString(), "2025-06-14T00:00:00.000Z");
+  });
+});
+
+describe("capture dates", () => {
+  test("header comment", () => {
+    const { capturedAt, body, lines } = readCaptureHeader("\uFEFF# captured_at: 2025-06-14\nInclude,posted_iso\nY,4mo\n");
+    assert.equal(formatDate(capturedAt), "2025-06-14");
+    assert.equal(body, "Include,posted_iso\nY,4mo\n");
+    assert.equal(lines, 1);
+  });
+
+  test("blank lines before the header comment are counted", () => {
+    const { capturedAt, body, lines } = readCaptureHeader("\n\r\n# captured_at: 2025-06-14\r\nInclude,posted_iso\r\n");
+    assert.equal(formatDate(capturedAt), "2025-06-14");
+    assert.equal(body, "Include,posted_iso\r\n");
+    assert.equal(lines, 3);
+  });
+
+  test("no header", () => {
+    assert.deepEqual(readCaptureHeader("Include,posted_iso\n"), { capturedAt: null, body: "Include,posted_iso\n", lines: 0 });
+  });
+
+  test("per-row values need a full day", () => {
+    assert.equal(formatDate(parseCaptureDate("2025-06-14T08:00:00Z")), "2025-06-14");
+    assert.equal(parseCaptureDate("2025-06"), null);
+    assert.equal(parseCaptureDate("4mo"), null);
+    assert.equal(parseCaptureDate(""), null);
+  });
+});
+
+describe("postDateFields", () => {
+  test("relative value", () => {
+    assert.deepEqual(postDateFields("2w", { base: BASE }), {
+      posted_at: makeDay(2025, 5, 31),
+      posted_iso_abs: "2025-05-31",
+      posted_age_days: 14,
+      posted_precision: "week",
+      posted_approx: true,
+      posted_approx_label: "~2 weeks",
+    });
+  });
+
+  test("exact value", () => {
+    const f = postDateFields("2025-06-01", { base: BASE });
+    assert.equal(f.posted_iso_abs, "2025-06-01");
+    assert.equal(f.posted_age_days, 13);
+    assert.equal(f.posted_precision, "day");
+    assert.equal(f.posted_approx, false);
+    assert.equal(f.posted_approx_label, null);
+  });
+
+  test("no date", () => {
+    assert.equal(postDateFields("", { base: BASE }).posted_at, null);
+    assert.equal(postDateFields("n/a", { base: BASE }).posted_precision, null);
+  });
+});
+
+describe("formatDate", () => {
+  test("precisions", () => {
+    const d = makeDay(2025, 6, 4);
+    assert.equal(formatDate(d), "2025-06-04");
+    assert.equal(formatDate(d, "month"), "2025-06");
+    assert.equal(formatDate(d, "year"), "2025");
+  });
+
+  test("no date", () => {
+    assert.equal(formatDate(null), "");
+    assert.equal(formatDate(new Date(NaN)), "");
+  });
+});
+
+describe("absoluteDateValue", () => {
+  test("relative values at their precision", () => {
+    assert.equal(absoluteDateValue("3mo", { base: BASE }), "2025-03");
+    assert.equal(absoluteDateValue("2w", { base: BASE }), "2025-05-31");
+    assert.equal(absoluteDateValue("yesterday", { base: BASE }), "2025-06-13");
+    assert.equal(absoluteDateValue("1 yr • Edited", { base: BASE }), "2024");
+  });
+
+  test("absolute and unknown values as given", () => {
+    assert.equal(absoluteDateValue(" 2025-06-01 ", { base: BASE }), "2025-06-01");
+    assert.equal(absoluteDateValue("Jun 14, 2025", { base: BASE }), "Jun 14, 2025");
+    assert.equal(absoluteDateValue("n/a", { base: BASE }), "n/a");
+    assert.equal(absoluteDateValue(undefined), "");
+  });
+});
@@ -0,0 +1,120 @@
+// Unit tests for utils/dedupe.js — run with `npm test`
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { linkedInActivityId, headlineSimilarity, mergeDuplicates, ownRow } from "../utils/dedupe.js";
+import { normalizePostRow } from "../utils/posts.js";
+
+const ID = "7212345678901234567";
+const CAPTURED = new Date(Date.UTC(2025, 5, 14));
+
+const post = (line, fields) => normalizePostRow({ include: "y", source_line: line, ...fields }, { capturedAt: CAPTURED });
+
+describe("linkedInActivityId", () => {
+  test("every URL form of one post", () => {
+    for (const url of [
+      `https://www.linkedin.com/posts/jane-doe_carbon-activity-${ID}-AbCd`,
+      `https://www.linkedin.com/posts/jane-doe_carbon-activity-${ID}-AbCd?utm_source=share`,
+      `https://www.linkedin.com/feed/update/urn:li:activity:${ID}/`,
+      `https://www.linkedin.com/feed/update/urn%3Ali%3Aactivity%3A${ID}`,
+    ]) {
+      assert.equal(linkedInActivityId(url), ID, url);
+    }
+  });
+
+  test("no ID", () => {
+    assert.equal(linkedInActivityId("https://example.com/article"), null);
+    assert.equal(linkedInActivityId(""), null);
+  });
+});
+
+describe("headlineSimilarity", () => {
+  test("case and punctuation don't count", () => {
+    assert.equal(headlineSimilarity("Net zero, by 2050!", "net zero by 2050"), 1);
+  });
+
+  test("different headlines score low", () => {
+    assert.ok(headlineSimilarity("Carbon market update", "Grid storage outlook") < 0.5);
+  });
+});
+
+describe("mergeDuplicates", () => {
+  test("same activity ID in different URL forms", () => {
+    const rows = [
+      post(2, { author: "Jane Doe", headline: "First", post_url: `https://www.linkedin.com/posts/jane_x-activity-${ID}-AbCd` }),
+      post(3, { author: "Someone Else", headline: "Other", post_url: `https://www.linkedin.com/feed/update/urn:li:activity:${ID}/` }),
+    ];
+    const out = mergeDuplicates(rows);
+    assert.equal(out.length, 1);
+    assert.deepEqual(
+      out[0].merged_from.map((m) => [m.source_line, m.reason]),
+      [[2, "kept"], [3, `same LinkedIn post (${ID})`]]
+    );
+  });
+
+  test("near-identical headlines by the same author", () => {
+    const rows = [
+      post(2, { author: "Jane Doe", headline: "Carbon markets are growing fast in 2025", post_url: "https://example.com/a" }),
+      post(3, { author: "jane doe", headline: "Carbon markets are growing fast in 2025!", post_url: "https://example.com/b" }),
+    ];
+    const out = mergeDuplicates(rows);
+    assert.equal(out.length, 1);
+    assert.match(out[0].merged_from[1].reason, /^similar headline \(\d+%\)$/);
+  });
+
+  test("the same headline by different authors stays apart", () => {
+    const rows = [
+      post(2, { author: "Jane Doe", headline: "Weekly climate roundup", post_url: "https://example.com/a" }),
+      post(3, { author: "John Roe", headline: "Weekly climate roundup", post_url: "https://example.com/b" }),
+    ];
+    assert.equal(mergeDuplicates(rows).length, 2);
+  });
+
+  test("rows from different datasets stay apart", () => {
+    const url = `https://www.linkedin.com/posts/jane_x-activity-${ID}-AbCd`;
+    const rows = [
+      { ...post(2, { author: "Jane Doe", headline: "Weekly climate roundup", post_url: url }), dataset: "a" },
+      { ...post(2, { author: "Jane Doe", headline: "Weekly climate roundup", post_url: url }), dataset: "b" },
+      { ...post(3, { author: "Jane Doe", headline: "Weekly climate roundup", post_url: url }), dataset: "b" },
+    ];
+    const out = mergeDuplicates(rows);
+    assert.deepEqual(out.map((r) => [r.dataset, r.merged_from?.length || 1]), [["a", 1], ["b", 2]]);
+  });
+
+  test("threshold option", () => {
+    const rows = [
+      post(2, { author: "Jane Doe", headline: "Carbon market update for June", post_url: "https://example.com/a" }),
+      post(3, { author: "Jane Doe", headline: "Carbon market update for July", post_url: "https://example.com/b" }),
+    ];
+    assert.equal(mergeDuplicates(rows, { threshold: 0.99 }).length, 2);
+    assert.equal(mergeDuplicates(rows, { threshold: 0.5 }).length, 1);
+  });
+
+  test("the first row's text, the earliest date and the union of tags", () => {
+    const rows = [
+      post(2, { author: "Jane Doe", headline: "Kept text", posted_iso: "2025-06-10", tags: "Science", post_url: `https://www.linkedin.com/feed/update/urn:li:activity:${ID}/` }),
+      post(3, { author: "Jane Doe", headline: "Repost", posted_iso: "2025-06-01", tags: "Policy, science", post_url: `https://www.linkedin.com/posts/x-activity-${ID}-Zz` }),
+    ];
+    const [merged] = mergeDuplicates(rows);
+    assert.equal(merged.headline, "Kept text");
+    assert.equal(merged.source_line, 2);
+    assert.equal(merged.posted_iso, "2025-06-01");
+    assert.deepEqual(merged.tags_list, ["science", "policy"]);
+
+    // Editing the card writes the primary line's own values back
+    const own = ownRow(merged);
+    assert.equal(own.posted_iso, "2025-06-10");
+    assert.equal(own.tags, "Science");
+    assert.deepEqual(own.tags_list, ["science"]);
+  });
+
+  test("rows without duplicates come back as they were, in order", () => {
+    const rows = [
+      post(2, { author: "A", headline: "One", post_url: "https://example.com/1" }),
+      post(3, { author: "B", headline: "Two", post_url: "https://example.com/2" }),
+    ];
+    const out = mergeDuplicates(rows);
+    assert.equal(out[0], rows[0]);
+    assert.equal(out[1], rows[1]);
+    assert.equal(ownRow(rows[0]), rows[0]);
+  });
+});
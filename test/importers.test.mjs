@@ -0,0 +1,125 @@
+// Unit tests for utils/importers.js and the manifest importer options in utils/datasets.js — run with `npm test`
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { applyMapping, guessMapping, importPosts, detectImporter, recordsToCSV } from "../utils/importers.js";
+import { readPostsObjects } from "../utils/posts.js";
+import { readDatasetManifest, loadCollection } from "../utils/datasets.js";
+
+const OTHER_CSV = [
+  "Title,Link,Published At,Poster",
+  "Grid storage,https://www.linkedin.com/posts/a-activity-7212345678901234567-AbCd,2025-06-01,Jane Doe",
+  "",
+].join("\n");
+
+describe("applyMapping", () => {
+  test("a manifest mapping names the file's own headers", () => {
+    const { objects, headers } = readPostsObjects(OTHER_CSV);
+    assert.deepEqual(headers, ["title", "link", "published_at", "poster"]);
+    const { objects: out, missing } = applyMapping(objects, { headline: "Title", post_url: "Link", posted_iso: "Published At", author: "Poster" }, headers);
+    assert.deepEqual(missing, []);
+    assert.deepEqual(out, [
+      {
+        include: "y",
+        posted_iso: "2025-06-01",
+        author: "Jane Doe",
+        headline: "Grid storage",
+        summary: "",
+        tags: "",
+        post_url: "https://www.linkedin.com/posts/a-activity-7212345678901234567-AbCd",
+        source_line: 2,
+      },
+    ]);
+  });
+
+  test("headers as the import page lists them", () => {
+    const { objects, headers } = readPostsObjects(OTHER_CSV);
+    const { objects: out } = applyMapping(objects, { headline: "title", posted_iso: "published_at" }, headers);
+    assert.equal(out[0].headline, "Grid storage");
+    assert.equal(out[0].posted_iso, "2025-06-01");
+  });
+
+  test("mapped headers the file doesn't have are reported", () => {
+    const { objects, headers } = readPostsObjects(OTHER_CSV);
+    const { objects: out, missing } = applyMapping(objects, { headline: "Headline", post_url: "Link", summary: null }, headers);
+    assert.deepEqual(missing, ["Headline"]);
+    assert.equal(out[0].headline, "");
+    assert.equal(out[0].post_url, "https://www.linkedin.com/posts/a-activity-7212345678901234567-AbCd");
+  });
+
+  test("captured_at passes through; a mapped include column is kept", () => {
+    const { objects: out } = applyMapping(
+      [{ keep: "n", text: "Hi", captured_at: "2025-06-14", source_line: 4 }],
+      { include: "keep", summary: "text" },
+      ["keep", "text", "captured_at"]
+    );
+    assert.equal(out[0].include, "n");
+    assert.equal(out[0].captured_at, "2025-06-14");
+    assert.equal(out[0].source_line, 4);
+  });
+});
+
+describe("guessMapping", () => {
+  test("common export headers", () => {
+    assert.deepEqual(guessMapping(["Title", "Link", "Published At", "Poster", "Text"]), {
+      include: null,
+      posted_iso: "Published At",
+      author: "Poster",
+      headline: "Title",
+      summary: "Text",
+      tags: null,
+      post_url: "Link",
+    });
+  });
+
+  test("a header is used for one field only", () => {
+    const m = guessMapping(["url"]);
+    assert.equal(m.post_url, "url");
+    assert.equal(Object.values(m).filter(Boolean).length, 1);
+  });
+});
+
+describe("importPosts", () => {
+  test("detects the format", () => {
+    assert.equal(detectImporter("Date,ShareLink,ShareCommentary\n").id, "linkedin-shares");
+    assert.equal(detectImporter('[{"title":"x"}]').id, "scraper-json");
+    assert.equal(detectImporter(OTHER_CSV).id, "csv");
+  });
+
+  test("scraper JSON with nested fields and a mapping", () => {
+    const json = JSON.stringify({ posts: [{ title: "", text: "First line\nmore", author: { name: "Jane" }, url: "https://x/1" }] });
+    const { objects, missing } = importPosts(json, { format: "scraper-json", mapping: { summary: "text", author: "author_name", post_url: "url" } });
+    assert.deepEqual(missing, []);
+    assert.equal(objects[0].author, "Jane");
+    assert.equal(objects[0].headline, "First line");
+  });
+
+  test("unknown format", () => {
+    assert.throws(() => importPosts("", { format: "nope" }), /Unknown import format "nope"/);
+  });
+
+  test("records back to a dashboard CSV", () => {
+    const csv = recordsToCSV([{ include: "n", posted_iso: "2025-06-01", author: "A", headline: "H, quoted", summary: "", tags: "", post_url: "u" }]);
+    assert.equal(csv, 'Include,posted_iso,Author,Headline,Summary,Tags,post_url\r\nN,2025-06-01,A,"H, quoted",,,u');
+  });
+});
+
+describe("datasets with a column mapping", () => {
+  const read = (files) => async (name) => (name in files ? files[name] : null);
+
+  test("loads through the mapping in datasets.json", async () => {
+    const datasets = readDatasetManifest([
+      { id: "other", name: "Other", posts: "other.csv", format: "csv", mapping: { headline: "Title", post_url: "Link", posted_iso: "Published At" } },
+    ]);
+    const { rows } = await loadCollection(datasets, "other", read({ "other.csv": OTHER_CSV }));
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].headline, "Grid storage");
+    assert.equal(rows[0].url, "https://www.linkedin.com/posts/a-activity-7212345678901234567-AbCd");
+    assert.equal(rows[0].posted_iso, "2025-06-01");
+    assert.equal(rows[0].dataset, "other");
+  });
+
+  test("a mapped column missing from the file is an error", async () => {
+    const datasets = readDatasetManifest([{ id: "other", name: "Other", posts: "other.csv", format: "csv", mapping: { headline: "Headline" } }]);
+    await assert.rejects(loadCollection(datasets, "other", read({ "other.csv": OTHER_CSV })), /other\.csv \(Other\) has no "Headline" column/);
+  });
+});
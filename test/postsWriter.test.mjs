@@ -0,0 +1,132 @@
+// Unit tests for utils/postsWriter.js — run with `npm test`
+// Runs in a temporary directory with its own public/ and backups/, so the real data is never touched.
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+const ID = "7212345678901234567";
+const URL_A = `https://www.linkedin.com/posts/jane_a-activity-${ID}-AbCd`;
+const URL_B = "https://www.linkedin.com/posts/john_b-activity-7298765432109876543-EfGh";
+
+// BOM, capture comment, CRLF endings, a quoted multi-line summary and quoting the writer wouldn't choose itself
+const ORIGINAL =
+  "\uFEFF# captured_at: 2025-06-14\r\n" +
+  "Include,posted_iso,Author,Headline,Summary,Tags,post_url\r\n" +
+  `Y,2025-06-01,Jane Doe,"Grid storage","Line one\r\nline two",Energy,${URL_A}\r\n` +
+  `Y,4mo,John Roe,Carbon prices,"Says ""hello""",Carbon Markets,${URL_B}\r\n`;
+
+let dir;
+let cwd;
+let writer;
+const file = () => path.join(dir, "public", "posts.csv");
+const read = () => fs.readFile(file(), "utf8");
+
+before(async () => {
+  cwd = process.cwd();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "posts-writer-"));
+  await fs.mkdir(path.join(dir, "public"));
+  // The writer resolves public/ and backups/ from the working directory
+  process.chdir(dir);
+  writer = await import("../utils/postsWriter.js");
+});
+
+after(async () => {
+  process.chdir(cwd);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const reset = () => fs.writeFile(file(), ORIGINAL, "utf8");
+
+describe("updatePostsFile", () => {
+  test("only the changed row is rewritten", async () => {
+    await reset();
+    const result = await writer.updatePostsFile((editor) => {
+      editor.set(editor.find(5, URL_B), "tags", "Carbon Markets, Policy");
+      return { line: 5 };
+    }, "posts.csv");
+
+    assert.equal(
+      await read(),
+      "\uFEFF# captured_at: 2025-06-14\r\n" +
+        "Include,posted_iso,Author,Headline,Summary,Tags,post_url\r\n" +
+        `Y,2025-06-01,Jane Doe,"Grid storage","Line one\r\nline two",Energy,${URL_A}\r\n` +
+        `Y,4mo,John Roe,Carbon prices,"Says ""hello""","Carbon Markets, Policy",${URL_B}\r\n`
+    );
+    assert.equal(result.line, 5);
+    assert.equal(result.file, "posts.csv");
+    assert.equal(result.mtime, (await fs.stat(file())).mtimeMs);
+  });
+
+  test("rows are found by the line they start on", async () => {
+    await reset();
+    await writer.updatePostsFile((editor) => editor.set(editor.find(3, URL_A), "include", "N"), "posts.csv");
+    const lines = (await read()).split("\r\n");
+    assert.equal(lines[2], `N,2025-06-01,Jane Doe,Grid storage,"Line one`);
+    assert.equal(lines[3], `line two",Energy,${URL_A}`);
+    assert.equal(lines[4], `Y,4mo,John Roe,Carbon prices,"Says ""hello""",Carbon Markets,${URL_B}`);
+  });
+
+  test("appended rows use the file's line endings", async () => {
+    await reset();
+    await writer.updatePostsFile((editor) => {
+      editor.append({ include: "Y", posted_iso: "2025-06-12", author: "Ann Lee", headline: "New", post_url: "https://example.com/new" });
+    }, "posts.csv");
+    assert.equal(await read(), `${ORIGINAL}Y,2025-06-12,Ann Lee,New,,,https://example.com/new\r\n`);
+  });
+
+  test("a file without a trailing newline gets one before the new row", async () => {
+    await fs.writeFile(file(), "Include,posted_iso,Author,Headline,post_url\nY,2025-06-01,A,H,https://example.com/a", "utf8");
+    await writer.updatePostsFile((editor) => editor.append({ headline: "B", post_url: "https://example.com/b" }), "posts.csv");
+    assert.equal(await read(), "Include,posted_iso,Author,Headline,post_url\nY,2025-06-01,A,H,https://example.com/a\n,,,B,https://example.com/b\n");
+  });
+
+  test("a missing column is added at the end of the header", async () => {
+    await fs.writeFile(file(), "Include,Headline,post_url\nY,H,https://example.com/a\n", "utf8");
+    await writer.updatePostsFile((editor) => editor.set(editor.find(2, "https://example.com/a"), "summary", "S"), "posts.csv");
+    assert.equal(await read(), "Include,Headline,post_url,summary\nY,H,https://example.com/a,S\n");
+  });
+
+  test("the previous file is backed up", async () => {
+    await reset();
+    const { backup } = await writer.updatePostsFile((editor) => editor.set(editor.find(3, URL_A), "tags", "Storage"), "posts.csv");
+    assert.match(backup, /^backups[\\/]posts\..+\.csv$/);
+    assert.equal(await fs.readFile(path.join(dir, backup), "utf8"), ORIGINAL);
+  });
+
+  test("a row that changed on disk is a conflict and nothing is written", async () => {
+    await reset();
+    await assert.rejects(
+      writer.updatePostsFile((editor) => editor.set(editor.find(3, URL_B), "tags", "X"), "posts.csv"),
+      (e) => e instanceof writer.ConflictError && /Line 3 has changed on disk/.test(e.message)
+    );
+    await assert.rejects(
+      writer.updatePostsFile((editor) => editor.find(4, URL_A), "posts.csv"),
+      (e) => e instanceof writer.ConflictError && /No post on line 4/.test(e.message)
+    );
+    assert.equal(await read(), ORIGINAL);
+  });
+
+  test("concurrent writes to one file are applied in turn", async () => {
+    await reset();
+    await Promise.all(
+      ["one", "two", "three"].map((headline) =>
+        writer.updatePostsFile((editor) => editor.append({ headline, post_url: `https://example.com/${headline}` }), "posts.csv")
+      )
+    );
+    const added = (await read()).slice(ORIGINAL.length).split("\r\n").filter(Boolean);
+    assert.deepEqual(added.map((l) => l.split(",")[3]), ["one", "two", "three"]);
+  });
+
+  test("a failed write doesn't block the next one", async () => {
+    await reset();
+    const failed = writer.updatePostsFile(() => {
+      throw new Error("boom");
+    }, "posts.csv");
+    const next = writer.updatePostsFile((editor) => editor.set(editor.find(3, URL_A), "tags", "Storage"), "posts.csv");
+    await assert.rejects(failed, /boom/);
+    await next;
+    assert.match(await read(), /,Storage,/);
+  });
+});
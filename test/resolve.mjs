@@ -0,0 +1,9 @@
+// Module resolution hook registered by test/setup.mjs
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (e) {
+    if (e?.code !== "ERR_MODULE_NOT_FOUND" || !/^\.{1,2}\//.test(specifier) || /\.[cm]?js$/.test(specifier)) throw e;
+    return next(`${specifier}.js`, context);
+  }
+}
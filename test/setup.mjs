@@ -0,0 +1,5 @@
+// Loaded by `npm test` before the tests: lets Node resolve the extensionless relative imports used across
+// utils/ and components/ ("./posts" → "./posts.js"), which Next's bundler resolves on its own.
+import { register } from "node:module";
+
+register("./resolve.mjs", import.meta.url);
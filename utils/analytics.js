@@ -0,0 +1,133 @@
+// utils/analytics.js
+// Aggregates for the Analytics view: volume over time, per-tag trends, top authors and tag
+// co-occurrence. Input is already-filtered rows, so every chart follows the dashboard filters.
+import { safeTags, postTime } from "./posts";
+import { canonicalTag } from "./taxonomy";
+
+export const GRANULARITIES = ["week", "month"];
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const pad = (n) => String(n).padStart(2, "0");
+
+// Start of the bucket a time falls in (post dates are UTC days, see utils/dates.js; weeks start on Monday)
+function bucketStart(t, granularity) {
+  const d = new Date(t);
+  if (granularity === "month") return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  const day = (d.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day));
+}
+
+function nextBucket(d, granularity) {
+  if (granularity === "month") return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 7));
+}
+
+function bucketKey(d, granularity) {
+  const month = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}`;
+  return granularity === "month" ? month : `${month}-${pad(d.getUTCDate())}`;
+}
+
+function bucketLabel(d, granularity) {
+  if (granularity === "month") return `${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+  return `${d.getUTCDate()} ${MONTHS[d.getUTCMonth()]}`;
+}
+
+// Every bucket from the oldest to the newest dated row, empty ones included so gaps show.
+// Returns { buckets: [{ key, label, start }], indexOf(row) → bucket index or -1, undated }
+export function timeBuckets(rows, granularity = "week") {
+  const times = rows.map(postTime);
+  const dated = times.filter((t) => !isNaN(t));
+  if (!dated.length) return { buckets: [], indexOf: () => -1, undated: rows.length };
+
+  // reduce, not Math.min(...dated): spreading tens of thousands of arguments overflows the stack
+  const first = dated.reduce((a, b) => Math.min(a, b));
+  const newest = dated.reduce((a, b) => Math.max(a, b));
+  const buckets = [];
+  const last = bucketStart(newest, granularity).getTime();
+  for (let d = bucketStart(first, granularity); d.getTime() <= last; d = nextBucket(d, granularity)) {
+    buckets.push({ key: bucketKey(d, granularity), label: bucketLabel(d, granularity), start: d });
+  }
+  const byKey = new Map(buckets.map((b, i) => [b.key, i]));
+  const indexOf = (r) => {
+    const t = postTime(r);
+    return isNaN(t) ? -1 : byKey.get(bucketKey(bucketStart(t, granularity), granularity));
+  };
+  return { buckets, indexOf, undated: times.length - dated.length };
+}
+
+// [{ key, label, count }]
+export function postsOverTime(rows, granularity = "week") {
+  const { buckets, indexOf, undated } = timeBuckets(rows, granularity);
+  const counts = buckets.map(() => 0);
+  for (const r of rows) {
+    const i = indexOf(r);
+    if (i >= 0) counts[i]++;
+  }
+  return { buckets: buckets.map((b, i) => ({ key: b.key, label: b.label, count: counts[i] })), undated };
+}
+
+// A row's tags under their curated display names, each once
+function rowTags(r, taxonomy) {
+  return new Set(safeTags(r).map((t) => canonicalTag(taxonomy, t)));
+}
+
+// Per-tag counts over time for the `top` most used tags; the rest are summed as "Other".
+// A post with several tags counts once for each. → { buckets, series: [{ tag, counts }] }
+export function tagTrends(rows, granularity = "month", { top = 8, taxonomy = null } = {}) {
+  const { buckets, indexOf } = timeBuckets(rows, granularity);
+  const ranked = topTags(rows, { taxonomy }).slice(0, top).map((t) => t.tag);
+  const series = new Map(ranked.map((tag) => [tag, buckets.map(() => 0)]));
+  const other = buckets.map(() => 0);
+
+  for (const r of rows) {
+    const i = indexOf(r);
+    if (i < 0) continue;
+    for (const t of rowTags(r, taxonomy)) {
+      if (series.has(t)) series.get(t)[i]++;
+      else other[i]++;
+    }
+  }
+
+  const out = [...series].map(([tag, counts]) => ({ tag, counts }));
+  if (other.some(Boolean)) out.push({ tag: "Other", counts: other, other: true });
+  return { buckets: buckets.map(({ key, label }) => ({ key, label })), series: out };
+}
+
+// [{ tag, count }] by number of posts, most used first
+export function topTags(rows, { taxonomy = null } = {}) {
+  const counts = new Map();
+  for (const r of rows) {
+    for (const t of rowTags(r, taxonomy)) counts.set(t, (counts.get(t) || 0) + 1);
+  }
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// [{ author, count, last }] most prolific first; `last` is the newest post time (ms) or NaN
+export function topAuthors(rows, n = 10) {
+  const by = new Map();
+  for (const r of rows) {
+    const a = r.author || "(unknown)";
+    const e = by.get(a) || { author: a, count: 0, last: NaN };
+    e.count++;
+    const t = postTime(r);
+    if (!isNaN(t) && (isNaN(e.last) || t > e.last)) e.last = t;
+    by.set(a, e);
+  }
+  return [...by.values()].sort((a, b) => b.count - a.count || a.author.localeCompare(b.author)).slice(0, n);
+}
+
+// How often each pair of the `top` tags appears on the same post. matrix[i][i] is the tag's own count.
+// → { tags: [name], matrix: number[][] }
+export function tagCooccurrence(rows, { top = 12, taxonomy = null } = {}) {
+  const tags = topTags(rows, { taxonomy }).slice(0, top).map((t) => t.tag);
+  const index = new Map(tags.map((t, i) => [t, i]));
+  const matrix = tags.map(() => tags.map(() => 0));
+
+  for (const r of rows) {
+    const hits = [...rowTags(r, taxonomy)]
+      .map((t) => index.get(t))
+      .filter((i) => i !== undefined);
+    for (const i of hits) for (const j of hits) matrix[i][j]++;
+  }
+  return { tags, matrix };
+}
@@ -0,0 +1,118 @@
+// utils/annotations.js
+// Private notes on posts, kept in this browser's localStorage (never written to the shared CSV), with
+// JSON import/export. Each post (keyed by canonicalPostUrl, see utils/readerState.js) can have a free-text
+// note, a stance and internal tags.
+// Store shape: { version: 1, posts: { [postKey]: { note, stance, tags: [], updatedAt } } }
+import { canonicalPostUrl } from "./readerState";
+import { localStore } from "./localStore";
+
+const STORAGE_KEY = "linkedin-dashboard:annotations";
+
+export const STANCES = ["supports", "opposes", "neutral"];
+
+export function emptyAnnotations() {
+  return { version: 1, posts: {} };
+}
+
+// "a, b; a" → ["a", "b"] (trimmed, de-duplicated case-insensitively, first spelling wins)
+export function parseInternalTags(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[;,]/);
+  const seen = new Set();
+  const out = [];
+  for (const t of list.map((s) => String(s).trim()).filter(Boolean)) {
+    if (seen.has(t.toLowerCase())) continue;
+    seen.add(t.toLowerCase());
+    out.push(t);
+  }
+  return out;
+}
+
+// A clean annotation, or null when there is nothing in it
+function sanitizeAnnotation(a) {
+  const note = String(a?.note || "").trim();
+  const stance = STANCES.includes(a?.stance) ? a.stance : null;
+  const tags = parseInternalTags(a?.tags);
+  if (!note && !stance && !tags.length) return null;
+  const updatedAt = a?.updatedAt && !Number.isNaN(Date.parse(a.updatedAt)) ? a.updatedAt : null;
+  return { note, stance, tags, updatedAt };
+}
+
+function sanitizeStore(raw) {
+  const posts = {};
+  for (const [key, a] of Object.entries(raw?.posts && typeof raw.posts === "object" ? raw.posts : {})) {
+    const clean = sanitizeAnnotation(a);
+    const k = canonicalPostUrl(key);
+    if (clean && k) posts[k] = clean;
+  }
+  return { version: 1, posts };
+}
+
+const storage = localStore(STORAGE_KEY, { empty: emptyAnnotations, sanitize: sanitizeStore, what: "annotations" });
+export const loadAnnotations = storage.load;
+export const saveAnnotations = storage.save;
+
+export function annotationFor(store, key) {
+  return (key && store?.posts[key]) || null;
+}
+
+// Replace a post's annotation; an empty one removes it
+export function setAnnotation(store, key, annotation, now = new Date()) {
+  const posts = { ...store.posts };
+  const clean = sanitizeAnnotation({ ...annotation, updatedAt: now.toISOString() });
+  if (clean) posts[key] = clean;
+  else delete posts[key];
+  return { ...store, posts };
+}
+
+// Every internal tag in use, sorted
+export function allInternalTags(store) {
+  const byKey = new Map();
+  for (const a of Object.values(store?.posts || {})) for (const t of a.tags) if (!byKey.has(t.toLowerCase())) byKey.set(t.toLowerCase(), t);
+  return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+}
+
+// Rows with their annotation copied on (note, stance, internal_tags), for exports
+export function withAnnotations(rows, store, keyOf) {
+  if (!store || !Object.keys(store.posts).length) return rows;
+  return rows.map((r) => {
+    const a = annotationFor(store, keyOf(r));
+    return a ? { ...r, note: a.note, stance: a.stance, internal_tags: a.tags } : r;
+  });
+}
+
+// stance: "" (any), one of STANCES, or "none"; tag: "" (any) or an internal tag (case-insensitive)
+export function filterByAnnotation(rows, store, { keyOf, stance = "", tag = "", withNote = false }) {
+  if (!stance && !tag && !withNote) return rows;
+  const want = tag.toLowerCase();
+  return rows.filter((r) => {
+    const a = annotationFor(store, keyOf(r));
+    if (stance === "none" ? a?.stance : stance && a?.stance !== stance) return false;
+    if (want && !a?.tags.some((t) => t.toLowerCase() === want)) return false;
+    if (withNote && !a?.note) return false;
+    return true;
+  });
+}
+
+export function exportAnnotations(store) {
+  return JSON.stringify({ ...store, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+// Merge an exported file into the store; for a post annotated in both, the more recently updated one wins.
+// Throws on anything that isn't an export.
+export function importAnnotations(store, text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  const incoming = sanitizeStore(raw);
+  if (!Object.keys(incoming.posts).length) throw new Error("No annotations found in file");
+
+  const posts = { ...store.posts };
+  for (const [key, a] of Object.entries(incoming.posts)) {
+    const mine = posts[key];
+    if (!mine || String(a.updatedAt || "") > String(mine.updatedAt || "")) posts[key] = a;
+  }
+  return { version: 1, posts };
+}
@@ -0,0 +1,75 @@
+// utils/authors.js
+// Author slugs for /authors/[slug], the optional profile columns of linkedin_authors.csv, and
+// per-author activity summaries.
+import { postTime, sortPosts } from "./posts";
+import { topTags, postsOverTime } from "./analytics";
+import { slugify } from "./slug";
+
+// "Zsolt Lengyel" → "zsolt-lengyel"
+export function authorSlug(name) {
+  return slugify(name);
+}
+
+export function authorPath(name) {
+  return `/authors/${authorSlug(name) || "unknown"}`;
+}
+
+// Accepted header spellings for the optional profile columns
+export const AUTHOR_PROFILE_COLUMNS = {
+  name: ["author", "name", "author_name", "authors"],
+  profile_url: ["profile_url", "profile", "linkedin", "linkedin_url", "url"],
+  organization: ["organization", "organisation", "org", "company"],
+  role: ["role", "title", "position"],
+  notes: ["notes", "note"],
+};
+
+const headerKey = (h) => String(h || "").replace(/^\uFEFF/, "").trim().toLowerCase().replace(/\s+/g, "_");
+
+// Header-parsed rows of linkedin_authors.csv → Map slug → { name, profile_url, organization, role, notes }.
+// Only the name column is required; missing profile columns come back as "".
+export function readAuthorProfiles(csvRows) {
+  const profiles = new Map();
+  if (!Array.isArray(csvRows) || !csvRows.length) return profiles;
+
+  const headers = Object.keys(csvRows.find((r) => r && Object.keys(r).length) || {});
+  const column = {};
+  for (const [field, names] of Object.entries(AUTHOR_PROFILE_COLUMNS)) {
+    column[field] = headers.find((h) => names.includes(headerKey(h))) || null;
+  }
+  if (!column.name) column.name = headers[0] || null;
+  if (!column.name) return profiles;
+
+  for (const r of csvRows) {
+    const name = String(r?.[column.name] || "").trim();
+    if (!name) continue;
+    const p = { name };
+    for (const field of ["profile_url", "organization", "role", "notes"]) {
+      p[field] = column[field] ? String(r[column[field]] ?? "").trim() : "";
+    }
+    if (!profiles.has(authorSlug(name))) profiles.set(authorSlug(name), p);
+  }
+  return profiles;
+}
+
+// Rows by one author (matched on slug) summarized for the profile page
+export function authorActivity(rows, slug, { taxonomy = null } = {}) {
+  const posts = sortPosts(rows.filter((r) => authorSlug(r.author) === slug), "date");
+  const times = posts.map(postTime).filter((t) => !isNaN(t));
+  // Spreading every time into Math.min/max hits the argument limit on large files
+  const first = times.length ? times.reduce((a, b) => Math.min(a, b)) : NaN;
+  const last = times.length ? times.reduce((a, b) => Math.max(a, b)) : NaN;
+
+  // Posts per 30 days over the span between first and last post (at least one month)
+  const spanDays = times.length ? Math.max(30, (last - first) / 86400000) : NaN;
+  const perMonth = times.length ? (times.length / spanDays) * 30 : NaN;
+
+  return {
+    name: posts[0]?.author || "",
+    posts,
+    firstSeen: isNaN(first) ? null : new Date(first),
+    lastSeen: isNaN(last) ? null : new Date(last),
+    perMonth,
+    topTags: topTags(posts, { taxonomy }),
+    monthly: postsOverTime(posts, "month").buckets,
+  };
+}
@@ -0,0 +1,153 @@
+// utils/datasets.js
+// Named collections of posts, listed in public/datasets.json:
+//
+//   [{ "id": "policy", "name": "Climate policy feed", "posts": "policy_posts.csv",
+//      "authors": "policy_authors.csv", "tags": "policy_tags.csv" }, …]
+//
+// File names are relative to public/; authors and tags are optional, and id defaults to a slug of
+// the name. Without a manifest there is one dataset made of the original linkedin_*.csv files.
+// Posts in another layout name an importer (utils/importers.js) and, for some, its options:
+//
+//   { "id": "mine", "posts": "Shares.csv", "format": "linkedin-shares", "author": "Jane Doe" }
+//   { "id": "scraped", "posts": "scraped.json", "format": "scraper-json" }
+//   { "id": "other", "posts": "other.csv", "format": "csv", "mapping": { "headline": "Title", … } }
+//
+// Only datasets in the dashboard layout can be edited.
+// Shared by the browser loader and the server, which pass in their own way of reading a file.
+import Papa from "papaparse";
+import { streamPostsObjects, normalizePostRow } from "./posts";
+import { importPosts, importerById, POST_FIELDS } from "./importers";
+import { buildTaxonomy } from "./taxonomy";
+import { slugify } from "./slug";
+
+export const MANIFEST_FILE = "datasets.json";
+
+// Dataset id for the merged view of every collection
+export const ALL_DATASETS = "all";
+
+export const DEFAULT_DATASET = {
+  id: "default",
+  name: "LinkedIn posts",
+  posts: "linkedin_posts.csv",
+  authors: "linkedin_authors.csv",
+  tags: "linkedin_tags.csv",
+};
+
+// Files must stay inside public/
+function safeFile(f) {
+  const s = String(f || "").trim().replace(/^\/+/, "");
+  if (!s || s.split(/[\\/]/).includes("..")) return null;
+  return s;
+}
+
+// Parsed datasets.json (or null when there is none) → validated list; falls back to DEFAULT_DATASET
+export function readDatasetManifest(json) {
+  const list = Array.isArray(json) ? json : Array.isArray(json?.datasets) ? json.datasets : [];
+  const seen = new Set();
+  const out = [];
+  for (const d of list) {
+    const posts = safeFile(d?.posts);
+    if (!posts) continue;
+    const name = String(d.name || d.id || posts).trim();
+    const id = slugify(d.id || name);
+    if (!id || id === ALL_DATASETS || seen.has(id)) continue;
+    seen.add(id);
+    const format = importerById(d.format) ? d.format : "dashboard";
+    const extra = {};
+    if (format !== "dashboard") extra.format = format;
+    if (d.mapping && typeof d.mapping === "object") {
+      extra.mapping = Object.fromEntries(POST_FIELDS.map((f) => [f, d.mapping[f] ? String(d.mapping[f]) : null]));
+    }
+    if (d.author) extra.author = String(d.author).trim();
+    out.push({ id, name, posts, authors: safeFile(d.authors), tags: safeFile(d.tags), ...extra });
+  }
+  return out.length ? out : [DEFAULT_DATASET];
+}
+
+// A known dataset id, ALL_DATASETS, or the first dataset for anything else
+export function resolveDatasetId(datasets, id) {
+  if (id === ALL_DATASETS && datasets.length > 1) return ALL_DATASETS;
+  return datasets.some((d) => d.id === id) ? id : datasets[0].id;
+}
+
+export function datasetById(datasets, id) {
+  return datasets.find((d) => d.id === id) || null;
+}
+
+// Datasets making up `id` (every one for ALL_DATASETS)
+export function datasetsFor(datasets, id) {
+  if (id === ALL_DATASETS) return datasets;
+  const d = datasetById(datasets, id);
+  return d ? [d] : [];
+}
+
+// Files in public/ that `id` is read from: each dataset's posts, authors and tags files, and the manifest
+export function datasetFiles(datasets, id) {
+  const files = new Set([MANIFEST_FILE]);
+  for (const d of datasetsFor(datasets, id)) for (const f of [d.posts, d.authors, d.tags]) if (f) files.add(f);
+  return [...files];
+}
+
+const parseCSV = (text) => Papa.parse(text, { header: true, skipEmptyLines: true }).data || [];
+
+// Posts of one dataset or all of them, each row stamped with its `dataset` id.
+// readText(file) resolves to the file's text, or null when it doesn't exist.
+// Tag files are combined into one taxonomy so aliases apply across collections.
+// onRows(rows), if given, receives the rows batchSize at a time as they are normalized (see utils/postsWorker.js).
+export async function loadCollection(datasets, id, readText, { onRows = null, batchSize = 2000 } = {}) {
+  const list = datasetsFor(datasets, id);
+  if (!list.length) throw new Error(`Unknown dataset "${id}"`);
+
+  const tagFiles = await loadOptionalCSVs(datasets, id, "tags", readText);
+  const taxonomy = tagFiles ? buildTaxonomy(tagFiles.flat()) : null;
+
+  const parts = [];
+  for (const d of list) {
+    const text = await readText(d.posts);
+    if (text === null) throw new Error(`Could not load ${d.posts} (${d.name})`);
+    const rows = [];
+    const add = (objects, capturedAt) => {
+      const batch = objects.map((o) => ({ ...normalizePostRow(o, { taxonomy, capturedAt }), dataset: d.id }));
+      for (const r of batch) rows.push(r);
+      if (onRows) onRows(batch);
+    };
+    if (isEditable(d)) {
+      // Batches go out while the file is still being parsed
+      const { headers, capturedAt } = streamPostsObjects(text, (objects, meta) => add(objects, meta.capturedAt), { batchSize });
+      parts.push({ rows, headers, capturedAt });
+    } else {
+      const { objects, headers, capturedAt } = readImportedObjects(d, text, taxonomy);
+      for (let i = 0; i < objects.length; i += batchSize) add(objects.slice(i, i + batchSize), capturedAt);
+      parts.push({ rows, headers, capturedAt });
+    }
+  }
+
+  return {
+    rows: parts.flatMap((p) => p.rows),
+    headers: parts[0].headers,
+    // Each file's rows are already anchored to their own capture date; one date only makes sense for one file
+    capturedAt: parts.length === 1 ? parts[0].capturedAt : null,
+    taxonomy,
+    datasets: list,
+  };
+}
+
+// Whether the edit API may write to a dataset's posts file
+export const isEditable = (d) => !d.format || d.format === "dashboard";
+
+// Raw records of a read-only dataset's posts file in the dashboard's field names
+function readImportedObjects(d, text, taxonomy) {
+  const result = importPosts(text, { format: d.format, mapping: d.mapping, author: d.author, taxonomy });
+  if (result.missing?.length) {
+    throw new Error(`${d.posts} (${d.name}) has no ${result.missing.map((h) => `"${h}"`).join(", ")} column as mapped in ${MANIFEST_FILE}`);
+  }
+  return result;
+}
+
+// Header-parsed rows of each existing `field` file ("authors" or "tags") of a dataset, one array per
+// file; null when none of them exist
+export async function loadOptionalCSVs(datasets, id, field, readText) {
+  const texts = await Promise.all(datasetsFor(datasets, id).map((d) => (d[field] ? readText(d[field]) : null)));
+  const present = texts.filter((t) => t !== null);
+  return present.length ? present.map(parseCSV) : null;
+}
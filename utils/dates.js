@@ -0,0 +1,245 @@
+// utils/dates.js
+// The one place post dates are parsed and formatted (CSV values, capture dates, the editor).
+//
+// A post date is a calendar day, held as that day's UTC midnight so the server and every browser read
+// the same day back (use the getUTC* methods, or formatDate). What "today" is, and which day a full
+// timestamp falls on, depends on the dashboard's timezone: NEXT_PUBLIC_DASHBOARD_TIMEZONE (an IANA name
+// such as "Europe/Berlin"; UTC when unset) or the timeZone option.
+//
+// Understood values:
+//   relative   LinkedIn ages — "4mo", "2w", "3d", "5h", "1 yr • Edited", "about 2 weeks ago", "yesterday", "just now"
+//   absolute   2025-06-14, 2025-06, 2025, 2025-06-14T09:30:00Z, 6/14/2025 (US), 14/06/2025 and 14.06.2025 (EU),
+//              Jun 14, 2025, 14 June 2025, June 2025
+// Slashed dates that read either way (03/04/2025) are month-first unless dayFirst is set.
+//
+// Each parse reports its precision: "day", "week" (LinkedIn's "2w"), "month" or "year".
+
+const DAY = 86400000;
+
+export const PRECISIONS = ["day", "week", "month", "year"];
+
+// Formatters are slow to build and parsing a big CSV asks for one per row, so they're kept per timezone
+const dayFormatters = new Map();
+
+function dayFormatter(tz) {
+  if (!dayFormatters.has(tz)) {
+    let f = null;
+    try {
+      f = new Intl.DateTimeFormat("en-US", { timeZone: tz, year: "numeric", month: "numeric", day: "numeric" });
+    } catch {
+      // unknown timezone
+    }
+    dayFormatters.set(tz, f);
+  }
+  return dayFormatters.get(tz);
+}
+
+const validTimeZone = (tz) => Boolean(tz && dayFormatter(tz));
+
+const envTimeZone = typeof process !== "undefined" ? process.env.NEXT_PUBLIC_DASHBOARD_TIMEZONE : undefined;
+export const DEFAULT_TIME_ZONE = envTimeZone && validTimeZone(envTimeZone) ? envTimeZone : "UTC";
+
+// The day (UTC midnight) for a year, month (1-12) and day, or null when it doesn't exist (2025-02-30)
+export function makeDay(year, month = 1, day = 1) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return d;
+}
+
+// The calendar day an instant falls on in a timezone
+export function dayOf(instant, timeZone = DEFAULT_TIME_ZONE) {
+  const t = instant instanceof Date ? instant : new Date(instant);
+  if (isNaN(t.getTime())) return null;
+  const parts = (dayFormatter(timeZone) || dayFormatter("UTC")).formatToParts(t);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return makeDay(get("year"), get("month"), get("day"));
+}
+
+// Today in the dashboard's timezone
+export function today(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  return dayOf(now, timeZone);
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "2025-06-14", or "2025-06" / "2025" for coarser precisions; "" for no date
+export function formatDate(d, precision = "day") {
+  if (!(d instanceof Date) || isNaN(d.getTime())) return "";
+  const y = d.getUTCFullYear();
+  if (precision === "year") return String(y);
+  if (precision === "month") return `${y}-${pad(d.getUTCMonth() + 1)}`;
+  return `${y}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+function addDays(d, n) {
+  return new Date(d.getTime() + n * DAY);
+}
+
+// Calendar month arithmetic, clamped to the month's last day (Mar 31 − 1 month = Feb 28)
+function addMonths(d, n) {
+  const months = d.getUTCFullYear() * 12 + d.getUTCMonth() + n;
+  const year = Math.floor(months / 12);
+  const month = months - year * 12;
+  const last = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(d.getUTCDate(), last)));
+}
+
+// -------------------- Relative values --------------------
+const UNITS = [
+  { name: "minute", precision: "day", words: ["m", "min", "mins", "minute", "minutes"] },
+  { name: "hour", precision: "day", words: ["h", "hr", "hrs", "hour", "hours"] },
+  { name: "day", precision: "day", words: ["d", "day", "days"] },
+  { name: "week", precision: "week", words: ["w", "wk", "wks", "week", "weeks"] },
+  { name: "month", precision: "month", words: ["mo", "mos", "month", "months"] },
+  { name: "year", precision: "year", words: ["y", "yr", "yrs", "year", "years"] },
+];
+const UNIT_BY_WORD = new Map(UNITS.flatMap((u) => u.words.map((w) => [w, u])));
+
+// "1 yr • Edited" → "1 yr"; "about 2 weeks ago" → "2 weeks"
+function cleanRelative(s) {
+  return s
+    .toLowerCase()
+    .replace(/\bedited\b/g, " ")
+    .replace(/[·•–—]/g, " ")
+    .replace(/\b(ago|about|approx|approximately|around|roughly)\b/g, " ")
+    .replace(/~/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Relative value → { date, precision, relative: true, label } counted back from `base` (a day), or null
+export function parseRelative(input, base) {
+  const s = cleanRelative(String(input || ""));
+  if (!s) return null;
+  const label = (qty, unit) => `~${qty} ${unit.name}${qty === 1 ? "" : "s"}`;
+
+  if (s === "just now" || s === "now" || s === "today") {
+    return { date: base, precision: "day", relative: true, label: s === "today" ? "today" : "~now" };
+  }
+  if (s === "yesterday") return { date: addDays(base, -1), precision: "day", relative: true, label: "yesterday" };
+
+  const m = s.match(/^(\d+|an?)\s*([a-z]+)\.?$/);
+  const unit = m && UNIT_BY_WORD.get(m[2]);
+  if (!unit) return null;
+  const qty = /^\d/.test(m[1]) ? parseInt(m[1], 10) : 1;
+
+  let date;
+  if (unit.name === "minute") date = base; // the base is a whole day, so minutes never change it
+  else if (unit.name === "hour") date = addDays(base, -Math.floor(qty / 24));
+  else if (unit.name === "day") date = addDays(base, -qty);
+  else if (unit.name === "week") date = addDays(base, -qty * 7);
+  else if (unit.name === "month") date = addMonths(base, -qty);
+  else date = addMonths(base, -qty * 12);
+
+  return { date, precision: unit.precision, relative: true, label: label(qty, unit) };
+}
+
+// -------------------- Absolute values --------------------
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// "Jun", "june", "Sept" → 6 / 6 / 9; null for anything else
+function monthNumber(word) {
+  const w = word.toLowerCase().replace(/\.$/, "");
+  const i = MONTHS.indexOf(w.slice(0, 3));
+  if (i < 0 || w.length < 3) return null;
+  return i + 1;
+}
+
+const fullYear = (y) => (y.length === 2 ? 2000 + Number(y) : Number(y));
+
+function absolute(year, month, day, precision) {
+  const date = makeDay(year, month, day);
+  return date ? { date, precision, relative: false, label: null } : null;
+}
+
+// Absolute value → { date, precision, relative: false, label: null }, or null
+export function parseAbsolute(input, { timeZone = DEFAULT_TIME_ZONE, dayFirst = false } = {}) {
+  const s = String(input || "").trim().replace(/\s+/g, " ");
+  let m;
+
+  // ISO timestamps: with an offset they name an instant; without one, a wall-clock time in the timezone
+  if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?) ?(Z|[+-]\d{2}:?\d{2})?$/i))) {
+    if (!m[5]) return absolute(Number(m[1]), Number(m[2]), Number(m[3]), "day");
+    const zone = m[5].toUpperCase() === "Z" ? "Z" : m[5].replace(/^([+-]\d{2}):?(\d{2})$/, "$1:$2");
+    const date = dayOf(new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}${zone}`), timeZone);
+    return date ? { date, precision: "day", relative: false, label: null } : null;
+  }
+  if ((m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) return absolute(Number(m[1]), Number(m[2]), Number(m[3]), "day");
+  if ((m = s.match(/^(\d{4})-(\d{1,2})$/))) return absolute(Number(m[1]), Number(m[2]), 1, "month");
+  if ((m = s.match(/^(\d{4})$/))) return absolute(Number(m[1]), 1, 1, "year");
+
+  // 6/14/2025 (US) or 14/06/2025, 14.06.2025 (EU): an impossible month settles it, else dots and dayFirst do
+  if ((m = s.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})$/))) {
+    const a = Number(m[1]);
+    const b = Number(m[3]);
+    const euro = a > 12 ? true : b > 12 ? false : m[2] === "." || dayFirst;
+    return euro ? absolute(fullYear(m[4]), b, a, "day") : absolute(fullYear(m[4]), a, b, "day");
+  }
+
+  // Jun 14, 2025 / June 14 2025
+  if ((m = s.match(/^([a-z]+\.?) (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/i)) && monthNumber(m[1])) {
+    return absolute(Number(m[3]), monthNumber(m[1]), Number(m[2]), "day");
+  }
+  // 14 June 2025 / 14 Jun. 2025
+  if ((m = s.match(/^(\d{1,2})(?:st|nd|rd|th)?\.? ([a-z]+\.?),? (\d{4})$/i)) && monthNumber(m[2])) {
+    return absolute(Number(m[3]), monthNumber(m[2]), Number(m[1]), "day");
+  }
+  // June 2025
+  if ((m = s.match(/^([a-z]+\.?),? (\d{4})$/i)) && monthNumber(m[1])) {
+    return absolute(Number(m[2]), monthNumber(m[1]), 1, "month");
+  }
+  return null;
+}
+
+// Any supported value → { date, precision, relative, label }, or null when it isn't a date.
+// Relative values count back from `base` (a day, e.g. the CSV's capture date); default today.
+export function parseDate(input, { base = null, timeZone = DEFAULT_TIME_ZONE, dayFirst = false } = {}) {
+  const s = String(input || "").trim();
+  if (!s) return null;
+  return parseAbsolute(s, { timeZone, dayFirst }) || parseRelative(s, base || today(timeZone));
+}
+
+// A date value fit to store in a CSV whose capture date may be another day: relative values ("3mo", "2w") are
+// resolved against `base` (default today) and written at their precision ("2025-03", "2025-05-31"); absolute and
+// unparseable values come back trimmed but otherwise as given.
+export function absoluteDateValue(input, { base = null, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const s = String(input ?? "").trim();
+  if (!s || parseAbsolute(s, { timeZone })) return s;
+  const p = parseRelative(s, base || today(timeZone));
+  return p ? formatDate(p.date, p.precision === "week" ? "day" : p.precision) : s;
+}
+
+// A capture date (the "# captured_at:" header or a per-row captured_at column) as a day, or null
+export function parseCaptureDate(v, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const p = parseAbsolute(v, { timeZone });
+  return p && p.precision === "day" ? p.date : null;
+}
+
+// Relative values ("4mo", "2w") only mean something against the moment they were
+// scraped. A CSV can declare that moment in a leading comment line, e.g.
+//   # captured_at: 2025-06-14
+// Returns the parsed anchor (or null), the CSV text with the comment removed, and how many lines were removed
+// (blank lines before the comment go with it, so they count too).
+export function readCaptureHeader(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const m = src.match(/^\s*#\s*captured[_ ]at\s*[:=]\s*([^\r\n]*)\r?\n/i);
+  if (!m) return { capturedAt: null, body: src, lines: 0 };
+  return { capturedAt: parseCaptureDate(m[1]), body: src.slice(m[0].length), lines: m[0].split("\n").length - 1 };
+}
+
+// The posted_* fields of a post row for a CSV date value; base is the day relative values count from
+export function postDateFields(input, { base = null, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const from = base || today(timeZone);
+  const p = parseDate(input, { base: from, timeZone });
+  if (!p) {
+    return { posted_at: null, posted_iso_abs: null, posted_age_days: null, posted_precision: null, posted_approx: false, posted_approx_label: null };
+  }
+  return {
+    posted_at: p.date,
+    posted_iso_abs: formatDate(p.date),
+    posted_age_days: (from - p.date) / DAY,
+    posted_precision: p.precision,
+    posted_approx: p.relative,
+    posted_approx_label: p.label,
+  };
+}
@@ -0,0 +1,152 @@
+// utils/dedupe.js
+// Collapse duplicate posts: same LinkedIn activity ID (whatever the URL form or tracking
+// params), or the same author with near-identical headlines. Merged rows keep the first
+// row's text, the union of tags and the earliest date, and list their members in merged_from.
+// The first row's own date and tags stay in `own`, for writing that line back (see ownRow).
+// Rows from different datasets (the all-datasets view) are never merged: each source_line
+// in merged_from must point into the card's one file.
+import { postTime } from "./posts";
+
+export const HEADLINE_SIMILARITY = 0.85;
+
+// Numeric post ID from /posts/...-activity-123-abcd, ...-ugcPost-123-..., /feed/update/urn:li:activity:123
+export function linkedInActivityId(url) {
+  let s = String(url || "");
+  try {
+    s = decodeURIComponent(s);
+  } catch {
+    // keep the raw string
+  }
+  const m = s.match(/(?:activity|ugcPost|share)[-:](\d{15,})/i);
+  return m ? m[1] : null;
+}
+
+function normHeadline(s) {
+  return String(s || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+function bigrams(s) {
+  const out = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+// Dice over prepared headlines ({ text, grams }) so repeated comparisons don't redo the bigrams
+function diceSimilarity(x, y) {
+  if (!x.text || !y.text) return 0;
+  if (x.text === y.text) return 1;
+  let shared = 0;
+  for (const [g, n] of x.grams) shared += Math.min(n, y.grams.get(g) || 0);
+  return (2 * shared) / (x.text.length - 1 + (y.text.length - 1));
+}
+
+// Sørensen–Dice coefficient over character bigrams, 0..1
+export function headlineSimilarity(a, b) {
+  const x = normHeadline(a);
+  const y = normHeadline(b);
+  return diceSimilarity({ text: x, grams: bigrams(x) }, { text: y, grams: bigrams(y) });
+}
+
+export function mergeDuplicates(rows, { threshold = HEADLINE_SIMILARITY } = {}) {
+  const parent = rows.map((_, i) => i);
+  const reason = rows.map(() => null);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (i, j, why) => {
+    const a = find(i);
+    const b = find(j);
+    if (a === b) return;
+    parent[Math.max(a, b)] = Math.min(a, b); // the earliest row in the file stays primary
+    reason[j] = reason[j] || why;
+  };
+
+  const byId = new Map();
+  const byAuthor = new Map();
+  rows.forEach((r, i) => {
+    const scope = `${r.dataset || ""}\u0000`;
+    const id = linkedInActivityId(r.post_url || r.url);
+    if (id) {
+      if (byId.has(scope + id)) union(byId.get(scope + id), i, `same LinkedIn post (${id})`);
+      else byId.set(scope + id, i);
+    }
+    const author = scope + String(r.author || "").trim().toLowerCase();
+    if (!byAuthor.has(author)) byAuthor.set(author, []);
+    byAuthor.get(author).push(i);
+  });
+
+  // Fuzzy headlines only within one author, which keeps this cheap and avoids cross-author false merges.
+  // Identical headlines are joined up front so each distinct one is compared once; Dice can't reach the
+  // threshold when one headline is much shorter than the other, so they're compared in length order and
+  // the inner loop stops once lengths drift too far apart.
+  const minRatio = threshold / (2 - threshold);
+  for (const idxs of byAuthor.values()) {
+    if (idxs.length < 2) continue;
+    const distinct = new Map(); // normalized headline → first row index
+    for (const i of idxs) {
+      const text = normHeadline(rows[i].headline);
+      if (text && distinct.has(text)) union(distinct.get(text), i, "similar headline (100%)");
+      else if (text) distinct.set(text, i);
+    }
+    const list = [...distinct].map(([text, i]) => ({ i, text, grams: bigrams(text) })).sort((a, b) => a.text.length - b.text.length || a.i - b.i);
+    for (let a = 0; a < list.length; a++) {
+      for (let b = a + 1; b < list.length; b++) {
+        if (list[a].text.length - 1 < (list[b].text.length - 1) * minRatio) break;
+        const [x, y] = list[a].i < list[b].i ? [list[a], list[b]] : [list[b], list[a]];
+        if (find(x.i) === find(y.i)) continue;
+        const sim = diceSimilarity(x, y);
+        if (sim >= threshold) union(x.i, y.i, `similar headline (${Math.round(sim * 100)}%)`);
+      }
+    }
+  }
+
+  const groups = new Map();
+  rows.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const out = [];
+  rows.forEach((r, i) => {
+    const members = groups.get(i);
+    if (!members) return; // not a primary
+    if (members.length === 1) {
+      out.push(r);
+      return;
+    }
+    const group = members.map((k) => rows[k]);
+    const dated = group.filter((g) => !isNaN(postTime(g)));
+    const earliest = dated.length ? dated.reduce((m, g) => (postTime(g) < postTime(m) ? g : m)) : r;
+    const tagsList = Array.from(new Set(group.flatMap((g) => g.tags_list || [])));
+
+    out.push({
+      ...r,
+      posted_iso: earliest.posted_iso,
+      posted_at: earliest.posted_at,
+      posted_iso_abs: earliest.posted_iso_abs,
+      posted_age_days: earliest.posted_age_days,
+      posted_precision: earliest.posted_precision,
+      posted_approx: earliest.posted_approx,
+      posted_approx_label: earliest.posted_approx_label,
+      tags_list: tagsList,
+      tags: tagsList.join(", "),
+      own: { posted_iso: r.posted_iso, tags: r.tags, tags_list: r.tags_list },
+      merged_from: members.map((k) => ({
+        source_line: rows[k].source_line,
+        url: rows[k].url,
+        headline: rows[k].headline,
+        posted_iso: rows[k].posted_iso,
+        reason: k === i ? "kept" : reason[k],
+      })),
+    });
+  });
+  return out;
+}
+
+// The line a merged card was read from, as it is in the file: the primary row's own date and tags instead of
+// the merged ones, so editing the card doesn't write other duplicates' values into it
+export function ownRow(row) {
+  return row?.own ? { ...row, ...row.own } : row;
+}
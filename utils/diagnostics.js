@@ -0,0 +1,77 @@
+// utils/diagnostics.js
+// Data quality checks over parsed post rows (see parsePostsCSV). Each problem is
+// { line, kind, message, value, row } where line is the CSV line the record starts on.
+import { canonicalTag } from "./taxonomy";
+import { linkedInActivityId } from "./dedupe";
+
+export const PROBLEM_KINDS = {
+  missing_headline: "Missing headline",
+  missing_url: "Missing post_url",
+  bad_date: "Unparseable posted_iso",
+  unknown_tag: "Tag not in linkedin_tags.csv",
+  unknown_author: "Author not in linkedin_authors.csv",
+  duplicate_url: "Duplicate post_url",
+  non_linkedin_url: "Not a LinkedIn URL",
+};
+
+// LinkedIn post ID when the URL has one, else the lowercased URL without query, fragment or trailing slash
+function urlKey(u) {
+  const id = linkedInActivityId(u);
+  if (id) return `id:${id}`;
+  return String(u || "").split(/[?#]/)[0].replace(/\/+$/, "").trim().toLowerCase();
+}
+
+export function isLinkedInURL(u) {
+  try {
+    const { protocol, hostname } = new URL(u);
+    return /^https?:$/.test(protocol) && (hostname === "linkedin.com" || hostname.endsWith(".linkedin.com"));
+  } catch {
+    return false;
+  }
+}
+
+// curatedAuthors: array or null (file absent → author check skipped); taxonomy: from buildTaxonomy or null
+export function diagnosePosts(rows, { curatedAuthors = null, taxonomy = null } = {}) {
+  const problems = [];
+  const add = (row, kind, value = "", detail = "") =>
+    problems.push({
+      line: row.source_line ?? null,
+      kind,
+      message: detail ? `${PROBLEM_KINDS[kind]} ${detail}` : PROBLEM_KINDS[kind],
+      value,
+      row,
+    });
+
+  const knownAuthors = curatedAuthors ? new Set(curatedAuthors.map((a) => a.toLowerCase())) : null;
+  const firstSeen = new Map();
+
+  for (const r of rows) {
+    if (!r.headline) add(r, "missing_headline");
+
+    const rawUrl = String(r.post_url || r.url || "").trim();
+    if (!rawUrl) add(r, "missing_url");
+    else {
+      if (!isLinkedInURL(rawUrl)) add(r, "non_linkedin_url", rawUrl);
+      // Placeholder text ("No matching URL found…") is reported above, not as a duplicate
+      const k = /^https?:\/\//i.test(rawUrl) ? urlKey(rawUrl) : null;
+      if (k && firstSeen.has(k)) add(r, "duplicate_url", rawUrl, `(first seen on line ${firstSeen.get(k)})`);
+      else if (k) firstSeen.set(k, r.source_line);
+    }
+
+    const rawDate = String(r.posted_iso || "").trim();
+    if (!(r.posted_at instanceof Date) || isNaN(r.posted_at)) add(r, "bad_date", rawDate || "(blank)");
+
+    if (taxonomy) {
+      const seen = new Set();
+      for (const t of String(r.tags || "").split(/[;,]\s*/g).map((s) => s.trim()).filter(Boolean)) {
+        const known = taxonomy.canonical.has(canonicalTag(taxonomy, t).toLowerCase());
+        if (!known && !seen.has(t.toLowerCase())) add(r, "unknown_tag", t);
+        seen.add(t.toLowerCase());
+      }
+    }
+
+    if (knownAuthors && r.author && !knownAuthors.has(r.author.toLowerCase())) add(r, "unknown_author", r.author);
+  }
+
+  return problems.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+}
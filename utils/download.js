@@ -0,0 +1,11 @@
+// utils/download.js
+// Save a string as a file from the browser
+export function downloadText(filename, text, type = "text/plain") {
+  const blob = new Blob([text], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,176 @@
+// utils/exporters.js
+// Serialize normalized post rows: CSV (the import schema), JSON, a weekly digest in
+// Markdown or HTML grouped by tag, and RSS 2.0 / Atom feeds.
+import Papa from "papaparse";
+import { toPostJSON, safeTags, postTime } from "./posts";
+import { canonicalTag } from "./taxonomy";
+
+export const EXPORT_HEADERS = ["Include", "posted_iso", "author", "headline", "summary", "tags", "post_url"];
+// Added when the rows carry the reader's annotations (withAnnotations in utils/annotations.js)
+export const ANNOTATION_HEADERS = ["note", "stance", "internal_tags"];
+
+const isAnnotated = (r) => !!(r.note || r.stance || r.internal_tags?.length);
+
+// Curated casing for tags when a taxonomy is loaded (tags_list is lowercased)
+function displayTags(r, taxonomy) {
+  return safeTags(r).map((t) => canonicalTag(taxonomy, t));
+}
+
+function isoDay(t) {
+  return isNaN(t) ? "" : new Date(t).toISOString().slice(0, 10);
+}
+
+function postDate(r) {
+  return r.posted_approx && r.posted_approx_label ? r.posted_approx_label : isoDay(postTime(r)) || r.posted_iso || "";
+}
+
+export function postsToCSV(rows, { taxonomy = null } = {}) {
+  const annotated = rows.some(isAnnotated);
+  const data = rows.map((r) => [
+    r.include === "n" ? "N" : "Y",
+    // Resolved dates, so the file doesn't drift the way relative values ("4mo") do
+    r.posted_iso_abs || r.posted_iso || "",
+    r.author || "",
+    r.headline || r.title || "",
+    r.summary || "",
+    displayTags(r, taxonomy).join(", "),
+    r.post_url || r.url || "",
+    ...(annotated ? [r.note || "", r.stance || "", (r.internal_tags || []).join(", ")] : []),
+  ]);
+  return Papa.unparse({ fields: annotated ? [...EXPORT_HEADERS, ...ANNOTATION_HEADERS] : EXPORT_HEADERS, data });
+}
+
+export function postsToJSON(rows) {
+  return JSON.stringify(rows.map(toPostJSON), null, 2);
+}
+
+// Each post sits under its first tag; groups ordered by size, then name
+export function digestGroups(rows, { taxonomy = null } = {}) {
+  const groups = new Map();
+  for (const r of rows) {
+    const tag = displayTags(r, taxonomy)[0] || "Other";
+    if (!groups.has(tag)) groups.set(tag, []);
+    groups.get(tag).push(r);
+  }
+  return Array.from(groups, ([tag, posts]) => ({ tag, posts })).sort(
+    (a, b) => b.posts.length - a.posts.length || a.tag.localeCompare(b.tag)
+  );
+}
+
+// "Supports — note text [internal, tags]", or "" when the post isn't annotated
+function annotationLine(r) {
+  if (!isAnnotated(r)) return "";
+  const stance = r.stance ? r.stance[0].toUpperCase() + r.stance.slice(1) : "";
+  const tags = r.internal_tags?.length ? `[${r.internal_tags.join(", ")}]` : "";
+  return [[stance, r.note].filter(Boolean).join(" — "), tags].filter(Boolean).join(" ");
+}
+
+function digestTitle(now) {
+  return `LinkedIn digest — ${isoDay(now)}`;
+}
+
+export function postsToMarkdownDigest(rows, { taxonomy = null, title, now = Date.now() } = {}) {
+  const md = (s) => String(s || "").replace(/([\\[\]*_`])/g, "\\$1");
+  // Link destination in <…>, so ")" or spaces in a URL can't end it early; <, > and whitespace are percent-encoded
+  const href = (url) => `<${String(url).replace(/[<>\s]/g, (c) => encodeURIComponent(c))}>`;
+  const lines = [`# ${title || digestTitle(now)}`, "", `_${rows.length} post${rows.length === 1 ? "" : "s"}_`];
+  for (const { tag, posts } of digestGroups(rows, { taxonomy })) {
+    lines.push("", `## ${md(tag)}`, "");
+    for (const r of posts) {
+      const head = r.url ? `[${md(r.headline || r.title)}](${href(r.url)})` : md(r.headline || r.title);
+      const meta = [r.author, postDate(r)].filter(Boolean).join(", ");
+      lines.push(`- **${head}**${meta ? ` — ${md(meta)}` : ""}`);
+      if (r.summary) lines.push(`  ${md(r.summary)}`);
+      if (isAnnotated(r)) lines.push(`  _Note: ${md(annotationLine(r))}_`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function postsToHTMLDigest(rows, { taxonomy = null, title, now = Date.now() } = {}) {
+  const t = title || digestTitle(now);
+  const out = [`<h1>${esc(t)}</h1>`, `<p><em>${rows.length} post${rows.length === 1 ? "" : "s"}</em></p>`];
+  for (const { tag, posts } of digestGroups(rows, { taxonomy })) {
+    out.push(`<h2>${esc(tag)}</h2>`, "<ul>");
+    for (const r of posts) {
+      const text = esc(r.headline || r.title);
+      const head = r.url ? `<a href="${esc(r.url)}">${text}</a>` : text;
+      const meta = [r.author, postDate(r)].filter(Boolean).join(", ");
+      const note = isAnnotated(r) ? `<br><em>Note: ${esc(annotationLine(r))}</em>` : "";
+      out.push(`  <li><strong>${head}</strong>${meta ? ` — ${esc(meta)}` : ""}${r.summary ? `<br>${esc(r.summary)}` : ""}${note}</li>`);
+    }
+    out.push("</ul>");
+  }
+  return `<!doctype html>\n<html><head><meta charset="utf-8"><title>${esc(t)}</title></head><body>\n${out.join("\n")}\n</body></html>\n`;
+}
+
+// feed: { title, link (HTML page), selfUrl, now }
+export function postsToRSS(rows, { title, link, selfUrl, taxonomy = null, now = Date.now() }) {
+  const items = rows.map((r) => {
+    const t = postTime(r);
+    return [
+      "    <item>",
+      `      <title>${esc(r.headline || r.title)}</title>`,
+      r.url ? `      <link>${esc(r.url)}</link>` : "",
+      r.url ? `      <guid isPermaLink="true">${esc(r.url)}</guid>` : "",
+      r.author ? `      <dc:creator>${esc(r.author)}</dc:creator>` : "",
+      isNaN(t) ? "" : `      <pubDate>${new Date(t).toUTCString()}</pubDate>`,
+      ...displayTags(r, taxonomy).map((c) => `      <category>${esc(c)}</category>`),
+      r.summary ? `      <description>${esc(r.summary)}</description>` : "",
+      "    </item>",
+    ].filter(Boolean).join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "  <channel>",
+    `    <title>${esc(title)}</title>`,
+    `    <link>${esc(link)}</link>`,
+    `    <description>${esc(title)}</description>`,
+    `    <atom:link href="${esc(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${new Date(now).toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+export function postsToAtom(rows, { title, link, selfUrl, taxonomy = null, now = Date.now() }) {
+  const times = rows.map(postTime).filter((t) => !isNaN(t));
+  const updated = new Date(times.length ? times.reduce((a, b) => Math.max(a, b)) : now).toISOString();
+  const entries = rows.map((r, i) => {
+    const t = postTime(r);
+    return [
+      "  <entry>",
+      `    <title>${esc(r.headline || r.title)}</title>`,
+      `    <id>${esc(r.url || `${selfUrl}#${i}`)}</id>`,
+      r.url ? `    <link href="${esc(r.url)}"/>` : "",
+      `    <updated>${new Date(isNaN(t) ? now : t).toISOString()}</updated>`,
+      r.author ? `    <author><name>${esc(r.author)}</name></author>` : "",
+      ...displayTags(r, taxonomy).map((c) => `    <category term="${esc(c)}"/>`),
+      r.summary ? `    <summary>${esc(r.summary)}</summary>` : "",
+      "  </entry>",
+    ].filter(Boolean).join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${esc(title)}</title>`,
+    `  <id>${esc(selfUrl)}</id>`,
+    `  <link href="${esc(link)}"/>`,
+    `  <link href="${esc(selfUrl)}" rel="self"/>`,
+    `  <updated>${updated}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,37 @@
+// utils/importMappings.js
+// Column mappings chosen on the /import page, persisted in localStorage so the same export
+// maps itself next time. Keyed by the file's header signature (its sorted, normalized headers).
+// Store shape: { version: 1, mappings: { [signature]: { field: header | null } } }
+import { POST_FIELDS } from "./importers";
+import { localStore } from "./localStore";
+
+const STORAGE_KEY = "linkedin-dashboard:import-mappings";
+
+export function headerSignature(headers) {
+  return [...new Set(headers.map((h) => String(h).trim().toLowerCase()))].sort().join("|");
+}
+
+// Only known fields, each pointing at one of `headers` (or null)
+function sanitizeMapping(m, headers) {
+  const known = new Set(headers);
+  return Object.fromEntries(POST_FIELDS.map((f) => [f, known.has(m?.[f]) ? m[f] : null]));
+}
+
+// Each mapping is checked against the headers when it is used
+const storage = localStore(STORAGE_KEY, {
+  empty: () => ({ version: 1, mappings: {} }),
+  sanitize: (raw) => ({ version: 1, mappings: raw?.mappings && typeof raw.mappings === "object" ? raw.mappings : {} }),
+  what: "the column mapping",
+});
+
+// Saved mapping for these headers, or null
+export function loadMapping(headers) {
+  const saved = storage.load().mappings[headerSignature(headers)];
+  return saved ? sanitizeMapping(saved, headers) : null;
+}
+
+export function saveMapping(headers, mapping) {
+  const store = storage.load();
+  store.mappings[headerSignature(headers)] = sanitizeMapping(mapping, headers);
+  storage.save(store);
+}
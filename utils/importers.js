@@ -0,0 +1,229 @@
+// utils/importers.js
+// Source formats → records in the dashboard's field names (see normalizePostRow in utils/posts.js).
+//
+//   dashboard        Include,posted_iso,Author,Headline,Summary,Tags,post_url (the native CSV)
+//   linkedin-shares  Shares.csv from LinkedIn's data export (your own posts; the author is supplied)
+//   scraper-json     JSON array of post objects, fields matched by name (nested objects are flattened)
+//   csv              any other CSV, with a column mapping (guessed from the headers when not given)
+//
+// Each importer is { id, name, detect(text, headers), read(text, options) → { objects, headers, capturedAt } }.
+// Used by the /import page and by utils/datasets.js for datasets with a "format".
+import Papa from "papaparse";
+import { readPostsObjects, readPostsRecords, toKey } from "./posts";
+import { canonicalTag } from "./taxonomy";
+
+// Dashboard fields an import can fill, in CSV column order
+export const POST_FIELDS = ["include", "posted_iso", "author", "headline", "summary", "tags", "post_url"];
+
+export const FIELD_LABELS = {
+  include: "Include (Y/N)",
+  posted_iso: "Date",
+  author: "Author",
+  headline: "Headline",
+  summary: "Summary",
+  tags: "Tags",
+  post_url: "Post URL",
+};
+
+// Header spellings recognized per field, compared without case, spaces or punctuation
+const FIELD_ALIASES = {
+  include: ["include", "included", "keep", "show"],
+  posted_iso: ["postediso", "postedat", "postdateiso", "postdate", "date", "posted", "publishedat", "published", "createdat", "timestamp", "time"],
+  author: ["author", "authorname", "name", "poster", "profilename", "actor", "by"],
+  headline: ["headline", "title", "subject"],
+  summary: ["summary", "text", "content", "commentary", "sharecommentary", "body", "description", "posttext"],
+  tags: ["tags", "tag", "topics", "labels", "categories", "hashtags"],
+  post_url: ["posturl", "url", "sharelink", "link", "permalink", "href"],
+};
+
+const matchKey = (h) => toKey(h).replace(/[^a-z0-9]/g, "");
+
+// Best guess at { field: header } for a list of headers; unmatched fields are null
+export function guessMapping(headers) {
+  const byKey = new Map();
+  for (const h of headers) if (!byKey.has(matchKey(h))) byKey.set(matchKey(h), h);
+  const taken = new Set();
+  const mapping = {};
+  for (const field of POST_FIELDS) {
+    const hit = FIELD_ALIASES[field].map((a) => byKey.get(a)).find((h) => h && !taken.has(h));
+    mapping[field] = hit || null;
+    if (hit) taken.add(hit);
+  }
+  return mapping;
+}
+
+// Key of a mapped header among the source's keys: as written, else as CSV objects are keyed ("Post URL" → "post_url")
+function mappedKey(header, headers) {
+  if (headers.includes(header)) return header;
+  const key = toKey(header);
+  return headers.includes(key) ? key : null;
+}
+
+// Objects keyed by source header → objects in dashboard fields; source_line/captured_at pass through.
+// headers are the objects' keys. → { objects, missing }: missing lists mapped headers the source doesn't have.
+export function applyMapping(objects, mapping, headers) {
+  const keys = {};
+  const missing = [];
+  for (const field of POST_FIELDS) {
+    if (!mapping[field]) continue;
+    keys[field] = mappedKey(mapping[field], headers);
+    if (!keys[field]) missing.push(mapping[field]);
+  }
+  return {
+    missing,
+    objects: objects.map((src) => {
+      const o = {};
+      for (const field of POST_FIELDS) o[field] = keys[field] ? src[keys[field]] ?? "" : "";
+      if (!mapping.include) o.include = "y";
+      if (src.captured_at) o.captured_at = src.captured_at;
+      o.source_line = src.source_line;
+      return o;
+    }),
+  };
+}
+
+// First line of a post's text, shortened for a headline
+function firstLine(text, max = 120) {
+  const line = String(text || "").trim().split(/\r?\n/)[0].trim();
+  return line.length > max ? `${line.slice(0, max - 1).trimEnd()}…` : line;
+}
+
+// #hashtags that name a curated tag or alias (#VCM, #CarbonMarkets → "Carbon Markets");
+// without a taxonomy nothing is tagged
+function curatedHashtags(text, taxonomy) {
+  if (!taxonomy) return "";
+  const out = new Set();
+  for (const m of String(text || "").matchAll(/#([\p{L}\p{N}_]+)/gu)) {
+    const spellings = [m[1].replace(/_/g, " "), m[1].replace(/_/g, " ").replace(/(\p{Ll})(\p{Lu})/gu, "$1 $2")];
+    const hit = spellings.find((w) => taxonomy.canonical.has(w.toLowerCase()));
+    if (hit) out.add(canonicalTag(taxonomy, hit));
+  }
+  return [...out].join(", ");
+}
+
+function csvHeaders(text) {
+  try {
+    return readPostsRecords(text).headers;
+  } catch {
+    return [];
+  }
+}
+
+// One level of nesting flattened: { author: { name } } → { author_name }; arrays joined with ", "
+function flatten(item) {
+  const out = {};
+  for (const [k, v] of Object.entries(item || {})) {
+    if (Array.isArray(v)) out[k] = v.map((x) => (x && typeof x === "object" ? x.name ?? "" : x)).filter(Boolean).join(", ");
+    else if (v && typeof v === "object") for (const [k2, v2] of Object.entries(v)) out[`${k}_${k2}`] = v2 ?? "";
+    else out[k] = v ?? "";
+  }
+  return out;
+}
+
+function readJSONItems(text) {
+  const data = JSON.parse(String(text || "").replace(/^\uFEFF/, ""));
+  const items = Array.isArray(data) ? data : Array.isArray(data?.posts) ? data.posts : Array.isArray(data?.items) ? data.items : null;
+  if (!items) throw new Error("Expected a JSON array of posts (or { posts: [...] })");
+  return items.map(flatten);
+}
+
+export const IMPORTERS = [
+  {
+    id: "dashboard",
+    name: "Dashboard CSV",
+    detect: (text, headers) => ["postediso", "headline", "posturl"].every((h) => headers.includes(h)),
+    read: (text) => readPostsObjects(text),
+  },
+  {
+    id: "linkedin-shares",
+    name: "LinkedIn data export (Shares.csv)",
+    detect: (text, headers) => headers.includes("sharelink") && headers.includes("sharecommentary"),
+    read(text, { author = "", taxonomy = null } = {}) {
+      const { objects, headers, capturedAt } = readPostsObjects(text);
+      return {
+        headers,
+        capturedAt,
+        objects: objects.map((s) => {
+          let url = String(s.sharelink || "").trim();
+          try {
+            url = decodeURI(url).replace(/%3A/gi, ":");
+          } catch {
+            // keep the raw link
+          }
+          return {
+            include: "y",
+            posted_iso: String(s.date || "").trim().slice(0, 10),
+            author,
+            headline: firstLine(s.sharecommentary),
+            summary: String(s.sharecommentary || "").trim(),
+            tags: curatedHashtags(s.sharecommentary, taxonomy),
+            post_url: url,
+            source_line: s.source_line,
+          };
+        }),
+      };
+    },
+  },
+  {
+    id: "scraper-json",
+    name: "Scraper JSON",
+    detect: (text) => /^[\s\uFEFF]*[[{]/.test(String(text || "")),
+    read(text, { mapping = null } = {}) {
+      const items = readJSONItems(text);
+      const headers = Array.from(new Set(items.flatMap((o) => Object.keys(o))));
+      const m = mapping || guessMapping(headers);
+      const { objects, missing } = applyMapping(items.map((o, i) => ({ ...o, source_line: i + 1 })), m, headers);
+      // Scrapers often give only a title or only the text
+      for (const o of objects) if (!o.headline) o.headline = firstLine(o.summary);
+      return { objects, headers, capturedAt: null, mapping: m, missing };
+    },
+  },
+  {
+    id: "csv",
+    name: "Other CSV (map columns)",
+    detect: () => true,
+    read(text, { mapping = null } = {}) {
+      const { objects, headers, capturedAt } = readPostsObjects(text);
+      const m = mapping || guessMapping(headers);
+      return { ...applyMapping(objects, m, headers), headers, capturedAt, mapping: m };
+    },
+  },
+];
+
+export function importerById(id) {
+  return IMPORTERS.find((i) => i.id === id) || null;
+}
+
+// First importer whose detect() accepts the text; the generic CSV importer always does
+export function detectImporter(text) {
+  const headers = csvHeaders(text).map(matchKey);
+  return IMPORTERS.find((i) => i.detect(text, headers));
+}
+
+// text → { format, headers, mapping?, missing?, objects, capturedAt }; format defaults to auto-detection.
+// missing (csv/scraper-json) lists mapped headers not found in the source; their fields come out blank.
+// options: mapping ({ field: header }) for csv/scraper-json, author and taxonomy for linkedin-shares.
+export function importPosts(text, { format = null, ...options } = {}) {
+  const importer = format ? importerById(format) : detectImporter(text);
+  if (!importer) throw new Error(`Unknown import format "${format}"`);
+  return { format: importer.id, ...importer.read(text, options) };
+}
+
+// Headers of a CSV or JSON source as the mapping UI lists them
+export function sourceHeaders(text) {
+  if (importerById("scraper-json").detect(text)) {
+    try {
+      return Array.from(new Set(readJSONItems(text).flatMap((o) => Object.keys(o))));
+    } catch {
+      return [];
+    }
+  }
+  return csvHeaders(text);
+}
+
+// Dashboard CSV text for imported records (header row as in the original linkedin_posts.csv)
+export function recordsToCSV(objects) {
+  const header = ["Include", "posted_iso", "Author", "Headline", "Summary", "Tags", "post_url"];
+  const rows = objects.map((o) => POST_FIELDS.map((f) => (f === "include" ? (String(o.include).toLowerCase() === "n" ? "N" : "Y") : o[f] ?? "")));
+  return Papa.unparse([header, ...rows]);
+}
@@ -0,0 +1,135 @@
+// utils/loadData.js
+// Browser-side loading of the CSVs in /public (see utils/datasets.js), shared by the dashboard and other pages.
+import Papa from "papaparse";
+import { AUTHOR_PROFILE_COLUMNS, readAuthorProfiles } from "./authors";
+import { MANIFEST_FILE, readDatasetManifest, resolveDatasetId, loadCollection, loadOptionalCSVs } from "./datasets";
+import { mergeDuplicates } from "./dedupe";
+
+export async function tryFetchCSV(path) {
+  try {
+    const res = await fetch(path, { cache: "no-store" });
+    if (!res.ok) return null;
+    const text = await res.text();
+    const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+    return parsed.data || null;
+  } catch {
+    return null;
+  }
+}
+
+// Extract a single-column list from a CSV (case-insensitive, flexible headers)
+export function extractCSVList(rows, candidates) {
+  if (!Array.isArray(rows) || !rows.length) return [];
+  const first = rows.find(r => r && Object.keys(r).length) || {};
+  const keyMap = Object.keys(first).reduce((acc, k) => { acc[k.replace(/^\uFEFF/, "").toLowerCase()] = k; return acc; }, {});
+  let chosen = null;
+  for (const c of candidates) { if (keyMap[c]) { chosen = keyMap[c]; break; } }
+  if (!chosen) { chosen = Object.keys(first)[0] || null; }
+  if (!chosen) return [];
+  const out = rows.map(r => String((r && r[chosen]) || '').trim()).filter(Boolean);
+  return Array.from(new Set(out)).sort((a, b) => a.localeCompare(b));
+}
+
+export const AUTHOR_COLUMNS = AUTHOR_PROFILE_COLUMNS.name;
+
+// Text of a file in /public, or null when it can't be fetched
+export async function fetchText(file) {
+  try {
+    const res = await fetch(`/${file}`, { cache: "no-store" });
+    return res.ok ? await res.text() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Collections from /datasets.json; just the linkedin_*.csv files when there is no manifest
+export async function fetchDatasets() {
+  try {
+    const res = await fetch(`/${MANIFEST_FILE}`, { cache: "no-store" });
+    return readDatasetManifest(res.ok ? await res.json() : null);
+  } catch {
+    return readDatasetManifest(null);
+  }
+}
+
+// Posts plus the tag taxonomy for a dataset id (or ALL_DATASETS); unknown ids fall back to the first dataset.
+// The tags files are read first so their aliases normalize post tags while mapping.
+export async function fetchPosts(datasetId, datasets = null) {
+  const list = datasets || (await fetchDatasets());
+  return loadCollection(list, resolveDatasetId(list, datasetId), fetchText);
+}
+
+// Curated author names across the dataset's authors files, or null when none exist
+export async function fetchCuratedAuthors(datasetId, datasets = null) {
+  const list = datasets || (await fetchDatasets());
+  const files = await loadOptionalCSVs(list, resolveDatasetId(list, datasetId), "authors", fetchText);
+  if (files === null) return null;
+  return Array.from(new Set(files.flatMap((rows) => extractCSVList(rows, AUTHOR_COLUMNS)))).sort((a, b) => a.localeCompare(b));
+}
+
+// Profile columns of the authors files by author slug (empty when there are none); earlier datasets win
+export async function fetchAuthorProfiles(datasetId, datasets = null) {
+  const list = datasets || (await fetchDatasets());
+  const files = (await loadOptionalCSVs(list, resolveDatasetId(list, datasetId), "authors", fetchText)) || [];
+  const profiles = new Map();
+  for (const rows of files) {
+    for (const [slug, p] of readAuthorProfiles(rows)) if (!profiles.has(slug)) profiles.set(slug, p);
+  }
+  return profiles;
+}
+
+// Calls onChange(files, mtimes) whenever data files in public/ change on the server (/api/changes, names relative
+// to public/, mtimes as { [file]: mtimeMs }). Returns a function that stops listening. The browser reconnects after a dropped connection; without
+// the API (static hosting) the stream fails once and stays closed.
+export function watchDataChanges(onChange) {
+  if (typeof EventSource === "undefined") return () => {};
+  const source = new EventSource("/api/changes");
+  source.addEventListener("change", (e) => {
+    try {
+      const { files, mtimes } = JSON.parse(e.data);
+      onChange(files || [], mtimes || {});
+    } catch (err) {
+      console.error("Bad change event", err);
+    }
+  });
+  return () => source.close();
+}
+
+// fetchPosts plus duplicate merging, parsed in a Web Worker (utils/postsWorker.js) so big files don't
+// block the page. onProgress(rows) receives every row parsed so far, before merging, while the worker
+// runs; it is the one array the batches are appended to, so slice() it to keep a snapshot. Aborting
+// `signal` stops the worker. Falls back to the main thread where workers aren't available.
+export function loadPostsInWorker(datasetId, datasets, { onProgress = null, signal = null } = {}) {
+  const id = resolveDatasetId(datasets, datasetId);
+  if (typeof Worker === "undefined") {
+    return fetchPosts(id, datasets).then((result) => ({ ...result, rows: mergeDuplicates(result.rows) }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./postsWorker.js", import.meta.url));
+    const parsed = [];
+    const stop = () => worker.terminate();
+    signal?.addEventListener("abort", () => {
+      stop();
+      reject(new DOMException("Loading cancelled", "AbortError"));
+    });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "rows") {
+        for (const row of data.rows) parsed.push(row);
+        if (onProgress) onProgress(parsed);
+      } else if (data.type === "done") {
+        stop();
+        resolve(data.result);
+      } else if (data.type === "error") {
+        stop();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (e) => {
+      stop();
+      reject(new Error(e.message || "Could not parse the posts in the background"));
+    };
+    worker.postMessage({ datasets, id });
+  });
+}
@@ -0,0 +1,26 @@
+// utils/localStore.js
+// A versioned JSON document kept under one localStorage key (notes, saved views, reader state, …). Loading goes
+// through the store's sanitize(raw), which turns anything found (an older version, a hand-edited or foreign value)
+// into the current shape; unreadable or missing values, and the server, get empty().
+
+// → { load(), save(store) }; `what` names the store in the console error when saving fails (quota, private mode)
+export function localStore(key, { empty, sanitize, what }) {
+  return {
+    load() {
+      if (typeof window === "undefined") return empty();
+      try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? sanitize(JSON.parse(raw)) : empty();
+      } catch {
+        return empty();
+      }
+    },
+    save(store) {
+      try {
+        window.localStorage.setItem(key, JSON.stringify(store));
+      } catch (e) {
+        console.error(`Could not save ${what}`, e);
+      }
+    },
+  };
+}
@@ -0,0 +1,126 @@
+// utils/postTable.js
+// Sorting, grouping and the remembered layout of the dashboard's table view (components/PostTable.jsx).
+// Rows come in already filtered. Layout shape, kept in localStorage:
+//   { version: 1, sort: { column, dir: "asc" | "desc" }, groupBy, widths: { [column]: px } }
+import { safeTags, postTime } from "./posts";
+import { canonicalTag } from "./taxonomy";
+import { timeBuckets } from "./analytics";
+import { localStore } from "./localStore";
+
+const STORAGE_KEY = "linkedin-dashboard:table";
+
+// Default widths in px
+export const TABLE_COLUMNS = [
+  { id: "author", label: "Author", width: 170 },
+  { id: "date", label: "Date", width: 130 },
+  { id: "headline", label: "Headline", width: 460 },
+  { id: "tags", label: "Tags", width: 240 },
+  { id: "link", label: "Link", width: 70 },
+];
+
+export const MIN_COLUMN_WIDTH = 60;
+
+export const GROUP_OPTIONS = ["none", "author", "tag", "week", "month"];
+
+const COLUMN_IDS = TABLE_COLUMNS.map((c) => c.id);
+
+export function defaultLayout() {
+  return { version: 1, sort: { column: "date", dir: "desc" }, groupBy: "none", widths: {} };
+}
+
+function sanitizeLayout(raw) {
+  const out = defaultLayout();
+  if (COLUMN_IDS.includes(raw?.sort?.column)) {
+    out.sort = { column: raw.sort.column, dir: raw.sort.dir === "asc" ? "asc" : "desc" };
+  }
+  if (GROUP_OPTIONS.includes(raw?.groupBy)) out.groupBy = raw.groupBy;
+  for (const id of COLUMN_IDS) {
+    const w = Number(raw?.widths?.[id]);
+    if (Number.isFinite(w) && w >= MIN_COLUMN_WIDTH) out.widths[id] = Math.round(w);
+  }
+  return out;
+}
+
+const storage = localStore(STORAGE_KEY, { empty: defaultLayout, sanitize: sanitizeLayout, what: "the table layout" });
+export const loadTableLayout = storage.load;
+export const saveTableLayout = storage.save;
+
+export function columnWidth(layout, id) {
+  return layout.widths[id] || TABLE_COLUMNS.find((c) => c.id === id).width;
+}
+
+const text = (s) => String(s || "");
+
+// The row's tags under their curated names
+export function displayTags(r, taxonomy = null) {
+  return [...new Set(safeTags(r).map((t) => canonicalTag(taxonomy, t)))];
+}
+
+// Sort key per column; numbers compare numerically, strings with localeCompare
+const SORT_KEYS = {
+  author: (r) => text(r.author).toLowerCase(),
+  date: (r) => {
+    const t = postTime(r);
+    return isNaN(t) ? -Infinity : t;
+  },
+  headline: (r) => text(r.headline || r.title).toLowerCase(),
+  tags: (r, taxonomy) => displayTags(r, taxonomy).join(", ").toLowerCase(),
+  link: (r) => text(r.url).toLowerCase(),
+};
+
+// Ties (and undated rows among themselves) fall back to newest first, then headline
+export function sortTableRows(rows, { column, dir }, taxonomy = null) {
+  const keyOf = SORT_KEYS[column] || SORT_KEYS.date;
+  const sign = dir === "asc" ? 1 : -1;
+  const keyed = rows.map((r) => ({ r, k: keyOf(r, taxonomy), t: SORT_KEYS.date(r) }));
+  keyed.sort((a, b) => {
+    const c = typeof a.k === "number" ? a.k - b.k : a.k.localeCompare(b.k);
+    return sign * (c || 0) || b.t - a.t || SORT_KEYS.headline(a.r).localeCompare(SORT_KEYS.headline(b.r));
+  });
+  return keyed.map((x) => x.r);
+}
+
+// → [{ key, label, rows }], keeping the rows' order inside each group. "tag" lists a post under each of its
+// tags; "week" / "month" run newest first. Posts without an author, tags or date go in a last group.
+export function groupRows(rows, groupBy, taxonomy = null) {
+  if (groupBy === "author" || groupBy === "tag") {
+    const groups = new Map();
+    const add = (label, r) => {
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(r);
+    };
+    const missing = [];
+    for (const r of rows) {
+      const labels = groupBy === "author" ? (r.author ? [r.author] : []) : displayTags(r, taxonomy);
+      if (!labels.length) missing.push(r);
+      for (const label of labels) add(label, r);
+    }
+    const out = [...groups]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([label, list]) => ({ key: `${groupBy}:${label.toLowerCase()}`, label, rows: list }));
+    if (missing.length) out.push({ key: `${groupBy}:`, label: groupBy === "author" ? "(unknown author)" : "(no tags)", rows: missing });
+    return out;
+  }
+
+  if (groupBy === "week" || groupBy === "month") {
+    const { buckets, indexOf } = timeBuckets(rows, groupBy);
+    const lists = buckets.map(() => []);
+    const undated = [];
+    for (const r of rows) {
+      const i = indexOf(r);
+      if (i >= 0) lists[i].push(r);
+      else undated.push(r);
+    }
+    const out = [];
+    for (let i = buckets.length - 1; i >= 0; i--) {
+      if (!lists[i].length) continue;
+      const b = buckets[i];
+      const label = groupBy === "week" ? `Week of ${b.label} ${b.start.getUTCFullYear()}` : b.label;
+      out.push({ key: `${groupBy}:${b.key}`, label, rows: lists[i] });
+    }
+    if (undated.length) out.push({ key: `${groupBy}:`, label: "(undated)", rows: undated });
+    return out;
+  }
+
+  return [{ key: "all", label: "", rows }];
+}
@@ -0,0 +1,57 @@
+// utils/postValidation.js
+// Field checks for a single post, shared by the in-browser editor (live feedback) and
+// /api/edit (the authoritative check before writing). Errors block saving; warnings don't.
+import { parseDate, parseAbsolute, absoluteDateValue } from "./dates";
+import { canonicalTag } from "./taxonomy";
+import { linkedInActivityId } from "./dedupe";
+import { isLinkedInURL } from "./diagnostics";
+
+export const EDITABLE_FIELDS = ["include", "posted_iso", "author", "headline", "summary", "tags", "post_url"];
+
+// post: { include, posted_iso, author, headline, summary, tags: [], post_url }
+// rows: current rows, for duplicate checks; selfLine: source_line of the row being edited
+export function validatePost(post, { taxonomy = null, curatedAuthors = null, rows = [], selfLine = null } = {}) {
+  const errors = {};
+  const warnings = {};
+
+  if (post.include != null && !["y", "n"].includes(String(post.include).toLowerCase())) {
+    errors.include = "Include must be Y or N";
+  }
+
+  if (!String(post.headline || "").trim()) errors.headline = "Headline is required";
+
+  const url = String(post.post_url || "").trim();
+  if (!url) errors.post_url = "Post URL is required";
+  else if (!isLinkedInURL(url)) errors.post_url = "Must be a linkedin.com URL";
+  else {
+    const id = linkedInActivityId(url);
+    const key = (u) => String(u || "").split("?")[0].replace(/\/+$/, "").toLowerCase();
+    const dup = rows.find(
+      (r) =>
+        r.source_line !== selfLine &&
+        ((id && linkedInActivityId(r.post_url || r.url) === id) || key(r.post_url || r.url) === key(url))
+    );
+    if (dup) errors.post_url = `Already in the CSV (line ${dup.source_line}: ${dup.headline || "untitled"})`;
+  }
+
+  const date = String(post.posted_iso || "").trim();
+  if (!date) warnings.posted_iso = "No date; the post will ignore the period filter";
+  else if (!parseDate(date)) errors.posted_iso = "Use YYYY-MM-DD (or a LinkedIn age like 3mo)";
+  else if (!parseAbsolute(date)) warnings.posted_iso = `Saved as ${absoluteDateValue(date)}, counted back from today`;
+
+  const author = String(post.author || "").trim();
+  if (!author) warnings.author = "No author";
+  else if (curatedAuthors && !curatedAuthors.some((a) => a.toLowerCase() === author.toLowerCase())) {
+    warnings.author = "Not in the curated authors list";
+  }
+
+  // Left out, tags aren't changed; anything else must be a list of strings (a string would be split wrongly)
+  const tagsOk = post.tags === undefined || (Array.isArray(post.tags) && post.tags.every((t) => typeof t === "string"));
+  if (!tagsOk) errors.tags = "Tags must be a list of strings";
+  else if (taxonomy) {
+    const unknown = (post.tags || []).filter((t) => !taxonomy.canonical.has(canonicalTag(taxonomy, t).toLowerCase()));
+    if (unknown.length) warnings.tags = `Not in the curated tags: ${unknown.join(", ")}`;
+  }
+
+  return { errors, warnings, ok: Object.keys(errors).length === 0 };
+}
@@ -0,0 +1,345 @@
+// utils/posts.js
+// CSV → normalized post rows, plus the filter/sort pipeline shared by the
+// dashboard page and /api/posts.
+import Papa from "papaparse";
+import { postDateFields, readCaptureHeader, parseCaptureDate } from "./dates";
+import { compileSearch } from "./searchQuery";
+import { canonicalTag, tagAndDescendants } from "./taxonomy";
+
+// "relevance" needs a search index; see rankRows in utils/searchIndex.js
+export const SORT_KEYS = ["date", "date_asc", "author", "headline", "relevance"];
+
+// Header key as used on rows ("Post URL" → "post_url")
+export const toKey = (h) => String(h || "").trim().toLowerCase().replace(/\s+/g, "_");
+
+// Step-parses a CSV body without headers, calling onRecord(fields, line, [start, end], delimiter) for each record:
+// line is the file line it starts on (quoted fields may span lines), [start, end) its span in `text`
+function stepRecords(text, firstLine, onRecord) {
+  let line = firstLine;
+  let pos = 0;
+  let prevEnd = 0;
+  Papa.parse(text, {
+    header: false,
+    skipEmptyLines: true,
+    delimiter: "",
+    step: (res) => {
+      let start = prevEnd;
+      while (text[start] === "\n" || text[start] === "\r") start++; // skipped blank lines
+      for (; pos < start; pos++) if (text[pos] === "\n") line++;
+      let end = res.meta.cursor; // past the row's line break
+      while (end > start && (text[end - 1] === "\n" || text[end - 1] === "\r")) end--;
+      prevEnd = res.meta.cursor;
+      onRecord(res.data, line, [start, end], res.meta.delimiter);
+    },
+  });
+}
+
+// A "Column1,Column2,..." row some exports put above the real header
+const isDummyHeader = (fields) => fields.every((c) => /^column\d+$/i.test(String(c || "").trim()));
+
+// Raw CSV records with enough layout detail to write the file back (see utils/postsWriter.js):
+// { capturedAt, prefix (BOM + captured_at comment), delimiter, records, startLines, headerRowIdx, headers }
+export function readPostsRecords(raw) {
+  const src = String(raw || "");
+  // Optional "# captured_at: YYYY-MM-DD" line anchors relative dates ("4mo") to the scrape date
+  const { capturedAt, body: text, lines: commentLines } = readCaptureHeader(src);
+
+  // Parse WITHOUT headers first to handle "Column1,Column2,..." dummy header.
+  const records = [];
+  const startLines = [];
+  const spans = []; // [start, end) of each record in `text`, so writers can splice single rows
+  let delimiter = ",";
+  stepRecords(text, 1 + commentLines, (fields, line, span, d) => {
+    records.push(fields);
+    startLines.push(line);
+    spans.push(span);
+    delimiter = d || delimiter;
+  });
+  if (!records.length) throw new Error("CSV empty");
+
+  const headerRowIdx = isDummyHeader(records[0]) ? 1 : 0;
+  const headers = (records[headerRowIdx] || []).map(toKey);
+  const prefix = src.slice(0, src.length - text.length);
+
+  return { capturedAt, prefix, text, delimiter, records, startLines, spans, headerRowIdx, headers };
+}
+
+// Raw record in the dashboard's field names ({ include, posted_iso, author, headline, summary, tags,
+// post_url, captured_at?, source_line }) → normalized row. Shared with the importers (utils/importers.js).
+// capturedAt is the file's capture date; taxonomy (optional, from buildTaxonomy) maps tag aliases onto curated names.
+export function normalizePostRow(raw, { taxonomy = null, capturedAt = null } = {}) {
+  const o = { ...raw };
+  o.include = String(o.include || "y").trim().toLowerCase();
+  o.author = String(o.author || "").trim();
+  o.headline = String(o.headline || "").trim();
+  o.summary = String(o.summary || "").trim();
+  o.tags = String(o.tags || "").trim();
+  o.url = String(o.post_url || o.url || "").split("?")[0].trim();
+
+  // Relative dates count back from the row's captured_at, else the file's, else today (see utils/dates.js)
+  Object.assign(o, postDateFields(o.posted_iso, { base: parseCaptureDate(o.captured_at) || capturedAt }));
+
+  // Pre-split tags for filtering, normalized through the taxonomy's aliases
+  const tagKeys = String(o.tags || "")
+    .split(/[;,]\s*/g)
+    .map((t) => canonicalTag(taxonomy, t).toLowerCase())
+    .filter(Boolean);
+  o.tags_list = Array.from(new Set(tagKeys));
+
+  return o;
+}
+
+function recordObject(headers, fields, line) {
+  const o = {};
+  headers.forEach((h, i) => (o[h] = fields[i] ?? ""));
+  o.source_line = line;
+  return o;
+}
+
+// Records of a CSV in the dashboard layout, keyed by header, with the line each starts on
+export function readPostsObjects(raw) {
+  const { capturedAt, records, startLines, headerRowIdx, headers } = readPostsRecords(raw);
+  const dataStartIdx = headerRowIdx + 1;
+  const objects = records.slice(dataStartIdx).map((r, idx) => recordObject(headers, r, startLines[dataStartIdx + idx]));
+  return { objects, headers, capturedAt };
+}
+
+// readPostsObjects in batches: onObjects(objects, { headers, capturedAt }) is called every batchSize records
+// while the file is still being parsed, so a large file can be shown before its last line is read.
+// → { headers, capturedAt }
+export function streamPostsObjects(raw, onObjects, { batchSize = 2000 } = {}) {
+  const { capturedAt, body: text, lines: commentLines } = readCaptureHeader(String(raw || ""));
+  let seen = 0;
+  let headers = null;
+  let batch = [];
+  stepRecords(text, 1 + commentLines, (fields, line) => {
+    if (!headers) {
+      if (seen++ === 0 && isDummyHeader(fields)) return;
+      headers = fields.map(toKey);
+      return;
+    }
+    batch.push(recordObject(headers, fields, line));
+    if (batch.length >= batchSize) {
+      onObjects(batch, { headers, capturedAt });
+      batch = [];
+    }
+  });
+  if (!seen) throw new Error("CSV empty");
+  headers = headers || [];
+  if (batch.length) onObjects(batch, { headers, capturedAt });
+  return { headers, capturedAt };
+}
+
+export function parsePostsCSV(raw, { taxonomy = null } = {}) {
+  const { objects, headers, capturedAt } = readPostsObjects(raw);
+  const rows = objects.map((o) => normalizePostRow(o, { taxonomy, capturedAt }));
+  return { rows, headers, capturedAt };
+}
+
+export function safeTags(row) {
+  if (Array.isArray(row?.tags_list)) return row.tags_list.filter(Boolean);
+
+  if (Array.isArray(row?.tags)) {
+    return row.tags
+      .map((t) => String(t || "").toLowerCase().trim())
+      .filter(Boolean);
+  }
+
+  return String(row?.tags || "")
+    .toLowerCase()
+    .split(/[;,]\s*/g)
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+// The row's tags as written in its CSV cell, aliases mapped to their curated names, each once (case-insensitively).
+// Unlike safeTags this keeps the spelling, for writing tags back (editor, tag suggestions).
+export function tagNames(row, taxonomy = null) {
+  const raw = typeof row?.tags === "string" ? row.tags.split(/[;,]\s*/g) : safeTags(row);
+  const seen = new Set();
+  const out = [];
+  for (const t of raw.map((x) => canonicalTag(taxonomy, x)).filter(Boolean)) {
+    if (seen.has(t.toLowerCase())) continue;
+    seen.add(t.toLowerCase());
+    out.push(t);
+  }
+  return out;
+}
+
+// Milliseconds for the row's post date (posted_at, legacy dateObj), or NaN
+export function postTime(r) {
+  if (r?.posted_at instanceof Date && !isNaN(r.posted_at)) return r.posted_at.getTime();
+  if (r?.dateObj instanceof Date && !isNaN(r.dateObj)) return r.dateObj.getTime(); // legacy fallback
+  return NaN;
+}
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+// Row → the fields the search language can address
+export function searchFields(r) {
+  return {
+    author: r.author,
+    headline: r.headline || r.title,
+    summary: r.summary,
+    tags: safeTags(r),
+    time: postTime(r),
+  };
+}
+
+const ALL_PERIOD = /^(all|any|all\s*time)$/;
+const DAYS_PERIOD = /^(\d+)\s*d?$/i;
+
+// Supports 30, "30", "30d", "all", "all time", "any"; returns a day count or "all"
+export function normalizePeriod(period) {
+  const pStr = typeof period === "string" ? norm(period) : period;
+  if (typeof pStr !== "string") return pStr;
+  if (ALL_PERIOD.test(pStr)) return "all";
+  const m = pStr.match(DAYS_PERIOD);
+  return m ? Number(m[1]) : "all";
+}
+
+// Whether a period string is one normalizePeriod understands, rather than falling back to "all"
+export function isPeriod(period) {
+  const pStr = norm(period);
+  return ALL_PERIOD.test(pStr) || DAYS_PERIOD.test(pStr);
+}
+
+// include: "y" drops explicit 'n' rows (fail open), "n" keeps only those, "all" keeps everything
+// tagMode: "any" keeps rows with at least one selected tag, "all" requires every selected tag.
+// authorsExcluded / tagsExcluded drop rows by author or by any matching tag, whatever else is selected.
+// With a taxonomy, a parent tag (selected or excluded) stands for itself and all of its descendants.
+// fields replaces searchFields, e.g. to let the search see the reader's annotations.
+export function filterPosts(
+  rows,
+  {
+    authors,
+    authorsExcluded,
+    tags,
+    tagsExcluded,
+    tagMode = "any",
+    period,
+    search,
+    hideApprox,
+    include = "y",
+    taxonomy = null,
+    fields = searchFields,
+  } = {},
+  now = Date.now()
+) {
+  let out = rows;
+  const p = normalizePeriod(period);
+
+  // Include flag: only drop explicit 'n'; keep others (fail open)
+  if (include === "n") out = out.filter((r) => (r.include ?? "y") === "n");
+  else if (include !== "all") out = out.filter((r) => (r.include ?? "y") !== "n");
+
+  // Authors (case-insensitive)
+  if (authors && authors.length) {
+    const want = new Set(authors.map(norm));
+    out = out.filter((r) => want.has(norm(r.author)));
+  }
+  if (authorsExcluded && authorsExcluded.length) {
+    const drop = new Set(authorsExcluded.map(norm));
+    out = out.filter((r) => !drop.has(norm(r.author)));
+  }
+
+  if (tags && tags.length) {
+    const want = tags.map((t) => tagAndDescendants(taxonomy, t));
+    out = out.filter((r) => {
+      const have = safeTags(r);
+      const hit = (group) => have.some((t) => group.has(t));
+      return tagMode === "all" ? want.every(hit) : want.some(hit);
+    });
+  }
+  if (tagsExcluded && tagsExcluded.length) {
+    const drop = new Set(tagsExcluded.flatMap((t) => [...tagAndDescendants(taxonomy, t)]));
+    out = out.filter((r) => !safeTags(r).some((t) => drop.has(t)));
+  }
+
+  // Period filter (p is either "all" or a number of days). If no parsed date, KEEP the row (fail open).
+  if (p && p !== "all") {
+    const days = Number(p);
+    if (!Number.isNaN(days) && days > 0) {
+      const cutoff = now - days * 86400000;
+      out = out.filter((r) => {
+        const t = postTime(r);
+        if (isNaN(t)) return true; // fail open
+        return t >= cutoff;
+      });
+    }
+  }
+
+  // Approximate dates (resolved from "4mo"-style values) can be hidden entirely
+  if (hideApprox) {
+    out = out.filter((r) => !r.posted_approx);
+  }
+
+  // Search query language (see utils/searchQuery.js); throws SearchQueryError on bad syntax
+  const matches = compileSearch(search, fields, now, taxonomy);
+  if (matches) out = out.filter(matches);
+
+  return out;
+}
+
+// "date": newest first, then author, then headline/title (the dashboard default)
+export function sortPosts(rows, sort = "date") {
+  const byAuthor = (a, b) => String(a.author || "").localeCompare(String(b.author || ""));
+  const byHeadline = (a, b) =>
+    String(a.headline || a.title || "").localeCompare(String(b.headline || b.title || ""));
+  const time = (r) => {
+    const t = postTime(r);
+    return isNaN(t) ? 0 : t;
+  };
+
+  return [...rows].sort((a, b) => {
+    if (sort === "author") return byAuthor(a, b) || time(b) - time(a) || byHeadline(a, b);
+    if (sort === "headline") return byHeadline(a, b) || time(b) - time(a);
+
+    const ta = time(a);
+    const tb = time(b);
+    if (tb !== ta) return sort === "date_asc" ? ta - tb : tb - ta;
+    return byAuthor(a, b) || byHeadline(a, b);
+  });
+}
+
+// Stable JSON shape for a normalized row (API responses, exports)
+export function toPostJSON(r) {
+  return {
+    include: r.include,
+    posted_iso: r.posted_iso || "",
+    posted_at: r.posted_at instanceof Date && !isNaN(r.posted_at) ? r.posted_at.toISOString() : null,
+    posted_date: r.posted_iso_abs || null,
+    posted_precision: r.posted_precision || null,
+    posted_approx: !!r.posted_approx,
+    author: r.author,
+    headline: r.headline,
+    summary: r.summary,
+    tags: safeTags(r),
+    url: r.url,
+    ...(r.dataset ? { dataset: r.dataset } : {}),
+    ...(r.merged_from ? { merged_urls: r.merged_from.map((m) => m.url).filter((u) => u !== r.url) } : {}),
+    // The reader's private annotation, when an export attached one (utils/annotations.js)
+    ...(r.note || r.stance || r.internal_tags?.length
+      ? { annotation: { note: r.note || "", stance: r.stance || null, internal_tags: r.internal_tags || [] } }
+      : {}),
+  };
+}
+
+// What a reload changed: posts only in `after` (added), in both but with different content (updated), only in
+// `before` (removed). keyOf(row) identifies a post across the two loads, e.g. its canonical URL.
+export function diffPosts(before, after, keyOf) {
+  const content = (r) => [r.include, r.posted_iso, r.author, r.headline, r.summary, safeTags(r).join(",")].join("\u0000");
+  const previous = new Map(before.map((r) => [keyOf(r), content(r)]));
+  const seen = new Set();
+  let added = 0;
+  let updated = 0;
+  for (const r of after) {
+    const key = keyOf(r);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (!previous.has(key)) added++;
+    else if (previous.get(key) !== content(r)) updated++;
+  }
+  const removed = [...previous.keys()].filter((k) => !seen.has(k)).length;
+  return { added, updated, removed };
+}
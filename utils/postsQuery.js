@@ -0,0 +1,89 @@
+// utils/postsQuery.js
+// Query params → filtered, sorted posts. Shared by /api/posts and /api/feed (server only).
+//
+//   author, tag   repeatable (?tag=offsets&tag=science)
+//   author_not, tag_not   repeatable exclusions
+//   tag_mode      any (default) | all — whether a post needs one or every `tag`
+//   period        7 | 30 | 90 | all (default: all); any day count ("14", "14d") works too
+//   q             search query (phrases, AND/OR/NOT, author:/tag:/before:/after: — see utils/searchQuery.js)
+//   include       y (default, drops Include=N) | n | all
+//   exact         1 = drop rows whose date is only approximate ("4mo")
+//   merge         0 = keep duplicate rows (default merges them as the dashboard does)
+//   sort          date (default) | date_asc | author | headline | relevance (ranks by q; newest first without q)
+//   dataset       id from datasets.json, or all (default: the first dataset)
+import { filterPosts, sortPosts, searchFields, isPeriod, SORT_KEYS } from "./posts";
+import { loadPosts, loadDatasets } from "./serverData";
+import { ALL_DATASETS } from "./datasets";
+import { SearchQueryError, queryTerms } from "./searchQuery";
+import { buildSearchIndex, rankRows } from "./searchIndex";
+import { mergeDuplicates } from "./dedupe";
+
+// Invalid query params; API routes answer these with 400
+export class BadRequestError extends Error {
+  constructor(message, extra = {}) {
+    super(message);
+    this.name = "BadRequestError";
+    this.extra = extra;
+  }
+}
+
+export function listParam(v) {
+  if (v == null) return [];
+  return (Array.isArray(v) ? v : [v]).map((s) => String(s).trim()).filter(Boolean);
+}
+
+export function firstParam(v) {
+  return Array.isArray(v) ? v[0] : v;
+}
+
+function choice(q, name, options, fallback) {
+  const v = firstParam(q[name]) || fallback;
+  if (!options.includes(v)) throw new BadRequestError(`Unknown ${name} "${v}". Use one of: ${options.join(", ")}`);
+  return v;
+}
+
+function period(q) {
+  const v = firstParam(q.period) || "all";
+  if (!isPeriod(v)) throw new BadRequestError(`Unknown period "${v}". Use one of: 7, 30, 90, all (or another number of days)`);
+  return v;
+}
+
+// Validates everything up front so a bad request fails before any file is read
+export function readPostsParams(q) {
+  return {
+    sort: choice(q, "sort", SORT_KEYS, "date"),
+    dataset: firstParam(q.dataset) || null,
+    merge: firstParam(q.merge) !== "0",
+    search: firstParam(q.q) || "",
+    filters: {
+      authors: listParam(q.author),
+      authorsExcluded: listParam(q.author_not),
+      tags: listParam(q.tag),
+      tagsExcluded: listParam(q.tag_not),
+      tagMode: choice(q, "tag_mode", ["any", "all"], "any"),
+      period: period(q),
+      hideApprox: firstParam(q.exact) === "1",
+      include: choice(q, "include", ["y", "n", "all"], "y"),
+    },
+  };
+}
+
+export async function queryPosts({ sort, dataset, merge, search, filters }) {
+  if (dataset && dataset !== ALL_DATASETS) {
+    const ids = (await loadDatasets()).map((d) => d.id);
+    if (!ids.includes(dataset)) throw new BadRequestError(`Unknown dataset "${dataset}". Use one of: ${[...ids, ALL_DATASETS].join(", ")}`);
+  }
+  let { rows, taxonomy } = await loadPosts(dataset);
+  if (merge) rows = mergeDuplicates(rows);
+
+  let out;
+  try {
+    out = sortPosts(filterPosts(rows, { ...filters, search, taxonomy }), sort === "relevance" ? "date" : sort);
+  } catch (e) {
+    if (e instanceof SearchQueryError) throw new BadRequestError(`Invalid q: ${e.message}`, { position: e.position });
+    throw e;
+  }
+
+  if (sort === "relevance") out = rankRows(buildSearchIndex(rows, searchFields), out, queryTerms(search));
+  return { posts: out, taxonomy };
+}
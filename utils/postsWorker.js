@@ -0,0 +1,43 @@
+// utils/postsWorker.js
+// Web Worker that loads a dataset off the main thread, so a 50k-row CSV doesn't freeze the page.
+// Started by loadPostsInWorker (utils/loadData.js). Messages out:
+//   { type: "rows", rows }    a batch as soon as it is parsed and normalized (not yet deduplicated)
+//   { type: "done", result }  fetchPosts' result ({ rows, headers, capturedAt, taxonomy, datasets }), duplicates merged
+//   { type: "error", message }
+import { loadCollection } from "./datasets";
+import { mergeDuplicates } from "./dedupe";
+
+// Same as fetchText in utils/loadData.js, which can't be imported here: it starts this worker
+async function fetchText(file) {
+  try {
+    const res = await fetch(`/${file}`, { cache: "no-store" });
+    return res.ok ? await res.text() : null;
+  } catch {
+    return null;
+  }
+}
+
+// The first batch is small so cards show up quickly; later ones are larger to keep re-renders rare
+const FIRST_BATCH = 500;
+const BATCH = 5000;
+
+self.onmessage = async ({ data: { datasets, id } }) => {
+  try {
+    let pending = [];
+    let sent = 0;
+    const result = await loadCollection(datasets, id, fetchText, {
+      batchSize: FIRST_BATCH,
+      onRows(rows) {
+        for (const r of rows) pending.push(r);
+        if (pending.length >= (sent ? BATCH : FIRST_BATCH)) {
+          self.postMessage({ type: "rows", rows: pending });
+          sent += pending.length;
+          pending = [];
+        }
+      },
+    });
+    self.postMessage({ type: "done", result: { ...result, rows: mergeDuplicates(result.rows) } });
+  } catch (e) {
+    self.postMessage({ type: "error", message: String(e?.message || e) });
+  }
+};
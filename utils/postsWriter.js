@@ -0,0 +1,117 @@
+// utils/postsWriter.js
+// Write edits back to a posts CSV in public/ (server only). Every write first copies the previous
+// file to backups/<name>.<timestamp>.csv, then replaces the file atomically.
+// Only the changed rows are re-serialized; everything else (BOM, captured_at comment, quoting,
+// line endings, column order) is copied through byte for byte.
+import { promises as fs } from "fs";
+import path from "path";
+import Papa from "papaparse";
+import { readPostsRecords } from "./posts";
+import { publicPath } from "./serverData";
+
+export const BACKUP_DIR = path.join(process.cwd(), "backups");
+
+// The row on disk isn't the one the editor saw (file changed since it was loaded)
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConflictError";
+  }
+}
+
+function editorFor(doc, changed) {
+  const header = doc.records[doc.headerRowIdx];
+
+  function column(field) {
+    let i = doc.headers.indexOf(field);
+    if (i === -1) {
+      // New column at the end, e.g. a file without a summary column
+      header.push(field);
+      doc.headers.push(field);
+      changed.add(doc.headerRowIdx);
+      i = doc.headers.length - 1;
+    }
+    return i;
+  }
+
+  return {
+    // Record index for the row starting at `line`, checked against the post_url the editor saw
+    find(line, expectedUrl) {
+      const idx = doc.startLines.indexOf(line);
+      if (idx <= doc.headerRowIdx) throw new ConflictError(`No post on line ${line}; reload and try again`);
+      const url = String(doc.records[idx][doc.headers.indexOf("post_url")] ?? "").trim();
+      if (url !== String(expectedUrl || "").trim()) {
+        throw new ConflictError(`Line ${line} has changed on disk; reload and try again`);
+      }
+      return idx;
+    },
+    set(idx, field, value) {
+      const rec = doc.records[idx];
+      const i = column(field);
+      while (rec.length <= i) rec.push("");
+      rec[i] = value;
+      changed.add(idx);
+    },
+    append(fields) {
+      const rec = new Array(doc.headers.length).fill("");
+      doc.records.push(rec);
+      const idx = doc.records.length - 1;
+      for (const [field, value] of Object.entries(fields)) this.set(idx, field, value);
+      return idx;
+    },
+  };
+}
+
+// Pending writes per file: each update reads the file only after the previous one has replaced it,
+// so two requests at once can't both start from the old contents and lose one edit
+const queues = new Map();
+
+// apply(editor) makes the changes and may return extra fields for the result, which also has the backup's path
+// and the written file's name and mtime (as /api/changes reports it).
+// `name` is the posts file relative to public/, as listed in datasets.json.
+export function updatePostsFile(apply, name = "linkedin_posts.csv") {
+  const file = publicPath(name);
+  const run = (queues.get(file) || Promise.resolve()).then(() => writePostsFile(file, apply, name));
+  const settled = run.catch(() => {});
+  queues.set(file, settled);
+  settled.then(() => {
+    if (queues.get(file) === settled) queues.delete(file);
+  });
+  return run;
+}
+
+async function writePostsFile(file, apply, name) {
+  const raw = await fs.readFile(file, "utf8");
+  const doc = readPostsRecords(raw);
+  const changed = new Set();
+  const result = apply(editorFor(doc, changed)) || {};
+
+  const eol = raw.includes("\r\n") ? "\r\n" : "\n";
+  const row = (rec) => Papa.unparse([rec], { delimiter: doc.delimiter, newline: eol });
+  let out = doc.prefix;
+  let pos = 0;
+  for (const idx of [...changed].sort((a, b) => a - b)) {
+    if (idx >= doc.spans.length) continue; // appended below
+    const [start, end] = doc.spans[idx];
+    out += doc.text.slice(pos, start) + row(doc.records[idx]);
+    pos = end;
+  }
+  out += doc.text.slice(pos);
+  const appended = doc.records.slice(doc.spans.length);
+  if (appended.length) {
+    if (!/[\r\n]$/.test(out)) out += eol;
+    out += appended.map((rec) => row(rec) + eol).join("");
+  }
+
+  await fs.mkdir(BACKUP_DIR, { recursive: true });
+  const base = path.basename(name, path.extname(name));
+  const backup = path.join(BACKUP_DIR, `${base}.${new Date().toISOString().replace(/[:.]/g, "-")}.csv`);
+  await fs.writeFile(backup, raw, "utf8");
+
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, out, "utf8");
+  await fs.rename(tmp, file);
+  const { mtimeMs } = await fs.stat(file);
+
+  return { ...result, backup: path.relative(process.cwd(), backup), file: name, mtime: mtimeMs };
+}
@@ -0,0 +1,83 @@
+// utils/publicWatcher.js
+// Server-only: one fs.watch on public/ shared by every subscriber (see /api/changes). Started with the first
+// subscriber and closed with the last. Never import from client code.
+import fs from "fs";
+import path from "path";
+
+// Editors and the edit API write in several steps (temp file, rename); report once they settle
+const DEBOUNCE = 300;
+
+// Data files only: the posts, authors and tags files and datasets.json
+const DATA_FILE = /\.(csv|json)$/i;
+
+const listeners = new Set();
+let watcher = null;
+let pending = new Set();
+let timer = null;
+
+// Modification time (ms) of each changed file, so a client can tell its own write from a later one;
+// files that are gone (or "*") have none
+async function modifiedTimes(files) {
+  const dir = path.join(process.cwd(), "public");
+  const out = {};
+  await Promise.all(
+    files
+      .filter((f) => f !== "*")
+      .map(async (f) => {
+        try {
+          out[f] = (await fs.promises.stat(path.join(dir, f))).mtimeMs;
+        } catch {
+          // deleted or renamed away
+        }
+      })
+  );
+  return out;
+}
+
+function flush() {
+  timer = null;
+  const files = [...pending].sort();
+  pending = new Set();
+  modifiedTimes(files).then((mtimes) => {
+    for (const listener of listeners) listener(files, mtimes);
+  });
+}
+
+function onEvent(_type, filename) {
+  // Names are relative to public/; some platforms don't report one
+  const name = filename ? String(filename).split(path.sep).join("/") : null;
+  if (name && !DATA_FILE.test(name)) return;
+  pending.add(name || "*");
+  if (!timer) timer = setTimeout(flush, DEBOUNCE);
+}
+
+function start() {
+  const dir = path.join(process.cwd(), "public");
+  try {
+    watcher = fs.watch(dir, { recursive: true }, onEvent);
+  } catch {
+    // Recursive watching isn't supported everywhere; top-level files are the common case
+    watcher = fs.watch(dir, onEvent);
+  }
+  watcher.on("error", (e) => console.error("Watching public/ failed", e));
+}
+
+function stop() {
+  watcher?.close();
+  watcher = null;
+  clearTimeout(timer);
+  timer = null;
+  pending = new Set();
+}
+
+// listener(files, mtimes) receives the changed file names relative to public/ ("*" when the platform didn't say
+// which) and { [file]: mtimeMs } for those that still exist.
+// Returns a function that unsubscribes. Throws when public/ can't be watched.
+export function watchPublicFiles(listener) {
+  if (!watcher) start();
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (!listeners.size) stop();
+  };
+}
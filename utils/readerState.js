@@ -0,0 +1,169 @@
+// utils/readerState.js
+// Per-browser reader state, persisted in localStorage with JSON import/export: which posts were read,
+// starred or hidden, and which posts this browser has loaded before (for "new since last visit").
+// Store shape: { version: 1, lastSeen, known: [shortKey], posts: { [postKey]: { read?, starred?, hidden? } } }
+// where postKey is the canonical post URL (canonicalPostUrl) and known is null until the first visit. known runs from
+// least to most recently loaded and keeps at most MAX_KNOWN posts besides the ones loaded last.
+import { localStore } from "./localStore";
+
+const STORAGE_KEY = "linkedin-dashboard:reader-state";
+// A visit lasts as long as the tab's session, so reloading the page keeps the same "new" posts
+const VISIT_KEY = "linkedin-dashboard:visit";
+
+export const READER_FLAGS = ["read", "starred", "hidden"];
+
+const FEED_UPDATE = "https://www.linkedin.com/feed/update/";
+
+// One URL per LinkedIn post whatever form it was captured in (/posts/…-activity-123-abcd, /feed/update/urn:li:activity:123,
+// tracking parameters); other URLs lose their query, fragment and trailing slash. null without a URL.
+export function canonicalPostUrl(url) {
+  let s = String(url || "").trim();
+  if (!s) return null;
+  try {
+    s = decodeURIComponent(s);
+  } catch {
+    // keep the raw string
+  }
+  const m = s.match(/(activity|ugcPost|share)[-:](\d{15,})/i);
+  if (m) {
+    const type = m[1].toLowerCase() === "ugcpost" ? "ugcPost" : m[1].toLowerCase();
+    return `${FEED_UPDATE}urn:li:${type}:${m[2]}/`;
+  }
+  s = s.split(/[?#]/)[0].replace(/\/+$/, "");
+  try {
+    const u = new URL(s);
+    return `${u.protocol}//${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, "")}`;
+  } catch {
+    return s;
+  }
+}
+
+// Posts loaded longer ago than the last MAX_KNOWN drop out of `known`, and count as new if they come back
+const MAX_KNOWN = 20000;
+
+// `known` can hold tens of thousands of posts, so it drops the common prefix
+function shortKey(key) {
+  return key.startsWith(FEED_UPDATE) ? key.slice(FEED_UPDATE.length) : key;
+}
+
+export function emptyReaderState() {
+  return { version: 1, lastSeen: null, known: null, posts: {} };
+}
+
+function sanitizeFlags(f) {
+  const out = {};
+  for (const flag of READER_FLAGS) if (f?.[flag]) out[flag] = true;
+  return Object.keys(out).length ? out : null;
+}
+
+function sanitizeState(raw) {
+  const posts = {};
+  for (const [key, f] of Object.entries(raw?.posts && typeof raw.posts === "object" ? raw.posts : {})) {
+    const flags = sanitizeFlags(f);
+    const k = canonicalPostUrl(key);
+    if (flags && k) posts[k] = { ...posts[k], ...flags };
+  }
+  const lastSeen = raw?.lastSeen && !Number.isNaN(Date.parse(raw.lastSeen)) ? raw.lastSeen : null;
+  const known = Array.isArray(raw?.known) ? raw.known.map(String) : null;
+  return { version: 1, lastSeen, known, posts };
+}
+
+const storage = localStore(STORAGE_KEY, { empty: emptyReaderState, sanitize: sanitizeState, what: "reader state" });
+export const loadReaderState = storage.load;
+export const saveReaderState = storage.save;
+
+const NO_FLAGS = {};
+
+export function postFlags(state, key) {
+  return (key && state?.posts[key]) || NO_FLAGS;
+}
+
+// Set or clear one flag on the given posts; posts left without flags are dropped from the store
+export function setPostFlag(state, keys, flag, on) {
+  const posts = { ...state.posts };
+  for (const key of keys) {
+    if (!key) continue;
+    const flags = sanitizeFlags({ ...posts[key], [flag]: on });
+    if (flags) posts[key] = flags;
+    else delete posts[key];
+  }
+  return { ...state, posts };
+}
+
+export function readerCounts(state) {
+  const counts = { read: 0, starred: 0, hidden: 0 };
+  for (const f of Object.values(state?.posts || {})) for (const flag of READER_FLAGS) if (f[flag]) counts[flag]++;
+  return counts;
+}
+
+function loadVisit() {
+  try {
+    const raw = JSON.parse(window.sessionStorage.getItem(VISIT_KEY) || "null");
+    return raw && Array.isArray(raw.fresh) ? raw : null;
+  } catch {
+    return null;
+  }
+}
+
+// Note the posts of a freshly loaded dataset. Posts this browser hadn't loaded before the visit began are
+// "new since last visit"; on the very first visit nothing is. Returns the updated store, when the previous
+// visit was (`since`, ISO or null) and the keys that are new in this visit so far.
+export function recordVisit(state, keys, now = new Date()) {
+  const visit = loadVisit() || { since: state.lastSeen, fresh: [] };
+  const known = new Set(state.known || []);
+  const fresh = new Set(visit.fresh);
+  const loaded = new Set();
+  for (const key of keys) {
+    if (!key) continue;
+    const short = shortKey(key);
+    if (state.known && !known.has(short)) fresh.add(key);
+    // Moved to the end, so trimming drops the posts loaded longest ago
+    known.delete(short);
+    known.add(short);
+    loaded.add(short);
+  }
+  const next = { ...visit, fresh: [...fresh] };
+  try {
+    window.sessionStorage.setItem(VISIT_KEY, JSON.stringify(next));
+  } catch {
+    // new-post tracking just won't survive a reload
+  }
+  const kept = [...known].slice(-Math.max(MAX_KNOWN, loaded.size));
+  return { state: { ...state, lastSeen: now.toISOString(), known: kept }, since: next.since, fresh: next.fresh };
+}
+
+export function exportReaderState(state) {
+  return JSON.stringify({ ...state, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+// Merge an exported file into the store: flags and known posts are combined, the later lastSeen wins.
+// Throws on anything that isn't an export.
+export function importReaderState(state, text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (!raw || typeof raw !== "object" || (!raw.posts && !raw.known)) throw new Error("No reader state found in file");
+  const incoming = sanitizeState(raw);
+
+  const posts = { ...state.posts };
+  for (const [key, flags] of Object.entries(incoming.posts)) posts[key] = { ...posts[key], ...flags };
+  const known = state.known || incoming.known ? [...new Set([...(incoming.known || []), ...(state.known || [])])].slice(-MAX_KNOWN) : null;
+  const lastSeen = [state.lastSeen, incoming.lastSeen].filter(Boolean).sort().pop() || null;
+  return { version: 1, lastSeen, known, posts };
+}
+
+// Apply the reader toggles to rows; keyOf(row) gives the row's post key
+export function filterByReader(rows, state, { keyOf, onlyNew = false, newKeys = null, starredOnly = false, showHidden = false }) {
+  if (!onlyNew && !starredOnly && (showHidden || !readerCounts(state).hidden)) return rows;
+  return rows.filter((r) => {
+    const key = keyOf(r);
+    const flags = postFlags(state, key);
+    if (flags.hidden && !showHidden) return false;
+    if (starredOnly && !flags.starred) return false;
+    if (onlyNew && !newKeys?.has(key)) return false;
+    return true;
+  });
+}
@@ -0,0 +1,82 @@
+// utils/savedViews.js
+// Named filter presets persisted in localStorage, with JSON import/export.
+// Store shape: { version: 1, defaultId, views: [{ id, name, filters }] } where filters holds
+// authors, authorsExcluded, tags, tagsExcluded, tagMode, period and search.
+import { PERIOD_OPTIONS, FILTER_DEFAULTS } from "./urlState";
+import { localStore } from "./localStore";
+
+const STORAGE_KEY = "linkedin-dashboard:saved-views";
+
+export function emptyStore() {
+  return { version: 1, defaultId: null, views: [] };
+}
+
+export function makeViewId() {
+  return `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Only the filters a view captures; anything else in the stored object is dropped
+export function viewFilters(f = {}) {
+  const list = (v) => (Array.isArray(v) ? v.map((s) => String(s).trim()).filter(Boolean) : []);
+  const period = Number(f.period);
+  return {
+    authors: list(f.authors),
+    authorsExcluded: list(f.authorsExcluded),
+    tags: list(f.tags),
+    tagsExcluded: list(f.tagsExcluded),
+    tagMode: f.tagMode === "all" ? "all" : "any",
+    period: PERIOD_OPTIONS.includes(period) ? period : FILTER_DEFAULTS.period,
+    search: typeof f.search === "string" ? f.search : "",
+  };
+}
+
+function sanitizeView(v) {
+  const name = String(v?.name || "").trim();
+  if (!name) return null;
+  return { id: String(v.id || makeViewId()), name, filters: viewFilters(v.filters) };
+}
+
+function sanitizeStore(raw) {
+  const views = (Array.isArray(raw?.views) ? raw.views : []).map(sanitizeView).filter(Boolean);
+  const defaultId = views.some((v) => v.id === raw?.defaultId) ? raw.defaultId : null;
+  return { version: 1, defaultId, views };
+}
+
+const storage = localStore(STORAGE_KEY, { empty: emptyStore, sanitize: sanitizeStore, what: "views" });
+export const loadViews = storage.load;
+export const saveViews = storage.save;
+
+export function getDefaultView(store) {
+  return store.views.find((v) => v.id === store.defaultId) || null;
+}
+
+export function exportViews(store) {
+  return JSON.stringify(store, null, 2);
+}
+
+// Merge an exported file into the store; views with the same name are replaced.
+// Throws on anything that isn't an export (or a bare array of views).
+export function importViews(store, text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  const incoming = sanitizeStore(Array.isArray(raw) ? { views: raw } : raw);
+  if (!incoming.views.length) throw new Error("No saved views found in file");
+
+  const names = new Set(incoming.views.map((v) => v.name.toLowerCase()));
+  const kept = store.views.filter((v) => !names.has(v.name.toLowerCase()));
+  const views = [...kept, ...incoming.views.map((v) => ({ ...v, id: makeViewId() }))];
+
+  // Carry the file's default over only if we don't have one
+  const importedDefault = incoming.views.findIndex((v) => v.id === incoming.defaultId);
+  const defaultId = views.some((v) => v.id === store.defaultId)
+    ? store.defaultId
+    : importedDefault >= 0
+      ? views[kept.length + importedDefault].id
+      : null;
+
+  return { version: 1, defaultId, views };
+}
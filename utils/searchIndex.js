@@ -0,0 +1,145 @@
+// utils/searchIndex.js
+// In-memory inverted index for relevance ranking. Built once per loaded row set;
+// the search filter itself still lives in utils/searchQuery.js — this only orders matches.
+
+// Headline beats summary beats tags; author sits between summary and tags
+export const FIELD_WEIGHTS = { headline: 3, summary: 2, author: 1.5, tags: 1 };
+
+const STOPWORDS = new Set(
+  "a an and are as at be by for from has have in is it its of on or that the this to was were will with".split(" ")
+);
+
+// Light English suffix stripping: credits→credit, policies→policy, regulated/regulation→regulat
+export function stem(word) {
+  let w = String(word || "").toLowerCase();
+  if (w.length <= 3) return w;
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith("ation") && w.length > 7) w = w.slice(0, -3);
+  else if (w.endsWith("ing") && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith("ed") && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith("ly") && w.length > 5) w = w.slice(0, -2);
+
+  if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1); // running → runn → run
+  if (w.endsWith("e") && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+export function tokenize(text) {
+  return String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+export function terms(text) {
+  return tokenize(text).filter((t) => !STOPWORDS.has(t)).map(stem);
+}
+
+// fields(row) → { headline, summary, author, tags: [] }
+export function buildSearchIndex(rows, fields) {
+  const postings = new Map(); // term → Map(docId → { field → tf })
+  const lengths = rows.map(() => ({}));
+  const totals = {};
+  const docOf = new Map();
+
+  rows.forEach((row, id) => {
+    docOf.set(row, id);
+    const f = fields(row);
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      const text = field === "tags" ? (f.tags || []).join(" ") : f[field];
+      const toks = terms(text);
+      lengths[id][field] = toks.length;
+      totals[field] = (totals[field] || 0) + toks.length;
+      for (const t of toks) {
+        if (!postings.has(t)) postings.set(t, new Map());
+        const docs = postings.get(t);
+        if (!docs.has(id)) docs.set(id, {});
+        const tf = docs.get(id);
+        tf[field] = (tf[field] || 0) + 1;
+      }
+    }
+  });
+
+  const avg = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) avg[field] = (totals[field] || 0) / (rows.length || 1) || 1;
+
+  return { postings, lengths, avg, docOf, size: rows.length };
+}
+
+// Index terms for one query word: exact stem, else vocabulary terms it prefixes ("carb" → carbon)
+function expand(index, word) {
+  const s = stem(word);
+  if (index.postings.has(s)) return [s];
+  if (s.length < 3) return [];
+  const out = [];
+  for (const t of index.postings.keys()) if (t.startsWith(s)) out.push(t);
+  return out;
+}
+
+// BM25-style score per row for the given raw query strings (words or phrases)
+export function scoreRows(index, queryStrings) {
+  const k1 = 1.2;
+  const b = 0.75;
+  const scores = new Map();
+  const seen = new Set();
+
+  for (const word of queryStrings.flatMap(tokenize)) {
+    if (STOPWORDS.has(word)) continue;
+    for (const t of expand(index, word)) {
+      if (seen.has(t)) continue;
+      seen.add(t);
+      const docs = index.postings.get(t);
+      const idf = Math.log(1 + (index.size - docs.size + 0.5) / (docs.size + 0.5));
+      for (const [id, tf] of docs) {
+        let s = 0;
+        for (const field of Object.keys(tf)) {
+          const norm = 1 - b + (b * index.lengths[id][field]) / index.avg[field];
+          s += FIELD_WEIGHTS[field] * ((tf[field] * (k1 + 1)) / (tf[field] + k1 * norm));
+        }
+        scores.set(id, (scores.get(id) || 0) + idf * s);
+      }
+    }
+  }
+  return scores;
+}
+
+// Order rows by relevance (rows missing from the index or unscored keep their incoming order after scored ones)
+export function rankRows(index, rows, queryStrings) {
+  if (!queryStrings.length) return rows;
+  const scores = scoreRows(index, queryStrings);
+  const score = (r) => scores.get(index.docOf.get(r)) || 0;
+  return rows
+    .map((r, i) => ({ r, i, s: score(r) }))
+    .sort((x, y) => y.s - x.s || x.i - y.i)
+    .map((x) => x.r);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Split text into [{ text, match }] segments: literal query strings match as substrings,
+// and whole words match when their stem equals a query word's stem.
+export function highlightSegments(text, queryStrings) {
+  const src = String(text || "");
+  const literals = queryStrings.map((q) => q.trim()).filter(Boolean);
+  if (!src || !literals.length) return [{ text: src, match: false }];
+
+  const marks = new Array(src.length).fill(false);
+  const re = new RegExp(literals.map(escapeRegExp).join("|"), "giu");
+  for (const m of src.matchAll(re)) {
+    for (let i = m.index; i < m.index + m[0].length; i++) marks[i] = true;
+  }
+  const stems = new Set(literals.flatMap(tokenize).filter((t) => !STOPWORDS.has(t)).map(stem));
+  for (const m of src.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (stems.has(stem(m[0]))) for (let i = m.index; i < m.index + m[0].length; i++) marks[i] = true;
+  }
+
+  const out = [];
+  for (let i = 0; i < src.length; i++) {
+    const last = out[out.length - 1];
+    if (last && last.match === marks[i]) last.text += src[i];
+    else out.push({ text: src[i], match: marks[i] });
+  }
+  return out;
+}
@@ -0,0 +1,230 @@
+// utils/searchQuery.js
+// Search box query language:
+//   carbon credits            both words (implicit AND), substring match anywhere
+//   "net zero"                exact phrase
+//   offsets OR credits        either
+//   NOT offsets / -offsets    exclude
+//   (a OR b) c                grouping
+//   author:sachs  headline:"carbon market"  summary:blackout  tag:offsets (exact tag; with a taxonomy also its
+//                                                                        aliases and child tags)
+//   after:2025-06-01  before:2025-07  after:90d (relative: d, w, m, y)
+//   note:"follow up"  stance:opposes  itag:briefing (exact internal tag) — private annotations (utils/annotations.js)
+// Operators must be uppercase; lowercase and/or/not are ordinary words.
+import { canonicalTag, tagAndDescendants } from "./taxonomy";
+
+export const SEARCH_FIELDS = ["author", "tag", "headline", "summary", "before", "after", "note", "stance", "itag"];
+
+export class SearchQueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "SearchQueryError";
+    this.position = position;
+  }
+}
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+function tokenize(input) {
+  const tokens = [];
+  const s = String(input || "");
+  let i = 0;
+
+  function readQuoted() {
+    const start = i;
+    const end = s.indexOf('"', i + 1);
+    if (end === -1) throw new SearchQueryError("Unterminated quote", start);
+    i = end + 1;
+    return s.slice(start + 1, end);
+  }
+
+  while (i < s.length) {
+    const c = s[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === "(" || c === ")") { tokens.push({ type: c, pos: i }); i++; continue; }
+    if (c === "-" && i + 1 < s.length && !/[\s()]/.test(s[i + 1])) { tokens.push({ type: "NOT", pos: i }); i++; continue; }
+    if (c === '"') {
+      const pos = i;
+      tokens.push({ type: "term", value: readQuoted(), pos });
+      continue;
+    }
+
+    const pos = i;
+    while (i < s.length && !/[\s()":]/.test(s[i])) i++;
+    const word = s.slice(pos, i);
+
+    // "word:" is a field qualifier, except URLs ("https://...") which are searched as text
+    if (s[i] === ":" && /^[a-z]+$/i.test(word) && s.slice(i + 1, i + 3) !== "//") {
+      const field = word.toLowerCase();
+      if (!SEARCH_FIELDS.includes(field)) {
+        throw new SearchQueryError(`Unknown field "${word}:" (use ${SEARCH_FIELDS.map((f) => f + ":").join(", ")})`, pos);
+      }
+      i++;
+      let value;
+      if (s[i] === '"') value = readQuoted();
+      else {
+        const vStart = i;
+        while (i < s.length && !/[\s()]/.test(s[i])) i++;
+        value = s.slice(vStart, i);
+      }
+      if (!value.trim()) throw new SearchQueryError(`Missing value after "${word}:"`, pos);
+      tokens.push({ type: "field", field, value, pos });
+      continue;
+    }
+
+    // Any other colon or quote mid-word is just part of the word
+    while (i < s.length && !/[\s()]/.test(s[i])) i++;
+    const text = s.slice(pos, i);
+    if (text === "AND" || text === "OR" || text === "NOT") tokens.push({ type: text, pos });
+    else tokens.push({ type: "term", value: text, pos });
+  }
+  return tokens;
+}
+
+// "2025", "2025-06", "2025-06-14", or relative "90d" / "12w" / "6m" / "1y" (before `now`)
+function parseQueryDate(value, now, pos) {
+  const v = value.trim().toLowerCase();
+  let m = v.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (m) {
+    const d = new Date(Date.UTC(Number(m[1]), m[2] ? Number(m[2]) - 1 : 0, m[3] ? Number(m[3]) : 1));
+    if (!isNaN(d.getTime())) return d.getTime();
+  }
+  m = v.match(/^(\d+)\s*(d|w|m|y)$/);
+  if (m) {
+    const n = Number(m[1]);
+    const d = new Date(now);
+    if (m[2] === "d") d.setUTCDate(d.getUTCDate() - n);
+    if (m[2] === "w") d.setUTCDate(d.getUTCDate() - n * 7);
+    if (m[2] === "m") d.setUTCMonth(d.getUTCMonth() - n);
+    if (m[2] === "y") d.setUTCFullYear(d.getUTCFullYear() - n);
+    return d.getTime();
+  }
+  throw new SearchQueryError(`Invalid date "${value}" (use YYYY-MM-DD, YYYY-MM, YYYY or e.g. 90d)`, pos);
+}
+
+// Recursive descent over: or := and (OR and)* ; and := unary (AND? unary)* ; unary := NOT unary | primary
+function parse(tokens, now) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const startsUnary = (t) => t && (t.type === "term" || t.type === "field" || t.type === "(" || t.type === "NOT");
+
+  function orExpr() {
+    const parts = [andExpr()];
+    while (peek()?.type === "OR") { i++; parts.push(andExpr()); }
+    return parts.length === 1 ? parts[0] : { op: "or", parts };
+  }
+
+  function andExpr() {
+    const parts = [unary()];
+    for (;;) {
+      if (peek()?.type === "AND") { i++; parts.push(unary()); continue; }
+      if (startsUnary(peek())) { parts.push(unary()); continue; }
+      break;
+    }
+    return parts.length === 1 ? parts[0] : { op: "and", parts };
+  }
+
+  function unary() {
+    const t = peek();
+    if (!t) {
+      const last = tokens[tokens.length - 1];
+      throw new SearchQueryError(`Expected a search term after ${last?.type || "start"}`, last ? last.pos : 0);
+    }
+    if (t.type === "NOT") { i++; return { op: "not", part: unary() }; }
+    if (t.type === "(") {
+      i++;
+      const inner = orExpr();
+      if (peek()?.type !== ")") throw new SearchQueryError("Missing closing parenthesis", t.pos);
+      i++;
+      return inner;
+    }
+    if (t.type === "term") { i++; return { op: "text", value: norm(t.value) }; }
+    if (t.type === "field") {
+      i++;
+      if (t.field === "before" || t.field === "after") {
+        return { op: t.field, time: parseQueryDate(t.value, now, t.pos) };
+      }
+      return { op: "field", field: t.field, value: norm(t.value) };
+    }
+    throw new SearchQueryError(`Unexpected "${t.type}"`, t.pos);
+  }
+
+  const ast = orExpr();
+  if (i < tokens.length) {
+    const t = tokens[i];
+    throw new SearchQueryError(t.type === ")" ? "Unmatched closing parenthesis" : `Unexpected "${t.type}"`, t.pos);
+  }
+  return ast;
+}
+
+// Parse a query into an AST; null for an empty query. Throws SearchQueryError.
+export function parseSearchQuery(input, now = Date.now()) {
+  const tokens = tokenize(input);
+  return tokens.length ? parse(tokens, now) : null;
+}
+
+// Compile a query to a row predicate. `fields(row)` supplies
+// { author, headline, summary, tags: [], time } with time in ms or NaN, and optionally the row's
+// annotation as { note, stance, itags: [] }. Free text also matches notes and internal tags.
+// With a taxonomy (utils/taxonomy.js), tag: takes aliases and matches child tags, like the tag filter.
+export function compileSearch(input, fields, now = Date.now(), taxonomy = null) {
+  const ast = parseSearchQuery(input, now);
+  if (!ast) return null;
+
+  const tagSets = new Map();
+  const tagSet = (value) => {
+    if (!tagSets.has(value)) tagSets.set(value, tagAndDescendants(taxonomy, canonicalTag(taxonomy, value)));
+    return tagSets.get(value);
+  };
+
+  function test(node, f) {
+    switch (node.op) {
+      case "and": return node.parts.every((p) => test(p, f));
+      case "or": return node.parts.some((p) => test(p, f));
+      case "not": return !test(node.part, f);
+      case "text": return f.haystack.includes(node.value);
+      case "field":
+        if (node.field === "tag") return f.tags.some((t) => tagSet(node.value).has(t));
+        if (node.field === "itag") return f.itags.includes(node.value);
+        return f[node.field].includes(node.value);
+      // Undated rows never satisfy an explicit date bound
+      case "before": return !isNaN(f.time) && f.time < node.time;
+      case "after": return !isNaN(f.time) && f.time >= node.time;
+      default: return false;
+    }
+  }
+
+  return (row) => {
+    const r = fields(row);
+    const f = {
+      author: norm(r.author),
+      headline: norm(r.headline),
+      summary: norm(r.summary),
+      tags: r.tags.map(norm),
+      time: r.time,
+      note: norm(r.note),
+      stance: norm(r.stance),
+      itags: (r.itags || []).map(norm),
+    };
+    f.haystack = [f.headline, f.summary, f.author, f.tags.join(" "), f.note, f.itags.join(" ")].join(" ");
+    return test(ast, f);
+  };
+}
+
+// Positive free-text strings in a query (words, phrases, headline:/summary:/author: values),
+// used for ranking and highlighting. Anything under NOT is left out.
+export function queryTerms(input) {
+  let ast;
+  try {
+    ast = parseSearchQuery(input);
+  } catch {
+    return [];
+  }
+  const out = [];
+  (function walk(node) {
+    if (!node) return;
+    if (node.op === "and" || node.op === "or") node.parts.forEach(walk);
+    else if (node.op === "text" && node.value) out.push(node.value);
+    else if (node.op === "field" && !["tag", "itag", "stance"].includes(node.field)) out.push(node.value);
+  })(ast);
+  return out;
+}
@@ -0,0 +1,37 @@
+// utils/serverData.js
+// Server-only CSV loading from public/ (API routes, getStaticProps). Never import from client code.
+import { promises as fs } from "fs";
+import path from "path";
+import Papa from "papaparse";
+import { MANIFEST_FILE, readDatasetManifest, resolveDatasetId, loadCollection } from "./datasets";
+
+export function publicPath(name) {
+  return path.join(process.cwd(), "public", name);
+}
+
+// Text of a file in public/, or null when it doesn't exist
+export async function readPublicText(name) {
+  try {
+    return await fs.readFile(publicPath(name), "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// Header-parsed rows of an optional CSV in public/, or null when the file doesn't exist
+export async function readOptionalCSV(name) {
+  const text = await readPublicText(name);
+  return text === null ? null : Papa.parse(text, { header: true, skipEmptyLines: true }).data || [];
+}
+
+export async function loadDatasets() {
+  const text = await readPublicText(MANIFEST_FILE);
+  return readDatasetManifest(text === null ? null : JSON.parse(text));
+}
+
+// Rows, taxonomy and capture date for a dataset id or ALL_DATASETS (default: the first dataset)
+export async function loadPosts(datasetId = null) {
+  const datasets = await loadDatasets();
+  return loadCollection(datasets, resolveDatasetId(datasets, datasetId), readPublicText);
+}
@@ -0,0 +1,11 @@
+// utils/slug.js
+// URL slugs for author and tag pages: "Policies and Measures" → "policies-and-measures".
+// Accents are dropped so slugs stay ASCII.
+export function slugify(s) {
+  return String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
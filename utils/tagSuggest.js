@@ -0,0 +1,204 @@
+// utils/tagSuggest.js
+// Offline tag suggestions from a post's headline and summary. Two signals per tag, combined:
+//   rules    keyword/phrase rules: the tag's name, aliases and "keywords" column (see utils/taxonomy.js)
+//   learned  a TF-IDF centroid of the posts that already carry the tag, compared by cosine similarity
+// Only curated tags are suggested when a taxonomy is loaded, else every tag in use. Rejected suggestions
+// are remembered per post in localStorage, like the reader state (utils/readerState.js).
+import { terms } from "./searchIndex";
+import { safeTags, tagNames } from "./posts";
+import { canonicalTag } from "./taxonomy";
+import { canonicalPostUrl } from "./readerState";
+import { localStore } from "./localStore";
+
+const STORAGE_KEY = "linkedin-dashboard:tag-rejections";
+
+// A tag needs this many tagged posts before its learned weights count
+const MIN_EXAMPLES = 2;
+// Terms kept per tag centroid
+const CENTROID_TERMS = 50;
+// Confidence of a single keyword hit; each further hit halves the remaining doubt
+const RULE_CONFIDENCE = 0.8;
+// Similarity alone never reaches certainty
+const LEARNED_CAP = 0.85;
+
+export const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+const key = (s) => String(s || "").trim().toLowerCase();
+
+const postText = (r) => `${r.headline || ""} ${r.summary || ""}`;
+
+function counts(tokens) {
+  const out = new Map();
+  for (const t of tokens) out.set(t, (out.get(t) || 0) + 1);
+  return out;
+}
+
+// Unit-length map of term → weight
+function normalize(vec) {
+  let norm = 0;
+  for (const w of vec.values()) norm += w * w;
+  norm = Math.sqrt(norm);
+  if (norm) for (const [t, w] of vec) vec.set(t, w / norm);
+  return vec;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [t, w] of small) dot += w * (large.get(t) || 0);
+  return dot;
+}
+
+// Does the token sequence contain the phrase (a token sequence) contiguously?
+function containsPhrase(tokens, phrase) {
+  outer: for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    for (let j = 0; j < phrase.length; j++) if (tokens[i + j] !== phrase[j]) continue outer;
+    return true;
+  }
+  return false;
+}
+
+// Learn from `rows` (the loaded posts). → { tags: [{ name, examples, phrases, centroid, ref }], vector }
+// where vector(text) weighs a new text with the same IDF table.
+export function buildTagModel(rows, taxonomy = null) {
+  const docs = rows.map((r) => counts(terms(postText(r))));
+  const df = new Map();
+  for (const d of docs) for (const t of d.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const idf = (t) => Math.log((docs.length + 1) / ((df.get(t) || 0) + 1)) + 1;
+  const weigh = (tf) => {
+    const vec = new Map();
+    for (const [t, n] of tf) vec.set(t, (1 + Math.log(n)) * idf(t));
+    return normalize(vec);
+  };
+  const vectors = docs.map(weigh);
+
+  const names = taxonomy ? taxonomy.tags : [...new Set(rows.flatMap((r) => safeTags(r)))];
+  const aliasesOf = new Map();
+  if (taxonomy) {
+    for (const [alias, name] of taxonomy.canonical) {
+      if (alias === key(name)) continue;
+      if (!aliasesOf.has(key(name))) aliasesOf.set(key(name), []);
+      aliasesOf.get(key(name)).push(alias);
+    }
+  }
+
+  const examplesOf = new Map();
+  rows.forEach((r, i) => {
+    for (const t of safeTags(r)) {
+      const k = key(canonicalTag(taxonomy, t));
+      if (!examplesOf.has(k)) examplesOf.set(k, []);
+      examplesOf.get(k).push(i);
+    }
+  });
+
+  const tags = names.map((name) => {
+    const k = key(name);
+    // One rule per distinct stemmed phrase, so "Biodiversity" and "biodiversity" hit once
+    const phrases = [];
+    const seen = new Set();
+    for (const text of [name, ...(aliasesOf.get(k) || []), ...(taxonomy?.keywords?.get(k) || [])]) {
+      const tokens = terms(text);
+      if (!tokens.length || seen.has(tokens.join(" "))) continue;
+      seen.add(tokens.join(" "));
+      phrases.push({ text, tokens });
+    }
+    const examples = examplesOf.get(k) || [];
+    let centroid = null;
+    let ref = 0;
+    if (examples.length >= MIN_EXAMPLES) {
+      const sum = new Map();
+      for (const i of examples) for (const [t, w] of vectors[i]) sum.set(t, (sum.get(t) || 0) + w);
+      centroid = normalize(new Map([...sum].sort((a, b) => b[1] - a[1]).slice(0, CENTROID_TERMS)));
+      // How close the tag's own posts sit to it: a new post this close is as typical as they are
+      ref = examples.reduce((s, i) => s + cosine(vectors[i], centroid), 0) / examples.length;
+    }
+    return { name, examples: examples.length, phrases, centroid, ref };
+  });
+
+  return { tags, vector: (text) => weigh(counts(terms(text))) };
+}
+
+// Lowercased tags the row has, plus their ancestors (a parent already matches its children's posts)
+function coveredTags(row, taxonomy) {
+  const out = new Set();
+  for (const t of safeTags(row)) {
+    let name = canonicalTag(taxonomy, t);
+    while (name && !out.has(key(name))) {
+      out.add(key(name));
+      name = taxonomy?.parentOf.get(key(name));
+    }
+  }
+  return out;
+}
+
+// → [{ tag, confidence (0–1), reasons: [string] }], most confident first. `rejected` lists lowercased
+// tags to leave out (see rejectedTags).
+export function suggestTags(row, model, { taxonomy = null, limit = 3, minConfidence = DEFAULT_MIN_CONFIDENCE, rejected = [] } = {}) {
+  if (!model) return [];
+  const text = postText(row);
+  const tokens = terms(text);
+  if (!tokens.length) return [];
+  const vec = model.vector(text);
+  const skip = coveredTags(row, taxonomy);
+  for (const t of rejected) skip.add(key(t));
+
+  const out = [];
+  for (const tag of model.tags) {
+    if (skip.has(key(tag.name))) continue;
+    const hits = tag.phrases.filter((p) => containsPhrase(tokens, p.tokens));
+    const rule = hits.length ? 1 - (1 - RULE_CONFIDENCE) * 0.5 ** (hits.length - 1) : 0;
+    const similarity = tag.centroid && tag.ref ? cosine(vec, tag.centroid) / tag.ref : 0;
+    const learned = Math.min(LEARNED_CAP, similarity * LEARNED_CAP);
+    const confidence = 1 - (1 - rule) * (1 - learned);
+    if (confidence < minConfidence) continue;
+
+    const reasons = [];
+    if (hits.length) reasons.push(`mentions ${hits.map((p) => `“${p.text}”`).join(", ")}`);
+    if (learned >= 0.25) reasons.push(`similar to ${tag.examples} posts tagged ${tag.name}`);
+    out.push({ tag: tag.name, confidence, reasons });
+  }
+  return out.sort((a, b) => b.confidence - a.confidence || a.tag.localeCompare(b.tag)).slice(0, limit);
+}
+
+// Fewer than `min` tags
+export function isUnderTagged(row, min = 2) {
+  return safeTags(row).length < min;
+}
+
+// The row's tags (as spelled in the CSV) with `added` (a tag or a list) appended, as the edit API takes them
+export function tagsWith(row, added, taxonomy = null) {
+  const out = tagNames(row, taxonomy);
+  for (const tag of [].concat(added)) if (!out.some((t) => key(t) === key(tag))) out.push(tag);
+  return out;
+}
+
+// -------------------- Rejections --------------------
+// Store shape: { version: 1, posts: { [postKey]: [lowercased tag, …] } }
+
+export function emptyRejections() {
+  return { version: 1, posts: {} };
+}
+
+function sanitizeRejections(raw) {
+  const posts = {};
+  for (const [k, tags] of Object.entries(raw?.posts && typeof raw.posts === "object" ? raw.posts : {})) {
+    const clean = Array.isArray(tags) ? [...new Set(tags.map(key).filter(Boolean))] : [];
+    if (clean.length && canonicalPostUrl(k)) posts[canonicalPostUrl(k)] = clean;
+  }
+  return { version: 1, posts };
+}
+
+const storage = localStore(STORAGE_KEY, { empty: emptyRejections, sanitize: sanitizeRejections, what: "tag rejections" });
+export const loadRejections = storage.load;
+export const saveRejections = storage.save;
+
+export function rejectedTags(store, postKey) {
+  return (postKey && store?.posts[postKey]) || [];
+}
+
+export function rejectTag(store, postKey, tag) {
+  if (!postKey) return store;
+  const list = rejectedTags(store, postKey);
+  if (list.includes(key(tag))) return store;
+  return { ...store, posts: { ...store.posts, [postKey]: [...list, key(tag)] } };
+}
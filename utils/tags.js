@@ -0,0 +1,45 @@
+// utils/tags.js
+// Tag slugs for /tags/[tag] and the per-tag summary those pages render.
+import { filterPosts, sortPosts, safeTags, toPostJSON } from "./posts";
+import { canonicalTag } from "./taxonomy";
+import { topTags, topAuthors, postsOverTime } from "./analytics";
+import { slugify } from "./slug";
+
+export function tagSlug(tag) {
+  return slugify(tag);
+}
+
+export function tagPath(tag) {
+  return `/tags/${tagSlug(tag)}`;
+}
+
+// Every tag that gets a page: the curated tags plus any others used on posts, by display name
+export function allTagNames(rows, taxonomy = null) {
+  const names = new Map();
+  for (const t of taxonomy?.tags || []) names.set(tagSlug(t), t);
+  for (const r of rows) {
+    for (const t of safeTags(r)) {
+      const name = canonicalTag(taxonomy, t);
+      if (tagSlug(name) && !names.has(tagSlug(name))) names.set(tagSlug(name), name);
+    }
+  }
+  return [...names.values()];
+}
+
+// Posts for a tag (its child tags included, as in the dashboard filter) and what goes with them.
+// Everything returned is plain JSON so it can be passed as getStaticProps props.
+export function tagActivity(rows, tag, { taxonomy = null, months = 12 } = {}) {
+  const posts = sortPosts(filterPosts(rows, { tags: [tag], period: -1, taxonomy }), "date");
+  const self = tag.toLowerCase();
+
+  return {
+    total: posts.length,
+    posts: posts.map(toPostJSON),
+    related: topTags(posts, { taxonomy })
+      .filter((t) => t.tag.toLowerCase() !== self)
+      .slice(0, 12)
+      .map((t) => ({ ...t, slug: tagSlug(t.tag) })),
+    authors: topAuthors(posts, 10).map(({ author, count }) => ({ author, count })),
+    history: postsOverTime(posts, "month").buckets.slice(-months),
+  };
+}
@@ -0,0 +1,103 @@
+// utils/taxonomy.js
+// Tag vocabulary from linkedin_tags.csv. Besides the tag column, three optional columns:
+//   parent    name of the parent tag (themes → sub-themes, any depth)
+//   aliases   alternative spellings that post tags are normalized to this tag, separated by | or ;
+//   keywords  words or phrases in a post's text that suggest this tag (utils/tagSuggest.js), separated by | or ;
+// e.g.  Tag,parent,aliases,keywords
+//       Voluntary Carbon Market,Economics,VCM|Offsets,carbon credit|offsetting
+
+const key = (s) => String(s || "").trim().toLowerCase();
+
+// Header rows as parsed by Papa ({ header: true }); column names are matched case-insensitively
+export function buildTaxonomy(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const first = list.find((r) => r && Object.keys(r).length) || {};
+  const cols = Object.keys(first).reduce((acc, k) => {
+    acc[key(k.replace(/^\uFEFF/, ""))] = k;
+    return acc;
+  }, {});
+  const pick = (cands) => cands.map((c) => cols[c]).find(Boolean);
+  const tagCol = pick(["tag", "tags", "topic", "label"]) || Object.keys(first)[0];
+  const parentCol = pick(["parent", "parent_tag"]);
+  const aliasCol = pick(["aliases", "alias"]);
+  const keywordCol = pick(["keywords", "keyword"]);
+
+  const tags = [];
+  const canonical = new Map(); // lowercased name or alias → canonical name
+  const parentOf = new Map(); // lowercased name → canonical parent name
+  const childrenOf = new Map(); // lowercased name → [canonical child names]
+  const keywords = new Map(); // lowercased name → [keyword phrases]
+
+  function addTag(name) {
+    if (!canonical.has(key(name))) {
+      canonical.set(key(name), name);
+      tags.push(name);
+    }
+    return canonical.get(key(name));
+  }
+
+  const split = (v) => String(v || "").split(/[|;]/).map((a) => a.trim()).filter(Boolean);
+  const pending = [];
+  for (const r of list) {
+    const name = String((tagCol && r?.[tagCol]) || "").trim();
+    if (!name) continue;
+    addTag(name);
+    pending.push({
+      name,
+      parent: String((parentCol && r[parentCol]) || "").trim(),
+      aliases: split(aliasCol && r[aliasCol]),
+    });
+    const words = split(keywordCol && r[keywordCol]);
+    if (words.length) keywords.set(key(name), [...(keywords.get(key(name)) || []), ...words]);
+  }
+
+  for (const { name, parent, aliases } of pending) {
+    // Aliases never shadow a real tag name
+    for (const a of aliases) if (!canonical.has(key(a))) canonical.set(key(a), canonical.get(key(name)));
+    if (parent && key(parent) !== key(name)) {
+      const p = addTag(parent); // parents needn't have their own row
+      parentOf.set(key(name), p);
+      if (!childrenOf.has(key(p))) childrenOf.set(key(p), []);
+      childrenOf.get(key(p)).push(canonical.get(key(name)));
+    }
+  }
+
+  return { tags, canonical, parentOf, childrenOf, keywords };
+}
+
+// Post tag → curated name via name/alias lookup; unknown tags pass through trimmed
+export function canonicalTag(taxonomy, raw) {
+  const s = String(raw || "").trim();
+  return taxonomy?.canonical.get(key(s)) || s;
+}
+
+// Lowercased tag plus all of its descendants (selecting a parent matches its children)
+export function tagAndDescendants(taxonomy, tag) {
+  const out = new Set([key(tag)]);
+  if (!taxonomy) return out;
+  const stack = [canonicalTag(taxonomy, tag)];
+  while (stack.length) {
+    for (const child of taxonomy.childrenOf.get(key(stack.pop())) || []) {
+      if (out.has(key(child))) continue; // tolerate cycles
+      out.add(key(child));
+      stack.push(child);
+    }
+  }
+  return out;
+}
+
+// Nested [{ name, children }] for the tag picker; siblings sorted by name
+export function tagTree(taxonomy) {
+  if (!taxonomy) return [];
+  const seen = new Set();
+  function node(name) {
+    seen.add(key(name));
+    const kids = (taxonomy.childrenOf.get(key(name)) || []).filter((c) => !seen.has(key(c)));
+    return { name, children: kids.sort((a, b) => a.localeCompare(b)).map(node) };
+  }
+  const roots = taxonomy.tags.filter((t) => !taxonomy.parentOf.has(key(t))).sort((a, b) => a.localeCompare(b));
+  const tree = roots.map(node);
+  // Tags caught in a parent cycle have no root; list them at the top level
+  for (const t of taxonomy.tags) if (!seen.has(key(t))) tree.push(node(t));
+  return tree;
+}
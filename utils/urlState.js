@@ -0,0 +1,79 @@
+// utils/urlState.js
+// Dashboard filters <-> query string, e.g. ?author=Lisa+Sachs&tag=offsets&period=90&q=carbon
+// Exclusions use author_not / tag_not; tag_mode=all requires every selected tag; dataset picks a
+// collection from datasets.json ("all" merges them; blank is the first one).
+// Defaults are omitted so an untouched dashboard keeps a clean URL.
+
+export const PERIOD_OPTIONS = [7, 30, 90, -1];
+export const MAX_RESULTS_OPTIONS = [100, 200, 500, -1];
+export const SORT_OPTIONS = ["date", "relevance"];
+export const VIEW_OPTIONS = ["cards", "table", "analytics"];
+
+export const FILTER_DEFAULTS = {
+  authors: [],
+  authorsExcluded: [],
+  tags: [],
+  tagsExcluded: [],
+  tagMode: "any",
+  period: 30,
+  search: "",
+  maxResults: 200,
+  hideApprox: false,
+  sort: "date",
+  view: "cards",
+  dataset: "",
+};
+
+// "all" in the URL maps to the -1 sentinel the selects use
+function readChoice(v, options, fallback) {
+  if (v == null) return fallback;
+  const n = String(v).toLowerCase() === "all" ? -1 : Number(v);
+  return options.includes(n) ? n : fallback;
+}
+
+function writeChoice(n) {
+  return n === -1 ? "all" : String(n);
+}
+
+export function parseFilterQuery(qs) {
+  const p = new URLSearchParams(qs);
+  const list = (k) => p.getAll(k).map((s) => s.trim()).filter(Boolean);
+  return {
+    authors: list("author"),
+    authorsExcluded: list("author_not"),
+    tags: list("tag"),
+    tagsExcluded: list("tag_not"),
+    tagMode: p.get("tag_mode") === "all" ? "all" : "any",
+    period: readChoice(p.get("period"), PERIOD_OPTIONS, FILTER_DEFAULTS.period),
+    search: p.get("q") || "",
+    maxResults: readChoice(p.get("max"), MAX_RESULTS_OPTIONS, FILTER_DEFAULTS.maxResults),
+    hideApprox: p.get("exact") === "1",
+    sort: SORT_OPTIONS.includes(p.get("sort")) ? p.get("sort") : FILTER_DEFAULTS.sort,
+    view: VIEW_OPTIONS.includes(p.get("view")) ? p.get("view") : FILTER_DEFAULTS.view,
+    dataset: (p.get("dataset") || "").trim(),
+  };
+}
+
+export function buildFilterQuery(f) {
+  const p = new URLSearchParams();
+  (f.authors || []).forEach((a) => p.append("author", a));
+  (f.authorsExcluded || []).forEach((a) => p.append("author_not", a));
+  (f.tags || []).forEach((t) => p.append("tag", t));
+  (f.tagsExcluded || []).forEach((t) => p.append("tag_not", t));
+  if (f.tagMode === "all") p.set("tag_mode", "all");
+  if (f.period !== FILTER_DEFAULTS.period) p.set("period", writeChoice(f.period));
+  if (f.search) p.set("q", f.search);
+  if (f.maxResults !== FILTER_DEFAULTS.maxResults) p.set("max", writeChoice(f.maxResults));
+  if (f.hideApprox) p.set("exact", "1");
+  if (f.sort && f.sort !== FILTER_DEFAULTS.sort) p.set("sort", f.sort);
+  if (f.view && f.view !== FILTER_DEFAULTS.view) p.set("view", f.view);
+  if (f.dataset) p.set("dataset", f.dataset);
+  return p.toString();
+}
+
+// Query string portion of a router asPath ("/?a=1#x" -> "a=1")
+export function queryOf(asPath) {
+  const s = String(asPath || "");
+  const i = s.indexOf("?");
+  return i === -1 ? "" : s.slice(i + 1).split("#")[0];
+}